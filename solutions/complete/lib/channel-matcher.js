@@ -0,0 +1,89 @@
+'use strict';
+
+module.exports = ChannelMatcher;
+
+// Matches channel names against the channelNames and excludeChannelNames
+// patterns from a rule. Each pattern is either a channel name, a glob
+// pattern in which "*" matches any sequence of characters and "?" matches any
+// single character, or a regular expression of the form /regex/ or /regex/i.
+//
+// Leaving channelNames undefined matches every channel not excluded.
+function ChannelMatcher(channelNames, excludeChannelNames) {
+  this.include = channelNames && channelNames.map(ChannelMatcher.compile);
+  this.exclude = (excludeChannelNames || []).map(ChannelMatcher.compile);
+}
+
+var REGEX_PATTERN = /^\/(.*)\/([iu]*)$/;
+
+ChannelMatcher.prototype.matches = function(channelName) {
+  return this.included(channelName) && !this.excluded(channelName);
+};
+
+ChannelMatcher.prototype.included = function(channelName) {
+  return this.include === undefined || this.include.some(function(pattern) {
+    return pattern.test(channelName);
+  });
+};
+
+ChannelMatcher.prototype.excluded = function(channelName) {
+  return this.exclude.some(function(pattern) {
+    return pattern.test(channelName);
+  });
+};
+
+// Returns true if every channel matches.
+ChannelMatcher.prototype.matchesAll = function() {
+  return this.include === undefined && this.exclude.length === 0;
+};
+
+// Returns a RegExp matching the channel names described by pattern. Throws
+// an Error if pattern isn't valid; validate() returns the same message.
+ChannelMatcher.compile = function(pattern) {
+  if (pattern[0] === '/') {
+    return ChannelMatcher.compileRegExp(pattern);
+  }
+  return new RegExp('^' + pattern.split('').map(function(c) {
+    return GLOB_CHARS[c] || c.replace(/[\\^$.|+()[\]{}]/, '\\$&');
+  }).join('') + '$');
+};
+
+var GLOB_CHARS = { '*': '.*', '?': '.' };
+
+ChannelMatcher.validate = function(pattern) {
+  return validateWith(ChannelMatcher.compile, pattern);
+};
+
+// Returns the RegExp for a pattern of the form /regex/ or /regex/i. Rules
+// also use this for textMatches. Throws an Error if pattern isn't valid;
+// validateRegExp() returns the same message.
+ChannelMatcher.compileRegExp = function(pattern) {
+  var regex = REGEX_PATTERN.exec(pattern);
+
+  if (!regex) {
+    throw new Error('expected a regular expression of the form /regex/ or ' +
+      '/regex/i');
+  }
+  try {
+    return new RegExp(regex[1], regex[2]);
+  } catch (err) {
+    throw new Error(err.message.replace(/^Invalid regular expression: /,
+      'invalid regular expression '));
+  }
+};
+
+ChannelMatcher.validateRegExp = function(pattern) {
+  return validateWith(ChannelMatcher.compileRegExp, pattern);
+};
+
+function validateWith(compile, pattern) {
+  try {
+    compile(pattern);
+  } catch (err) {
+    return err.message;
+  }
+}
+
+// Returns true if pattern matches only the channel of the same name.
+ChannelMatcher.isLiteral = function(pattern) {
+  return !/[*?]/.test(pattern) && pattern[0] !== '/';
+};
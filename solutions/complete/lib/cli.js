@@ -0,0 +1,199 @@
+'use strict';
+
+var Config = require('./config');
+var configMigrations = require('./config-migrations');
+var Rule = require('./rule');
+var ruleRanking = require('./rule-ranking');
+var SlackClient = require('./slack-client');
+var util = require('util');
+
+module.exports = Cli;
+
+// Implements the bin/slack-github-issues command, which manages the
+// configuration outside of Hubot. Output is written to the stdout and stderr
+// streams so the commands can be tested without spawning a process.
+function Cli(stdout, stderr) {
+  this.stdout = stdout;
+  this.stderr = stderr;
+  this.logger = new StreamLogger(stdout, stderr);
+}
+
+Cli.USAGE = [
+  'Usage: slack-github-issues <command> [arguments]',
+  '',
+  'Commands:',
+  '  validate [path]',
+  '    Check the configuration for errors',
+  '  explain <reaction> <channel> [path]',
+  '    Show which rule matches a reaction to a message in a channel',
+  '  migrate [path]',
+  '    Update the configuration to the current format',
+  '',
+  'If path is omitted, HUBOT_SLACK_GITHUB_ISSUES_CONFIG_PATH is used, or',
+  'config/slack-github-issues.json if it is not set.'
+].join('\n');
+
+// Runs the command specified by args and returns the exit status.
+Cli.prototype.run = function(args) {
+  var command = COMMANDS[args[0]];
+
+  if (command === undefined || args.length - 1 < command.minArgs ||
+      args.length - 1 > command.maxArgs) {
+    this.stderr.write(Cli.USAGE + '\n');
+    return 2;
+  }
+
+  try {
+    return command.run.apply(this, args.slice(1));
+  } catch (err) {
+    this.logger.error(null, err instanceof Error ? err.message : err);
+    return 1;
+  }
+};
+
+var COMMANDS = {
+  validate: { minArgs: 0, maxArgs: 1, run: validate },
+  explain: { minArgs: 2, maxArgs: 3, run: explain },
+  migrate: { minArgs: 0, maxArgs: 1, run: migrate }
+};
+
+function validate(configPath) {
+  var config;
+
+  configPath = configPath || Config.path();
+  config = Config.fromFile(configPath, this.logger);
+  this.logger.info(null, configPath, 'is valid:', config.rules.length,
+    config.rules.length === 1 ? 'rule' : 'rules');
+  return 0;
+}
+
+// Reports whether each rule matches a reaction to a message in the channel,
+// in the order in which Middleware evaluates them. Rules restricted to
+// certain users or message text don't stop the evaluation, since later
+// rules still apply to other users and messages, nor do rules that continue
+// to the following rules. Returns 0 if a rule matches and 1 otherwise.
+function explain(reactionName, channelName, configPath) {
+  var config = Config.fromFile(configPath || Config.path(),
+        new StreamLogger(null, this.stderr)),
+      slackClient = new ChannelNameClient(),
+      message = {
+        type: SlackClient.REACTION_ADDED,
+        reaction: reactionName.replace(/^:|:$/g, ''),
+        item: { type: 'message', channel: channelName.replace(/^#/, '') }
+      },
+      order = config.rules.map(function(rule, index) {
+        return index;
+      }),
+      match,
+      anyMatch = false,
+      cli = this;
+
+  if (config.matchMode === 'mostSpecific') {
+    order = ruleRanking.rankIndices(config.rules);
+  }
+
+  order.forEach(function(index) {
+    var rule = new Rule(config.rules[index]),
+        pointer = '/rules/' + index + ':',
+        conditions = [],
+        reason;
+
+    if (match !== undefined) {
+      return cli.logger.info(null, pointer, 'not evaluated:', match,
+        'matches first');
+    }
+    reason = rule.skipReason(message, slackClient);
+
+    if (reason !== undefined) {
+      return cli.logger.info(null, pointer, 'skipped:', reason);
+    }
+    if (rule.restrictsUsers()) {
+      conditions.push('permitted users');
+    }
+    if (rule.filtersText()) {
+      conditions.push('matching message text');
+    }
+    anyMatch = true;
+
+    if (conditions.length !== 0) {
+      return cli.logger.info(null, pointer, 'matches for ' +
+        conditions.join(' and ') + ': files issues in',
+        rule.githubRepositoryPath(config.githubUser));
+    }
+    cli.logger.info(null, pointer, 'matches: files issues in',
+      rule.githubRepositoryPath(config.githubUser));
+
+    if (!(rule.continue || config.matchMode === 'all')) {
+      match = pointer.slice(0, -1);
+    }
+  });
+
+  if (!anyMatch) {
+    this.logger.info(null, 'no rule matches :' + message.reaction + ': in #' +
+      message.item.channel);
+    return 1;
+  }
+  return 0;
+}
+
+// Stands in for SlackClient when explaining rules, using the channel name in
+// place of the channel ID.
+function ChannelNameClient() {
+}
+
+ChannelNameClient.prototype.getChannelName = function(channelId) {
+  return channelId;
+};
+
+// Explains rules as they apply to public channels.
+ChannelNameClient.prototype.getConversationType = function() {
+  return 'public_channel';
+};
+
+// Validates the migrated configuration before rewriting any files, so an
+// invalid configuration is left untouched.
+function migrate(configPath) {
+  var migrated;
+
+  configPath = configPath || Config.path();
+  Config.fromFile(configPath, new StreamLogger(null, this.stderr));
+  migrated = configMigrations.migrateFiles(configPath, this.logger);
+
+  if (migrated.length === 0) {
+    this.logger.info(null, configPath, 'is already at version',
+      configMigrations.CURRENT_VERSION);
+  }
+  return 0;
+}
+
+// Implements the Logger interface by writing to streams instead of the Hubot
+// logger. Informational messages are dropped if stdout is null.
+function StreamLogger(stdout, stderr) {
+  this.stdout = stdout;
+  this.stderr = stderr;
+}
+
+StreamLogger.prototype.info = function() {
+  if (this.stdout) {
+    this.stdout.write(formatLine(arguments));
+  }
+};
+
+StreamLogger.prototype.warning = function() {
+  this.stderr.write('warning: ' + formatLine(arguments));
+};
+
+StreamLogger.prototype.error = function() {
+  this.stderr.write('error: ' + formatLine(arguments));
+};
+
+// Drops the message ID argument passed as the first argument of every Logger
+// method.
+function formatLine(args) {
+  var messages = Array.prototype.slice.call(args, 1);
+
+  if (args[0]) {
+    messages.unshift(args[0] + ':');
+  }
+  return util.format.apply(null, messages) + '\n';
+}
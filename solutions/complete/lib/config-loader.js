@@ -0,0 +1,273 @@
+'use strict';
+
+var ConfigParser = require('./config-parser');
+var jsonPointer = require('./json-pointer');
+var fs = require('fs');
+var path = require('path');
+
+module.exports = ConfigLoader;
+
+// Reads the configuration file at configPath. If
+// HUBOT_SLACK_GITHUB_ISSUES_ENVIRONMENT is set, the overlay file for that
+// environment is merged over it; e.g. for "production",
+// config/slack-github-issues.json is overlaid with
+// config/slack-github-issues.production.json.
+//
+// If configPath is a directory, each configuration file within it is a
+// fragment, read in sorted order along with its overlay, if it has one. Each
+// team's fragment needn't have an overlay for every environment. The first
+// fragment is the base file providing the top-level fields; the rules from
+// every fragment are concatenated. Files with an environment name before
+// their extension are overlays, not fragments.
+//
+// After merging, ${VAR} and ${VAR:-default} references within string values
+// are replaced with the values of environment variables. $${ produces a
+// literal ${.
+function ConfigLoader(configPath, logger) {
+  this.configPath = configPath;
+  this.logger = logger;
+  this.environment = process.env.HUBOT_SLACK_GITHUB_ISSUES_ENVIRONMENT;
+}
+
+// Returns every path from which the configuration is read, including the
+// directory itself, if configPath is a directory. Overlays are included
+// whether or not they exist, so that watchers notice when one is created.
+ConfigLoader.prototype.paths = function() {
+  var loader = this,
+      result = [];
+
+  if (isDirectory(this.configPath)) {
+    result.push(this.configPath);
+  }
+  this.filePaths().forEach(function(filePath) {
+    result.push(filePath);
+    if (loader.environment) {
+      result.push(overlayPath(filePath, loader.environment));
+    }
+  });
+  return result;
+};
+
+ConfigLoader.prototype.filePaths = function() {
+  var configDir = this.configPath;
+
+  if (!isDirectory(configDir)) {
+    return [configDir];
+  }
+  return fs.readdirSync(configDir).filter(function(filename) {
+    var extension = path.extname(filename);
+
+    return ConfigParser.FORMATS.hasOwnProperty(extension) &&
+      path.extname(path.basename(filename, extension)) === '';
+  }).sort().map(function(filename) {
+    return path.join(configDir, filename);
+  });
+};
+
+function isDirectory(configPath) {
+  try {
+    return fs.statSync(configPath).isDirectory();
+  } catch (err) {
+    return false;
+  }
+}
+
+function overlayPath(filePath, environment) {
+  var extension = path.extname(filePath);
+
+  return path.join(path.dirname(filePath),
+    path.basename(filePath, extension) + '.' + environment + extension);
+}
+
+// Returns the configuration object and a map from JSON pointers to the
+// source of the value at that location, for use in error messages.
+ConfigLoader.prototype.load = function() {
+  var loader = this,
+      filePaths = this.filePaths(),
+      isFragment = isDirectory(this.configPath),
+      fragments, loaded;
+
+  if (filePaths.length === 0) {
+    throw new Error('failed to load configuration from ' + this.configPath +
+      ': no configuration files found');
+  }
+
+  fragments = filePaths.map(function(filePath) {
+    return loader.loadFile(filePath, isFragment);
+  });
+  loaded = isFragment ? combineFragments(fragments) : fragments[0];
+  interpolate(loaded.config, loaded.sources);
+  return { config: loaded.config, sources: loaded.sources };
+};
+
+// Reads filePath and merges in its overlay, if any. The overlay must exist
+// unless overlayOptional is true, as it is for fragments.
+ConfigLoader.prototype.loadFile = function(filePath, overlayOptional) {
+  var sources = { '': filePath },
+      config = this.readFile(filePath),
+      overlay;
+
+  if (this.environment) {
+    overlay = overlayPath(filePath, this.environment);
+
+    if (!overlayOptional || fs.existsSync(overlay)) {
+      config = merge(config, this.readFile(overlay), '', overlay, sources);
+    }
+  }
+  return { path: filePath, config: config, sources: sources };
+};
+
+ConfigLoader.prototype.readFile = function(filePath) {
+  var errorPrefix = 'failed to load configuration from ' + filePath + ': ';
+
+  this.logger.info(null, 'reading configuration from', filePath);
+
+  try {
+    return new ConfigParser(filePath).parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (err) {
+    err.message = errorPrefix + err.message;
+    throw err;
+  }
+};
+
+function combineFragments(fragments) {
+  var base = fragments[0],
+      config = base.config,
+      sources = {},
+      rules;
+
+  Object.keys(base.sources).forEach(function(pointer) {
+    if (pointer !== '/rules' && pointer.indexOf('/rules/') !== 0) {
+      sources[pointer] = base.sources[pointer];
+    }
+  });
+
+  fragments.forEach(function(fragment) {
+    var fragmentRules = fragment.config.rules,
+        errorPrefix = 'failed to load configuration from ' + fragment.path +
+          ': ';
+
+    if (!isObject(fragment.config)) {
+      throw new Error(errorPrefix + '/: expected object');
+    } else if (fragment !== base && Object.keys(fragment.config).some(
+        function(key) {
+          return key !== 'rules';
+        })) {
+      throw new Error(errorPrefix + 'only rules may be defined outside ' +
+        'of the base file ' + base.path);
+    }
+    if (fragmentRules === undefined) {
+      return;
+    } else if (!Array.isArray(fragmentRules)) {
+      throw new Error(errorPrefix + '/rules: expected array of objects');
+    }
+
+    rules = rules || [];
+    fragmentRules.forEach(function(rule, index) {
+      var fragmentPointer = jsonPointer.append('/rules', index);
+
+      sources[jsonPointer.append('/rules', rules.length)] =
+        ConfigLoader.sourceOf(fragment.sources, fragmentPointer) +
+        ', rule ' + index;
+      rules.push(rule);
+    });
+  });
+
+  if (rules) {
+    config.rules = rules;
+  }
+  return { config: config, sources: sources };
+}
+
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Objects are merged recursively; any other overlay value, including an
+// array such as rules, replaces the base value entirely.
+function merge(base, overlay, pointer, overlayPath, sources) {
+  if (!isObject(base) || !isObject(overlay)) {
+    sources[pointer] = overlayPath;
+    return overlay;
+  }
+
+  Object.keys(overlay).forEach(function(key) {
+    var valuePointer = jsonPointer.append(pointer, key);
+
+    if (base.hasOwnProperty(key)) {
+      base[key] = merge(base[key], overlay[key], valuePointer, overlayPath,
+        sources);
+    } else {
+      base[key] = overlay[key];
+      sources[valuePointer] = overlayPath;
+    }
+  });
+  return base;
+}
+
+ConfigLoader.sourceOf = function(sources, pointer) {
+  while (!sources.hasOwnProperty(pointer)) {
+    pointer = jsonPointer.parent(pointer);
+  }
+  return sources[pointer];
+};
+
+var VARIABLE = /\$(\$?)\{([A-Za-z_][A-Za-z0-9_]*)(:-([^}]*))?\}/g;
+
+function interpolate(config, sources) {
+  var errors = [];
+
+  if (config !== null && typeof config === 'object') {
+    interpolateValues(config, '', sources, errors);
+  }
+
+  if (errors.length !== 0) {
+    throw new Error('failed to load configuration: ' +
+      'undefined environment variables:\n  ' + errors.join('\n  '));
+  }
+}
+
+function interpolateValues(value, pointer, sources, errors) {
+  Object.keys(value).forEach(function(key) {
+    var valuePointer = jsonPointer.append(pointer, key),
+        item = value[key];
+
+    if (typeof item === 'string') {
+      value[key] = interpolateString(item, valuePointer, sources, errors);
+    } else if (item !== null && typeof item === 'object') {
+      interpolateValues(item, valuePointer, sources, errors);
+    }
+  });
+}
+
+function interpolateString(value, pointer, sources, errors) {
+  var source = ConfigLoader.sourceOf(sources, pointer),
+      variables = [],
+      result;
+
+  result = value.replace(VARIABLE, function(match, escape, name, hasDefault,
+    defaultValue) {
+    var envValue = process.env[name];
+
+    if (escape) {
+      return match.slice(1);
+    }
+    variables.push('${' + name + '}');
+
+    // As in the shell, ${VAR:-default} also applies the default when VAR is
+    // set to the empty string.
+    if (hasDefault !== undefined) {
+      return envValue || defaultValue;
+    } else if (envValue !== undefined) {
+      return envValue;
+    }
+    errors.push(jsonPointer.format(pointer) + ': ' + name + ' (from ' +
+      source + ')');
+    return match;
+  });
+
+  if (variables.length !== 0) {
+    sources[pointer] = variables.join(', ') + ' in ' + source;
+  }
+  return result;
+}
@@ -0,0 +1,152 @@
+'use strict';
+
+var ConfigLoader = require('./config-loader');
+var ConfigParser = require('./config-parser');
+var fs = require('fs');
+
+// MIGRATIONS[n] upgrades a configuration from version n to version n + 1.
+// Configurations without a configVersion field predate versioning and are
+// version 0.
+//
+// Migrations are also applied to fragment and overlay files that contain
+// only some of the configuration's fields, so they must change only the
+// fields that are present.
+var MIGRATIONS = [];
+
+MIGRATIONS.push({
+  description: 'added configVersion',
+  apply: function() {
+  }
+});
+
+exports.CURRENT_VERSION = MIGRATIONS.length;
+
+exports.versionOf = function(config) {
+  return config.configVersion === undefined ? 0 : config.configVersion;
+};
+
+// Applies every migration after the specified version to config, modifying
+// it in place, and returns a description of each.
+exports.migrate = function(config, version) {
+  var applied = [];
+
+  for (; version < MIGRATIONS.length; ++version) {
+    MIGRATIONS[version].apply(config);
+    applied.push('version ' + version + ' to ' + (version + 1) + ': ' +
+      MIGRATIONS[version].description);
+  }
+  return applied;
+};
+
+// Returns a migrated copy of config with configVersion set to
+// CURRENT_VERSION, logging a notice for each migration applied. Returns
+// config itself if it is already current, or if it isn't a valid object.
+exports.upgrade = function(config, logger) {
+  var version = isObject(config) && exports.versionOf(config),
+      result;
+
+  if (!Number.isInteger(version) || version >= exports.CURRENT_VERSION) {
+    return config;
+  }
+
+  result = JSON.parse(JSON.stringify(config));
+  exports.migrate(result, version).forEach(function(description) {
+    if (logger) {
+      logger.info(null, 'migrated configuration from', description);
+    }
+  });
+  if (logger) {
+    logger.info(null, 'run "bin/slack-github-issues migrate" to save the ' +
+      'migrated configuration');
+  }
+  return withVersion(result);
+};
+
+// Rewrites the files from which the configuration at configPath is loaded
+// that the migrations change, saving each original with a ".bak" extension.
+// The version of the base file determines the migrations applied to each
+// file. Files a migration changes are rewritten in full, losing any comments;
+// otherwise the base file's configVersion is updated in place. Overlays that
+// don't exist are skipped. Returns the list of files rewritten.
+exports.migrateFiles = function(configPath, logger) {
+  var loader = new ConfigLoader(configPath, logger),
+      filePaths = loader.paths().filter(function(filePath) {
+        return fs.existsSync(filePath) && !fs.statSync(filePath).isDirectory();
+      }),
+      configs = filePaths.map(function(filePath) {
+        return loader.readFile(filePath);
+      }),
+      version = exports.versionOf(configs[0]),
+      updates;
+
+  if (version >= exports.CURRENT_VERSION) {
+    return [];
+  }
+
+  // Every file is checked before any is written, so that a failure leaves
+  // them all untouched.
+  updates = configs.map(function(config, index) {
+    return migratedText(filePaths[index], config, version, index === 0);
+  });
+
+  return filePaths.filter(function(filePath, index) {
+    if (updates[index] === undefined) {
+      return false;
+    }
+    fs.writeFileSync(filePath + '.bak', fs.readFileSync(filePath));
+    fs.writeFileSync(filePath, updates[index]);
+    logger.info(null, 'migrated', filePath, 'to version',
+      exports.CURRENT_VERSION);
+    return true;
+  });
+};
+
+// Returns the new contents of the file at filePath, or undefined if the
+// migrations don't change it.
+function migratedText(filePath, config, version, isBase) {
+  var parser = new ConfigParser(filePath),
+      original = JSON.stringify(config),
+      text;
+
+  exports.migrate(config, version);
+
+  if (JSON.stringify(config) !== original) {
+    return parser.stringify(isBase ? withVersion(config) : config);
+  } else if (!isBase) {
+    return undefined;
+  }
+
+  text = parser.setVersion(fs.readFileSync(filePath, 'utf8'),
+    exports.CURRENT_VERSION);
+  if (!sameConfig(parser, text, config)) {
+    throw new Error('failed to set configVersion in ' + filePath +
+      '; please set it to ' + exports.CURRENT_VERSION + ' by hand');
+  }
+  return text;
+}
+
+function sameConfig(parser, text, config) {
+  try {
+    return JSON.stringify(withVersion(parser.parse(text))) ===
+      JSON.stringify(withVersion(config));
+  } catch (err) {
+    return false;
+  }
+}
+
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Returns a copy of config with configVersion set to the current version as
+// its first field.
+function withVersion(config) {
+  var result = { configVersion: exports.CURRENT_VERSION };
+
+  Object.keys(config).forEach(function(key) {
+    if (key !== 'configVersion') {
+      result[key] = config[key];
+    }
+  });
+  return result;
+}
@@ -0,0 +1,226 @@
+'use strict';
+
+var path = require('path');
+var yaml = require('js-yaml');
+
+module.exports = ConfigParser;
+
+// Parses and serializes configuration file contents in the format selected
+// by the file's extension. Syntax errors are reported with a line and column
+// number. Files with any other extension are treated as strict JSON.
+function ConfigParser(configPath) {
+  this.format = ConfigParser.FORMATS[
+    path.extname(configPath).toLowerCase()] || JSON_FORMAT;
+}
+
+var JSON_FORMAT = {
+  parse: parseJson,
+  stringify: stringifyJson,
+  setVersion: setJsonVersion
+};
+
+var YAML_FORMAT = {
+  parse: parseYaml,
+  stringify: stringifyYaml,
+  setVersion: setYamlVersion
+};
+
+ConfigParser.FORMATS = {
+  '.json': JSON_FORMAT,
+  '.jsonc': {
+    parse: parseJsonWithComments,
+    stringify: stringifyJson,
+    setVersion: setJsonVersion
+  },
+  '.yaml': YAML_FORMAT,
+  '.yml': YAML_FORMAT
+};
+
+ConfigParser.prototype.parse = function(text) {
+  return this.format.parse(text);
+};
+
+// Comments in the original file are not preserved.
+ConfigParser.prototype.stringify = function(config) {
+  return this.format.stringify(config);
+};
+
+// Returns text with its top-level configVersion field set to version,
+// adding the field if necessary. The rest of the text, including comments, is
+// left as it was. The caller should parse the result to check it, since this
+// doesn't handle every way of writing a configuration.
+ConfigParser.prototype.setVersion = function(text, version) {
+  return this.format.setVersion(text, version);
+};
+
+function stringifyJson(config) {
+  return JSON.stringify(config, null, 2) + '\n';
+}
+
+function stringifyYaml(config) {
+  return yaml.safeDump(config);
+}
+
+function syntaxError(format, line, column, reason) {
+  var err = new SyntaxError('invalid ' + format + ' at line ' + line +
+    ', column ' + column + ': ' + reason);
+
+  err.line = line;
+  err.column = column;
+  return err;
+}
+
+function parseYaml(text) {
+  var result;
+
+  try {
+    result = yaml.safeLoad(text);
+  } catch (err) {
+    if (err instanceof yaml.YAMLException && err.mark) {
+      throw syntaxError('YAML', err.mark.line + 1, err.mark.column + 1,
+        err.reason);
+    }
+    throw err;
+  }
+
+  if (result === undefined || result === null) {
+    throw syntaxError('YAML', 1, 1, 'empty document');
+  }
+  return result;
+}
+
+// Inserts the field before the first field of the top-level object, on its
+// own line if that field is on its own line.
+function setJsonVersion(text, version) {
+  var blanked = blankComments(text),
+      field = '"configVersion": ' + version,
+      existing = /"configVersion"\s*:\s*[^,}\s]+/.exec(blanked),
+      start = blanked.indexOf('{') + 1,
+      gap = /^\s*/.exec(blanked.slice(start))[0],
+      next = start + gap.length,
+      lineBreak = gap.lastIndexOf('\n');
+
+  if (existing) {
+    return text.slice(0, existing.index) + field +
+      text.slice(existing.index + existing[0].length);
+  } else if (blanked[next] === '}') {
+    return text.slice(0, start) + ' ' + field + ' ' + text.slice(start);
+  }
+  return text.slice(0, next) + field + ',' +
+    (lineBreak === -1 ? ' ' : '\n' + gap.slice(lineBreak + 1)) +
+    text.slice(next);
+}
+
+// Inserts the field before the first line that isn't blank, a comment, or a
+// document marker.
+function setYamlVersion(text, version) {
+  var field = 'configVersion: ' + version,
+      existing = /^(configVersion:\s*)[^\s#]+/m,
+      lines = text.split('\n'),
+      index;
+
+  if (existing.test(text)) {
+    return text.replace(existing, '$1' + version);
+  }
+  index = lines.findIndex(function(line) {
+    return !/^(\s*(#.*)?|---\s*|%.*)$/.test(line);
+  });
+  lines.splice(index === -1 ? lines.length : index, 0, field);
+  return lines.join('\n');
+}
+
+function parseJson(text) {
+  try {
+    return JSON.parse(text);
+  } catch (err) {
+    throw jsonSyntaxError(text, err);
+  }
+}
+
+function parseJsonWithComments(text) {
+  return parseJson(blankComments(text));
+}
+
+// Comments are replaced with whitespace, so that positions within the result,
+// such as those of syntax errors, still match the original text.
+function blankComments(text) {
+  return text.replace(COMMENT_OR_STRING, function(match, offset) {
+    if (match[0] === '"') {
+      return match;
+    } else if (match[1] === '*' &&
+        (match.length < 4 || match.slice(-2) !== '*/')) {
+      throw jsonError(text, offset, 'unterminated comment');
+    }
+    return match.replace(/[^\n]/g, ' ');
+  });
+}
+
+// Strings are matched too, so that comment markers within them, as in URLs,
+// are left alone. Block comments match to the end of the text if unclosed.
+var COMMENT_OR_STRING =
+  /"(?:[^"\\\n]|\\.)*"|\/\/[^\n]*|\/\*[\s\S]*?(?:\*\/|$)/g;
+
+function jsonError(text, offset, reason) {
+  var preceding = text.slice(0, offset).split('\n');
+
+  return syntaxError('JSON', preceding.length,
+    preceding[preceding.length - 1].length + 1, reason);
+}
+
+// Converts an error from JSON.parse() into one reporting the line and column.
+// Depending on the version of Node, its message may include the offset of the
+// error, or else an excerpt of the text.
+function jsonSyntaxError(text, err) {
+  var reason = err.message
+    .replace(/, (\.\.\.)?"[\s\S]*" is not valid JSON$/, '')
+    .replace(/( in JSON)? at position \d+( \(line \d+ column \d+\))?$/, '');
+
+  return jsonError(text, errorOffset(text, err),
+    reason[0].toLowerCase() + reason.slice(1));
+}
+
+function errorOffset(text, err) {
+  var offset = reportedOffset(err),
+      low = 0,
+      high = text.length,
+      middle;
+
+  if (offset !== undefined) {
+    return offset;
+  } else if (incomplete(text, err)) {
+    return text.length;
+  }
+
+  // Otherwise find the longest prefix that could still begin valid JSON; the
+  // error is at the character following it.
+  while (high - low > 1) {
+    middle = Math.floor((low + high) / 2);
+
+    if (mayBeginJson(text.slice(0, middle))) {
+      low = middle;
+    } else {
+      high = middle;
+    }
+  }
+  return low;
+}
+
+function reportedOffset(err) {
+  var match = / at position (\d+)/.exec(err.message);
+
+  return match ? +match[1] : undefined;
+}
+
+function incomplete(text, err) {
+  return /end of JSON input/.test(err.message) ||
+    reportedOffset(err) === text.length;
+}
+
+function mayBeginJson(prefix) {
+  try {
+    JSON.parse(prefix);
+    return true;
+  } catch (err) {
+    return incomplete(prefix, err);
+  }
+}
@@ -0,0 +1,95 @@
+'use strict';
+
+var Config = require('./config');
+var ConfigLoader = require('./config-loader');
+var TokenSource = require('./token-source');
+var fs = require('fs');
+
+module.exports = ConfigWatcher;
+
+// Reloads the configuration whenever any of its files or token files changes,
+// passing each new, valid Config to onReload. Invalid changes, including
+// errors thrown by onReload, are logged and otherwise ignored, so the
+// previous configuration stays in effect.
+function ConfigWatcher(logger, onReload) {
+  this.logger = logger;
+  this.onReload = onReload;
+  this.configPath = Config.path();
+  this.interval = ConfigWatcher.POLL_INTERVAL;
+}
+
+// fs.watchFile() polls instead of relying on fs.watch() events, which are
+// lost when editors replace the file rather than writing to it in place.
+ConfigWatcher.POLL_INTERVAL = 2000;
+
+// config is the Config currently in effect, whose token files are watched
+// along with the configuration files.
+ConfigWatcher.prototype.start = function(config) {
+  var watcher = this;
+
+  this.listener = function(current, previous) {
+    if (current.mtime.getTime() !== previous.mtime.getTime()) {
+      watcher.reload();
+    }
+  };
+  this.config = config;
+  this.paths = [];
+  this.updatePaths();
+};
+
+ConfigWatcher.prototype.stop = function() {
+  var listener = this.listener;
+
+  this.paths.forEach(function(configPath) {
+    fs.unwatchFile(configPath, listener);
+  });
+  delete this.listener;
+};
+
+// Files may be added to or removed from a configuration directory, so the set
+// of watched files is updated after every reload attempt.
+ConfigWatcher.prototype.updatePaths = function() {
+  var watcher = this,
+      previous = this.paths,
+      current = new ConfigLoader(this.configPath, this.logger).paths()
+        .concat(TokenSource.filePaths(this.config));
+
+  previous.filter(function(configPath) {
+    return current.indexOf(configPath) === -1;
+  }).forEach(function(configPath) {
+    fs.unwatchFile(configPath, watcher.listener);
+  });
+
+  current.filter(function(configPath) {
+    return previous.indexOf(configPath) === -1;
+  }).forEach(function(configPath) {
+    fs.watchFile(configPath,
+      { persistent: false, interval: watcher.interval }, watcher.listener);
+    watcher.logger.info(null, 'watching', configPath, 'for changes');
+  });
+  this.paths = current;
+};
+
+ConfigWatcher.prototype.reload = function() {
+  var config;
+
+  try {
+    config = Config.fromFile(this.configPath, this.logger);
+    this.onReload(config);
+
+  } catch (err) {
+    this.logger.error(null, 'failed to reload configuration; ' +
+      'keeping the previous configuration:',
+      err instanceof Error ? err.message : err);
+    config = undefined;
+  }
+
+  if (this.listener) {
+    this.config = config || this.config;
+    this.updatePaths();
+  }
+  if (config) {
+    this.logger.info(null, 'reloaded configuration from', this.configPath);
+  }
+  return config;
+};
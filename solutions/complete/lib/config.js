@@ -1,124 +1,706 @@
 'use strict';
 
-var fs = require('fs');
+var ChannelMatcher = require('./channel-matcher');
+var ConfigLoader = require('./config-loader');
+var configMigrations = require('./config-migrations');
+var jsonPointer = require('./json-pointer');
+var ruleOverlap = require('./rule-overlap');
+var template = require('./template');
 var path = require('path');
 
 module.exports = Config;
 
-function Config(configuration, logger) {
-  var config = configuration ||
-        parseConfigFromEnvironmentVariablePathOrUseDefault(logger);
+// If configuration is not provided, it is loaded from Config.path(). sources
+// maps JSON pointers to the files from which their values were loaded, and is
+// used to report the origin of invalid values. Configurations in an older
+// format are migrated to the current format before validation.
+function Config(configuration, logger, sources) {
+  var config = configuration,
+      loaded;
 
-  validate(config);
+  if (!config) {
+    loaded = new ConfigLoader(Config.path(), logger).load();
+    config = loaded.config;
+    sources = loaded.sources;
+  }
+
+  config = configMigrations.upgrade(config, logger);
+  validate(config, sources);
+
+  if (logger && !config.rejectShadowedRules) {
+    ruleOverlap.analyze(config.rules, config.matchMode)
+      .forEach(function(problem) {
+        logger.warning(null, 'configuration warning:',
+          formatError(problem, sources));
+      });
+  }
 
   for (var fieldName in config) {
     if (config.hasOwnProperty(fieldName)) {
       this[fieldName] = config[fieldName];
     }
   }
+  this.rules = config.rules.map(compileRule);
+}
+
+// Returns a copy of rule with a non-enumerable channelMatcher property, so
+// that channel patterns are compiled once rather than for every reaction.
+function compileRule(rule) {
+  var result = Object.assign({}, rule);
+
+  Object.defineProperty(result, 'channelMatcher', {
+    value: new ChannelMatcher(rule.channelNames, rule.excludeChannelNames)
+  });
+  return result;
 }
 
+var EMOJI_NAME = {
+  type: 'string',
+  pattern: /^[a-z0-9_+'-]+$/,
+  patternDescription: 'emoji name'
+};
+
+var TIMEOUT = {
+  type: 'integer',
+  minimum: 1,
+  maximum: 300000
+};
+
+var BASE_URL = {
+  type: 'string',
+  pattern: /^https?:\/\/[^\s]+$/,
+  patternDescription: 'base URL'
+};
+
+var USER_LIST = {
+  type: 'array',
+  minItems: 1,
+  items: { type: 'string', minLength: 1 }
+};
+
+var GITHUB_OWNER = {
+  type: 'string',
+  pattern: /^[A-Za-z0-9][A-Za-z0-9-]*$/,
+  patternDescription: 'GitHub user or organization name'
+};
+
+var GITHUB_USER_NAME = {
+  type: 'string',
+  pattern: GITHUB_OWNER.pattern,
+  patternDescription: 'GitHub user name'
+};
+
+var TOKEN_FILE = {
+  type: 'string',
+  minLength: 1
+};
+
+var ENV_VAR_NAME = {
+  type: 'string',
+  pattern: /^[A-Za-z_][A-Za-z0-9_]*$/,
+  patternDescription: 'environment variable name'
+};
+
+var MAX_MESSAGE_AGE_DAYS = {
+  type: 'integer',
+  minimum: 1,
+  maximum: 3650
+};
+
+var ACTIVE_HOURS = {
+  type: 'object',
+  properties: {
+    start: { type: 'integer', minimum: 0, maximum: 23, required: true },
+    end: { type: 'integer', minimum: 0, maximum: 23, required: true }
+  }
+};
+
+var ACTIVE_DAYS = {
+  type: 'array',
+  minItems: 1,
+  items: {
+    type: 'string',
+    pattern: /^(Sun|Mon|Tue|Wed|Thu|Fri|Sat)$/,
+    patternDescription: 'day of the week'
+  }
+};
+
+var CONVERSATION_TYPES = {
+  type: 'array',
+  minItems: 1,
+  items: {
+    type: 'string',
+    pattern: /^(public_channel|private_channel|mpim|im)$/,
+    patternDescription: 'conversation type'
+  }
+};
+
+var TEMPLATE = {
+  type: 'string',
+  minLength: 1
+};
+
 var schema = {
-  requiredTopLevelFields: {
-    githubUser: 'GitHub username',
-    githubTimeout: 'GitHub API timeout limit in milliseconds',
-    slackTimeout: 'Slack API timeout limit in milliseconds',
-    successReaction: 'emoji used to indicate an issue was successfully filed',
-    rules: 'Slack-reaction-to-GitHub-issue rules'
-  },
-  optionalTopLevelFields: {
-    githubApiBaseUrl: 'Alternate base URL for GitHub API requests',
-    slackApiBaseUrl: 'Alternate base URL for Slack API requests'
-  },
-  requiredRulesFields: {
-    reactionName: 'name of the reaction emoji triggering the rule',
-    githubRepository: 'GitHub repository to which to post issues'
-  },
-  optionalRulesFields: {
-    channelNames: 'names of the Slack channels triggering the rules; ' +
-      'leave undefined to match messages in any Slack channel'
+  type: 'object',
+  properties: {
+    configVersion: {
+      description: 'version of the configuration format; older versions ' +
+        'are migrated automatically',
+      type: 'integer',
+      minimum: 0,
+      maximum: configMigrations.CURRENT_VERSION
+    },
+    githubUser: typed(GITHUB_OWNER, {
+      description: 'GitHub user or organization owning the repositories ' +
+        'to which rules post issues, unless a rule specifies another',
+      required: true
+    }),
+    githubTimeout: typed(TIMEOUT, {
+      description: 'GitHub API timeout limit in milliseconds',
+      required: true
+    }),
+    slackTimeout: typed(TIMEOUT, {
+      description: 'Slack API timeout limit in milliseconds',
+      required: true
+    }),
+    successReaction: typed(EMOJI_NAME, {
+      description: 'emoji used to indicate an issue was successfully filed',
+      required: true
+    }),
+    githubApiBaseUrl: typed(BASE_URL, {
+      description: 'Alternate base URL for GitHub API requests'
+    }),
+    slackApiBaseUrl: typed(BASE_URL, {
+      description: 'Alternate base URL for Slack API requests'
+    }),
+    githubTokenFile: typed(TOKEN_FILE, {
+      description: 'file containing the GitHub API token; reread whenever ' +
+        'it changes',
+      excludes: 'githubTokenEnvVar'
+    }),
+    githubTokenEnvVar: typed(ENV_VAR_NAME, {
+      description: 'environment variable containing the GitHub API token; ' +
+        'defaults to HUBOT_GITHUB_TOKEN'
+    }),
+    slackTokenFile: typed(TOKEN_FILE, {
+      description: 'file containing the Slack API token; reread whenever ' +
+        'it changes',
+      excludes: 'slackTokenEnvVar'
+    }),
+    slackTokenEnvVar: typed(ENV_VAR_NAME, {
+      description: 'environment variable containing the Slack API token; ' +
+        'defaults to HUBOT_SLACK_TOKEN'
+    }),
+    ignoreRestrictedUsers: {
+      description: 'ignore reactions from restricted and single-channel ' +
+        'guest accounts',
+      type: 'boolean'
+    },
+    ignoreBotUsers: {
+      description: 'ignore reactions from bot users',
+      type: 'boolean'
+    },
+    maxMessageAgeDays: typed(MAX_MESSAGE_AGE_DAYS, {
+      description: 'ignore reactions to messages older than this many ' +
+        'days, unless a rule specifies otherwise'
+    }),
+    activeHours: typed(ACTIVE_HOURS, {
+      description: 'hours from start until end during which reactions ' +
+        'file issues, unless a rule specifies otherwise'
+    }),
+    activeDays: typed(ACTIVE_DAYS, {
+      description: 'days of the week on which reactions file issues, ' +
+        'unless a rule specifies otherwise'
+    }),
+    utcOffsetHours: {
+      description: 'offset from UTC of the time zone for activeHours and ' +
+        'activeDays; defaults to 0',
+      type: 'integer',
+      minimum: -12,
+      maximum: 14
+    },
+    titleTemplate: typed(TEMPLATE, {
+      description: 'template for the titles of new issues, replacing the ' +
+        'default title; see lib/template.js for its placeholders'
+    }),
+    bodyTemplate: typed(TEMPLATE, {
+      description: 'template for the bodies of new issues, replacing the ' +
+        'default body; see lib/template.js for its placeholders'
+    }),
+    matchMode: {
+      description: 'whether a reaction files issues for only the "first" ' +
+        'matching rule, the default, for "all" matching rules, or for the ' +
+        '"mostSpecific" matching rule, ranking rules with channelNames ' +
+        'first, then rules restricted to certain users, then by priority',
+      type: 'string',
+      pattern: /^(first|all|mostSpecific)$/,
+      patternDescription: 'match mode'
+    },
+    rejectShadowedRules: {
+      description: 'treat rules that are duplicated or shadowed by earlier ' +
+        'rules as errors rather than warnings',
+      type: 'boolean'
+    },
+    rules: {
+      description: 'Slack-reaction-to-GitHub-issue rules',
+      required: true,
+      type: 'array',
+      minItems: 1,
+      items: {
+        type: 'object',
+        properties: {
+          reactionName: typed(EMOJI_NAME, {
+            description: 'name of the reaction emoji triggering the rule',
+            required: true,
+            alternatives: ['reactionNames', 'reactionLabels']
+          }),
+          reactionNames: {
+            description: 'names of the reaction emoji triggering the rule, ' +
+              'instead of reactionName',
+            type: 'array',
+            minItems: 1,
+            items: EMOJI_NAME,
+            excludes: 'reactionName'
+          },
+          reactionLabels: {
+            description: 'maps the names of reaction emoji triggering the ' +
+              'rule to the label to apply to the issue for each; later ' +
+              'reactions add their labels to the issue already filed',
+            type: 'object',
+            minProperties: 1,
+            keys: EMOJI_NAME,
+            values: { type: 'string', minLength: 1 }
+          },
+          githubRepository: {
+            description: 'GitHub repository to which to post issues, ' +
+              'optionally of the form "owner/repository"',
+            required: true,
+            type: 'string',
+            pattern: /^([A-Za-z0-9][A-Za-z0-9-]*\/)?[A-Za-z0-9_.-]+$/,
+            patternDescription: 'GitHub repository name'
+          },
+          githubOwner: typed(GITHUB_OWNER, {
+            description: 'GitHub user or organization owning ' +
+              'githubRepository, overriding githubUser'
+          }),
+          channelNames: {
+            description: 'names, glob patterns or /regex/ patterns of the ' +
+              'Slack channels triggering the rule; leave undefined to match ' +
+              'messages in any Slack channel',
+            type: 'array',
+            minItems: 1,
+            items: { type: 'string', minLength: 1 }
+          },
+          excludeChannelNames: {
+            description: 'names, glob patterns or /regex/ patterns of ' +
+              'Slack channels in which the rule never matches',
+            type: 'array',
+            minItems: 1,
+            items: { type: 'string', minLength: 1 }
+          },
+          conversationTypes: typed(CONVERSATION_TYPES, {
+            description: 'types of Slack conversation triggering the rule: ' +
+              'public_channel, private_channel, mpim (group direct ' +
+              'message) or im (direct message); leave undefined to match ' +
+              'every type'
+          }),
+          excludeConversationTypes: typed(CONVERSATION_TYPES, {
+            description: 'types of Slack conversation in which the rule ' +
+              'never matches'
+          }),
+          priority: {
+            description: 'ranks rules of equal specificity when matchMode ' +
+              'is "mostSpecific", highest first; defaults to 0',
+            type: 'integer',
+            minimum: -1000,
+            maximum: 1000
+          },
+          labels: {
+            description: 'labels to apply to issues filed by the rule',
+            type: 'array',
+            minItems: 1,
+            items: { type: 'string', minLength: 1 }
+          },
+          assignees: {
+            description: 'GitHub users to whom to assign issues filed by ' +
+              'the rule',
+            type: 'array',
+            minItems: 1,
+            items: GITHUB_USER_NAME
+          },
+          milestone: {
+            description: 'title of the open milestone to which to add ' +
+              'issues filed by the rule',
+            type: 'string',
+            minLength: 1
+          },
+          titleTemplate: typed(TEMPLATE, {
+            description: 'template for the titles of issues filed by the ' +
+              'rule, overriding the global titleTemplate'
+          }),
+          bodyTemplate: typed(TEMPLATE, {
+            description: 'template for the bodies of issues filed by the ' +
+              'rule, overriding the global bodyTemplate'
+          }),
+          includeThread: {
+            description: 'append the rest of the message\'s thread to the ' +
+              'issue body as a quoted transcript',
+            type: 'boolean'
+          },
+          includePrecedingMessages: {
+            description: 'number of messages preceding the message in its ' +
+              'conversation to append to the issue body as a quoted ' +
+              'transcript',
+            type: 'integer',
+            minimum: 1,
+            maximum: 100
+          },
+          continue: {
+            description: 'also evaluate the following rules after this ' +
+              'rule matches, filing an issue for each that matches',
+            type: 'boolean'
+          },
+          textIncludes: {
+            description: 'strings of which the message text must contain ' +
+              'at least one, ignoring case',
+            type: 'array',
+            minItems: 1,
+            items: { type: 'string', minLength: 1 }
+          },
+          textMatches: {
+            description: '/regex/ or /regex/i pattern that the message text ' +
+              'must match',
+            type: 'string',
+            minLength: 1
+          },
+          maxMessageAgeDays: typed(MAX_MESSAGE_AGE_DAYS, {
+            description: 'ignore reactions to messages older than this ' +
+              'many days, overriding the global maxMessageAgeDays'
+          }),
+          activeHours: typed(ACTIVE_HOURS, {
+            description: 'hours during which reactions trigger the rule, ' +
+              'overriding the global activeHours'
+          }),
+          activeDays: typed(ACTIVE_DAYS, {
+            description: 'days of the week on which reactions trigger the ' +
+              'rule, overriding the global activeDays'
+          }),
+          minimumReactions: {
+            description: 'number of people who must react with ' +
+              'reactionName before an issue is filed',
+            type: 'integer',
+            minimum: 1,
+            maximum: 1000
+          },
+          allowedUsers: typed(USER_LIST, {
+            description: 'names or IDs of the only Slack users whose ' +
+              'reactions trigger the rule, along with the members of ' +
+              'allowedUserGroups'
+          }),
+          deniedUsers: typed(USER_LIST, {
+            description: 'names or IDs of Slack users whose reactions never ' +
+              'trigger the rule'
+          }),
+          allowedUserGroups: {
+            description: 'IDs of the Slack user groups whose members\' ' +
+              'reactions trigger the rule, along with allowedUsers',
+            type: 'array',
+            minItems: 1,
+            items: {
+              type: 'string',
+              pattern: /^S[A-Z0-9]+$/,
+              patternDescription: 'Slack user group ID'
+            }
+          }
+        }
+      }
+    }
   }
 };
 
-function validate(config) {
+function typed(typeSchema, fieldSchema) {
+  return Object.assign({}, typeSchema, fieldSchema);
+}
+
+function validate(config, sources) {
   var errors = [],
       errMsg;
 
-  checkRequiredTopLevelFields(config, errors);
-  checkForUnknownFieldNames(config, errors);
+  validateValue(config, schema, '', errors);
 
-  if (config.rules) {
-    checkRequiredRulesFields(config, errors);
-    checkForUnknownRuleFieldNames(config, errors);
+  if (errors.length === 0) {
+    errors = validateActiveHours(config.activeHours, '/activeHours')
+      .concat(validateTemplates(config, ''), validateRules(config.rules,
+        config.bodyTemplate));
+  }
+
+  if (errors.length === 0 && config.rejectShadowedRules) {
+    errors = ruleOverlap.analyze(config.rules, config.matchMode);
   }
 
   if (errors.length !== 0) {
-    errMsg = 'Invalid configuration:\n  ' + errors.join('\n  ');
+    errMsg = 'Invalid configuration:\n  ' + errors.map(function(error) {
+      return formatError(error, sources);
+    }).join('\n  ');
     throw new Error(errMsg);
   }
 }
 
-function parseConfigFromEnvironmentVariablePathOrUseDefault(logger) {
-  var configPath = (process.env.HUBOT_SLACK_GITHUB_ISSUES_CONFIG_PATH ||
-        path.join('config', 'slack-github-issues.json')),
-      errorPrefix = 'failed to load configuration from ' + configPath + ': ';
-  logger.info(null, 'reading configuration from', configPath);
-
-  try {
-    return JSON.parse(fs.readFileSync(configPath, 'utf8'));
-  } catch (err) {
-    if (err instanceof SyntaxError) {
-      errorPrefix = errorPrefix + 'invalid JSON: ';
+// Checks the constraints on rules that the schema can't express:
+//
+// - A rule may specify its repository's owner using either githubOwner or
+//   the "owner/repository" form of githubRepository, but not both.
+// - Channel and textMatches patterns must compile.
+// - activeHours must start and end at different hours.
+// - titleTemplate and bodyTemplate may contain only known placeholders.
+// - The bodyTemplate of a rule with reactionLabels, or else the global one,
+//   must include {{permalink}}, which is how Middleware finds the issue to
+//   label when it doesn't remember filing it.
+function validateRules(rules, globalBodyTemplate) {
+  var errors = [];
+
+  rules.forEach(function(rule, index) {
+    var pointer = jsonPointer.append('/rules', index),
+        message;
+
+    if (rule.githubOwner !== undefined &&
+        rule.githubRepository.indexOf('/') !== -1) {
+      errors.push({
+        pointer: jsonPointer.append(pointer, 'githubOwner'),
+        message: 'may not be used when githubRepository includes the owner'
+      });
     }
-    err.message = errorPrefix + err.message;
-    throw err;
-  }
-}
 
-function checkRequiredTopLevelFields(config, errors) {
-  filterMissingFields(config, schema.requiredTopLevelFields)
-    .forEach(function(fieldName) {
-      errors.push('missing ' + fieldName);
+    ['channelNames', 'excludeChannelNames'].forEach(function(fieldName) {
+      (rule[fieldName] || []).forEach(function(pattern, i) {
+        var message = ChannelMatcher.validate(pattern);
+
+        if (message !== undefined) {
+          errors.push({
+            pointer: jsonPointer.append(
+              jsonPointer.append(pointer, fieldName), i),
+            message: message
+          });
+        }
+      });
     });
+
+    errors.push.apply(errors, validateActiveHours(rule.activeHours,
+      jsonPointer.append(pointer, 'activeHours')));
+    errors.push.apply(errors, validateTemplates(rule, pointer));
+    message = validateReactionLabels(rule, globalBodyTemplate);
+
+    if (message !== undefined) {
+      errors.push({
+        pointer: jsonPointer.append(pointer, 'reactionLabels'),
+        message: message
+      });
+    }
+
+    if (rule.textMatches !== undefined) {
+      message = ChannelMatcher.validateRegExp(rule.textMatches);
+
+      if (message !== undefined) {
+        errors.push({
+          pointer: jsonPointer.append(pointer, 'textMatches'),
+          message: message
+        });
+      }
+    }
+  });
+  return errors;
 }
 
-function filterMissingFields(object, requiredFields) {
-  return Object.keys(requiredFields).filter(function(fieldName) {
-    return !object.hasOwnProperty(fieldName);
+// reactionLabels need {{permalink}} in the body to find existing issues.
+function validateReactionLabels(rule, globalBodyTemplate) {
+  var bodyTemplate = rule.bodyTemplate || globalBodyTemplate;
+
+  if (rule.reactionLabels !== undefined && bodyTemplate !== undefined &&
+      !template.hasPlaceholder(bodyTemplate, 'permalink')) {
+    return 'requires ' + (rule.bodyTemplate ? '' : 'the global ') +
+      'bodyTemplate to include {{permalink}}';
+  }
+}
+
+// Returns an error for each of object's templates containing a placeholder
+// that isn't a template field or the name of a rule field.
+function validateTemplates(object, pointer) {
+  var ruleFields = Object.keys(schema.properties.rules.items.properties);
+
+  return ['titleTemplate', 'bodyTemplate'].filter(function(fieldName) {
+    return object[fieldName] !== undefined;
+  }).map(function(fieldName) {
+    return {
+      pointer: jsonPointer.append(pointer, fieldName),
+      message: template.validate(object[fieldName], ruleFields)
+    };
+  }).filter(function(error) {
+    return error.message !== undefined;
   });
 }
 
-function checkForUnknownFieldNames(config, errors) {
-  filterUnknownFields(config, schema.requiredTopLevelFields,
-    schema.optionalTopLevelFields)
-    .forEach(function(fieldName) {
-      errors.push('unknown property ' + fieldName);
+// activeHours may span midnight, e.g. { "start": 22, "end": 6 }, but an
+// empty range is more likely a mistake than an intent to never file issues.
+function validateActiveHours(activeHours, pointer) {
+  if (activeHours !== undefined && activeHours.start === activeHours.end) {
+    return [{ pointer: pointer, message: 'start and end must differ' }];
+  }
+  return [];
+}
+
+function formatError(error, sources) {
+  var result = jsonPointer.format(error.pointer) + ': ' + error.message;
+
+  if (sources) {
+    result += ' (from ' + ConfigLoader.sourceOf(sources, error.pointer) + ')';
+  }
+  return result;
+}
+
+Config.path = function() {
+  return process.env.HUBOT_SLACK_GITHUB_ISSUES_CONFIG_PATH ||
+    path.join('config', 'slack-github-issues.json');
+};
+
+Config.fromFile = function(configPath, logger) {
+  var loaded = new ConfigLoader(configPath, logger).load();
+  return new Config(loaded.config, logger, loaded.sources);
+};
+
+var typeChecks = {
+  boolean: function(value) {
+    return typeof value === 'boolean';
+  },
+  string: function(value) {
+    return typeof value === 'string';
+  },
+  integer: function(value) {
+    return Number.isInteger(value);
+  },
+  array: function(value) {
+    return Array.isArray(value);
+  },
+  object: function(value) {
+    return value !== null && typeof value === 'object' &&
+      !Array.isArray(value);
+  }
+};
+
+// Appends an error for each violation of fieldSchema by value, identifying
+// each offending value by its JSON pointer (RFC 6901).
+function validateValue(value, fieldSchema, pointer, errors) {
+  var addError = function(expected) {
+    errors.push({ pointer: pointer, message: 'expected ' + expected });
+  };
+
+  if (!typeChecks[fieldSchema.type](value)) {
+    return addError(describeType(fieldSchema));
+  }
+  if (!meetsConstraints(value, fieldSchema)) {
+    return addError(describeConstraints(fieldSchema));
+  }
+
+  if (fieldSchema.type === 'array') {
+    value.forEach(function(item, index) {
+      validateValue(item, fieldSchema.items,
+        jsonPointer.append(pointer, index), errors);
     });
+  } else if (fieldSchema.properties) {
+    validateProperties(value, fieldSchema.properties, pointer, errors);
+  } else if (fieldSchema.type === 'object') {
+    validateEntries(value, fieldSchema, pointer, errors);
+  }
 }
 
-function filterUnknownFields(object, requiredFields, optionalFields) {
-  return Object.keys(object).filter(function(fieldName) {
-    return !requiredFields.hasOwnProperty(fieldName) &&
-      !optionalFields.hasOwnProperty(fieldName);
+// Validates an object whose property names aren't known in advance, such as
+// reactionLabels, against the schemas for its keys and its values.
+function validateEntries(object, fieldSchema, pointer, errors) {
+  Object.keys(object).forEach(function(key) {
+    var keyErrors = [],
+        entryPointer = jsonPointer.append(pointer, key);
+
+    validateValue(key, fieldSchema.keys, entryPointer, keyErrors);
+    keyErrors.forEach(function(error) {
+      errors.push({ pointer: error.pointer, message: 'property name ' +
+        error.message });
+    });
+    validateValue(object[key], fieldSchema.values, entryPointer, errors);
   });
 }
 
-function checkRequiredRulesFields(config, errors) {
-  config.rules.forEach(function(rule, index) {
-    filterMissingFields(rule, schema.requiredRulesFields)
-      .forEach(function(fieldName) {
-        errors.push('rule ' + index + ' missing ' + fieldName);
-      });
-  });
+function meetsConstraints(value, fieldSchema) {
+  switch (fieldSchema.type) {
+  case 'string':
+    return value.length >= (fieldSchema.minLength || 0) &&
+      (!fieldSchema.pattern || fieldSchema.pattern.test(value));
+  case 'integer':
+    return value >= fieldSchema.minimum && value <= fieldSchema.maximum;
+  case 'array':
+    return value.length >= (fieldSchema.minItems || 0);
+  case 'object':
+    return Object.keys(value).length >= (fieldSchema.minProperties || 0);
+  default:
+    return true;
+  }
 }
 
-function checkForUnknownRuleFieldNames(config, errors) {
-  config.rules.forEach(function(rule, index) {
-    filterUnknownFields(rule, schema.requiredRulesFields,
-      schema.optionalRulesFields)
-      .forEach(function(fieldName) {
-        errors.push('rule ' + index +
-          ' contains unknown property ' + fieldName);
+function describeType(fieldSchema) {
+  if (fieldSchema.type === 'array') {
+    return 'array of ' + fieldSchema.items.type + 's';
+  } else if (fieldSchema.values) {
+    return 'object of ' + fieldSchema.values.type + 's';
+  }
+  return fieldSchema.type;
+}
+
+function describeConstraints(fieldSchema) {
+  var description = fieldSchema.patternDescription;
+
+  switch (fieldSchema.type) {
+  case 'string':
+    if (fieldSchema.pattern) {
+      return (/^[aeiou]/i.test(description) ? 'an ' : 'a ') + description +
+        ' matching ' + fieldSchema.pattern;
+    }
+    return 'non-empty string';
+  case 'integer':
+    return 'integer between ' + fieldSchema.minimum + ' and ' +
+      fieldSchema.maximum;
+  default:
+    return 'non-empty ' + describeType(fieldSchema);
+  }
+}
+
+function validateProperties(object, properties, pointer, errors) {
+  Object.keys(properties).forEach(function(fieldName) {
+    var fieldPointer = jsonPointer.append(pointer, fieldName),
+        excludes = properties[fieldName].excludes;
+
+    if (object.hasOwnProperty(fieldName)) {
+      validateValue(object[fieldName], properties[fieldName], fieldPointer,
+        errors);
+      if (excludes && object.hasOwnProperty(excludes)) {
+        errors.push({
+          pointer: fieldPointer,
+          message: 'may not be used with ' +
+            jsonPointer.format(jsonPointer.append(pointer, excludes))
+        });
+      }
+    } else if (properties[fieldName].required &&
+        !(properties[fieldName].alternatives || []).some(function(name) {
+          return object.hasOwnProperty(name);
+        })) {
+      errors.push(
+        { pointer: fieldPointer, message: 'missing required property' });
+    }
+  });
+
+  Object.keys(object).forEach(function(fieldName) {
+    if (!properties.hasOwnProperty(fieldName)) {
+      errors.push({
+        pointer: jsonPointer.append(pointer, fieldName),
+        message: 'unknown property'
       });
+    }
   });
 }
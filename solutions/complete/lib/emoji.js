@@ -0,0 +1,54 @@
+'use strict';
+
+// Helpers for comparing emoji names, which may differ for the same emoji.
+// Reactions with a skin tone have names like "thumbsup::skin-tone-3", many
+// standard emoji have several names, and workspaces may define custom
+// aliases for any emoji.
+
+var SKIN_TONE = /::skin-tone-[2-6]$/;
+
+// Maps alternative names of standard emoji to a single canonical name.
+var ALIASES = exports.ALIASES = {
+  '+1': 'thumbsup',
+  'thumbs_up': 'thumbsup',
+  '-1': 'thumbsdown',
+  'thumbs_down': 'thumbsdown',
+  'bee': 'honeybee',
+  'boat': 'sailboat',
+  'email': 'envelope',
+  'hand': 'raised_hand',
+  'poop': 'hankey',
+  'shit': 'hankey',
+  'knife': 'hocho',
+  'pencil': 'memo',
+  'punch': 'facepunch',
+  'red_car': 'car',
+  'satisfied': 'laughing',
+  'telephone': 'phone',
+  'tshirt': 'shirt',
+  'pout': 'rage'
+};
+
+// Custom aliases may refer to other aliases, but not indefinitely.
+var MAX_ALIAS_DEPTH = 8;
+
+// Returns the canonical name of the emoji called name. customAliases maps the
+// workspace's custom emoji aliases to the names of the emoji they refer to,
+// as returned by SlackClient.getEmojiAliases().
+exports.normalize = function(name, customAliases) {
+  var depth = 0;
+
+  name = name.replace(SKIN_TONE, '');
+
+  while (customAliases && customAliases.hasOwnProperty(name) &&
+      depth++ !== MAX_ALIAS_DEPTH) {
+    name = customAliases[name];
+  }
+  return ALIASES[name] || name;
+};
+
+// Returns true if name and other are names of the same emoji.
+exports.equivalent = function(name, other, customAliases) {
+  return exports.normalize(name, customAliases) ===
+    exports.normalize(other, customAliases);
+};
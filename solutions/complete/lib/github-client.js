@@ -3,51 +3,173 @@
 var http = require('http');
 var https = require('https');
 var packageInfo = require('../package.json');
+var querystring = require('querystring');
 var url = require('url');
 
 module.exports = GitHubClient;
 
-function GitHubClient(config) {
+// token is the GitHub API token, as returned by TokenSource.github().read().
+function GitHubClient(config, token) {
   this.user = config.githubUser;
+  this.token = token;
   this.timeout = config.githubTimeout;
   this.baseurl = url.parse(config.githubApiBaseUrl ||
     GitHubClient.API_BASE_URL);
   this.requestFactory = (this.baseurl.protocol === 'https:') ? https : http;
+  this.milestoneCache = {};
 }
 
 GitHubClient.API_BASE_URL = 'https://api.github.com/';
 
+// How long the open milestones of a repository are cached, in milliseconds.
+GitHubClient.MILESTONE_CACHE_TTL = 5 * 60 * 1000;
+
+// repository may be of the form "owner/repository"; otherwise the owner is
+// the githubUser from the configuration. In addition to the title and body,
+// metadata may contain the labels and assignees of the issue, and the title
+// of its milestone.
 GitHubClient.prototype.fileNewIssue = function(metadata, repository) {
-  return makeApiCall(this, metadata, repository);
+  var client = this,
+      path = repositoryPath(this, repository);
+
+  return resolveMilestone(this, path, metadata.milestone)
+    .then(function(milestone) {
+      return makeApiCall(client, 'POST', 'repos/' + path + '/issues',
+        issueParams(metadata, milestone));
+    })
+    .then(function(issue) {
+      return issue.html_url;
+    });
 };
 
-function getHttpOptions(client, repository, paramsStr) {
-  var baseurl = client.baseurl;
+// Returns a Promise resolving to the first issue in the repository whose body
+// contains text, or to undefined if there is none. The GitHub search index
+// may take a little while to include new issues.
+GitHubClient.prototype.findIssue = function(repository, text) {
+  var path = repositoryPath(this, repository);
+
+  return makeApiCall(this, 'GET', 'search/issues', {
+    q: JSON.stringify(text) + ' in:body type:issue repo:' + path
+  }).then(function(results) {
+    return results.items[0];
+  });
+};
+
+// Adds labels to the issue with the given number, resolving once done.
+GitHubClient.prototype.addLabels = function(repository, number, labels) {
+  return makeApiCall(this, 'POST', 'repos/' + repositoryPath(this, repository) +
+    '/issues/' + number + '/labels', { labels: labels }).then(function() {
+    });
+};
+
+function resolveMilestone(client, path, title) {
+  return title === undefined ? Promise.resolve() :
+    client.getMilestoneNumber(path, title);
+}
+
+// The labels, assignees and milestone are sent only if specified, since
+// setting them requires push access to the repository.
+function issueParams(metadata, milestone) {
+  var params = {
+    title: metadata.title,
+    body: metadata.body
+  };
+
+  if (metadata.labels !== undefined) {
+    params.labels = metadata.labels;
+  }
+  if (metadata.assignees !== undefined) {
+    params.assignees = metadata.assignees;
+  }
+  if (milestone !== undefined) {
+    params.milestone = milestone;
+  }
+  return params;
+}
+
+// Returns a Promise resolving to the number of the open milestone with the
+// given title in the repository. Only the first 100 open milestones are
+// searched. Results are cached for MILESTONE_CACHE_TTL milliseconds; failures
+// aren't.
+GitHubClient.prototype.getMilestoneNumber = function(repository, title) {
+  var path = repositoryPath(this, repository);
+
+  return getMilestones(this, path).then(function(milestones) {
+    if (!milestones.hasOwnProperty(title)) {
+      return Promise.reject(new Error('milestone "' + title +
+        '" not found in ' + path));
+    }
+    return milestones[title];
+  });
+};
+
+// Resolves to an object mapping the titles of the repository's open
+// milestones to their numbers.
+function getMilestones(client, path) {
+  var cache = client.milestoneCache,
+      entry = cache[path],
+      now = Date.now();
+
+  if (entry && entry.expires > now) {
+    return entry.milestones;
+  }
+
+  entry = {
+    expires: now + GitHubClient.MILESTONE_CACHE_TTL,
+    milestones: makeApiCall(client, 'GET', 'repos/' + path + '/milestones',
+      { state: 'open', 'per_page': 100 }).then(function(milestones) {
+        return milestones.reduce(function(numbers, milestone) {
+          numbers[milestone.title] = milestone.number;
+          return numbers;
+        }, {});
+      })
+  };
+  cache[path] = entry;
+
+  entry.milestones.catch(function() {
+    if (cache[path] === entry) {
+      delete cache[path];
+    }
+  });
+  return entry.milestones;
+}
+
+function repositoryPath(client, repository) {
+  return repository.indexOf('/') === -1 ?
+    client.user + '/' + repository : repository;
+}
+
+// GET requests send params in the query string, and others in a JSON body.
+function getHttpOptions(client, method, apiPath, paramsStr) {
+  var baseurl = client.baseurl,
+      headers = {
+        'Accept': 'application/vnd.github.v3+json',
+        'Authorization': 'token ' + client.token,
+        'User-Agent': packageInfo.name + '/' + packageInfo.version
+      };
+
+  if (method === 'GET') {
+    apiPath += '?' + paramsStr;
+  } else {
+    headers['Content-Type'] = 'application/json';
+    headers['Content-Length'] = Buffer.byteLength(paramsStr, 'utf8');
+  }
   return {
     protocol: baseurl.protocol,
     host: baseurl.hostname,
     port: baseurl.port,
-    path: baseurl.pathname + 'repos/' + client.user + '/' + repository +
-      '/issues',
-    method: 'POST',
-    headers: {
-      'Accept': 'application/vnd.github.v3+json',
-      'Authorization': 'token ' + process.env.HUBOT_GITHUB_TOKEN,
-      'Content-Type': 'application/json',
-      'Content-Length': Buffer.byteLength(paramsStr, 'utf8'),
-      'User-Agent': packageInfo.name + '/' + packageInfo.version
-    }
+    path: baseurl.pathname + apiPath,
+    method: method,
+    headers: headers
   };
 }
 
-function makeApiCall(client, metadata, repository) {
-  var paramsStr = JSON.stringify({
-    title: metadata.title,
-    body: metadata.url
-  });
+function makeApiCall(client, method, apiPath, params) {
+  var paramsStr = (method === 'GET') ? querystring.stringify(params) :
+    JSON.stringify(params);
 
   return new Promise(function(resolve, reject) {
-    var httpOptions = getHttpOptions(client, repository, paramsStr),
+    var httpOptions = getHttpOptions(client, method, apiPath, paramsStr),
         req = client.requestFactory.request(httpOptions, function(res) {
           handleResponse(res, resolve, reject);
         });
@@ -56,7 +178,7 @@ function makeApiCall(client, metadata, repository) {
     req.on('error', function(err) {
       reject(new Error('failed to make GitHub API request: ' + err.message));
     });
-    req.end(paramsStr);
+    req.end(method === 'GET' ? undefined : paramsStr);
   });
 }
 
@@ -68,16 +190,45 @@ function handleResponse(res, resolve, reject) {
     result = result + chunk;
   });
   res.on('end', function() {
+    var validationErrors;
+
     if (res.statusCode >= 200 && res.statusCode < 300) {
       try {
-        resolve(JSON.parse(result).html_url);
+        resolve(JSON.parse(result));
       } catch (err) {
         reject(new Error('could not parse JSON response from GitHub API: ' +
           result));
       }
+    } else if (res.statusCode === 422 &&
+        (validationErrors = parseValidationErrors(result)) !== undefined) {
+      reject(new Error('GitHub API validation failed: ' + validationErrors));
     } else {
       reject(new Error('received ' + res.statusCode +
         ' response from GitHub API: ' + result));
     }
   });
 }
+
+// Describes the errors from a 422 Unprocessable Entity response, such as
+// { "field": "assignees", "code": "invalid", "value": "nobody" } when an
+// assignee doesn't have access to the repository. Returns undefined if the
+// response isn't of the expected form.
+function parseValidationErrors(result) {
+  var errors;
+
+  try {
+    errors = JSON.parse(result).errors;
+  } catch (err) {
+    return;
+  }
+  if (!Array.isArray(errors) || errors.length === 0) {
+    return;
+  }
+  return errors.map(function(error) {
+    if (typeof error === 'string') {
+      return error;
+    }
+    return error.message || ((error.code || 'invalid') + ' ' + error.field +
+      (error.value !== undefined ? ' ' + JSON.stringify(error.value) : ''));
+  }).join('; ');
+}
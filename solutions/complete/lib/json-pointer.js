@@ -0,0 +1,18 @@
+'use strict';
+
+// Helpers for building and reporting JSON pointers (RFC 6901), which identify
+// individual values within the configuration in error messages.
+
+exports.append = function(pointer, token) {
+  return pointer + '/' + String(token).replace(/~/g, '~0')
+    .replace(/\//g, '~1');
+};
+
+exports.parent = function(pointer) {
+  return pointer.slice(0, pointer.lastIndexOf('/'));
+};
+
+// The root pointer is the empty string, which is unreadable in a message.
+exports.format = function(pointer) {
+  return pointer || '/';
+};
@@ -14,6 +14,10 @@ Logger.prototype.info = function() {
   this.logger.info.apply(this.logger, addPrefix.apply(null, arguments));
 };
 
+Logger.prototype.warning = function() {
+  this.logger.warning.apply(this.logger, addPrefix.apply(null, arguments));
+};
+
 Logger.prototype.error = function() {
   this.logger.error.apply(this.logger, addPrefix.apply(null, arguments));
 };
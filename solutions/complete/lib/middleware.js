@@ -1,174 +1,952 @@
 'use strict';
 
 var Rule = require('./rule');
+var ruleRanking = require('./rule-ranking');
 var SlackClient = require('./slack-client');
+var slackMarkdown = require('./slack-markdown');
+var template = require('./template');
+var transcript = require('./transcript');
 
 module.exports = Middleware;
 
-function Middleware(config, slackClient, githubClient, logger) {
+// clock provides the current time via clock.now(), as Date.now() does. It
+// defaults to Date, and tests may inject a fixed time.
+function Middleware(config, slackClient, githubClient, logger, clock) {
+  this.logger = logger;
+  this.clock = clock || Date;
+  this.inProgress = {};
+  this.pendingReactions = {};
+  this.filedIssues = new FiledIssues(Middleware.FILED_ISSUES_LIMIT);
+  this.reconfigure(config, slackClient, githubClient);
+}
+
+// The number of messages for which Middleware remembers the issues filed, so
+// that later reactions can label them.
+Middleware.FILED_ISSUES_LIMIT = 1000;
+
+// Swaps in a new configuration and the clients built from it, preserving the
+// inProgress and pendingReactions maps. Messages already being processed
+// finish using the configuration that was current when they arrived.
+Middleware.prototype.reconfigure = function(config, slackClient,
+  githubClient) {
   this.rules = config.rules.map(function(rule) {
     return new Rule(rule);
   });
   this.successReaction = config.successReaction;
+  this.ignoreRestrictedUsers = config.ignoreRestrictedUsers;
+  this.ignoreBotUsers = config.ignoreBotUsers;
+  this.matchMode = config.matchMode || 'first';
+  this.titleTemplate = config.titleTemplate;
+  this.bodyTemplate = config.bodyTemplate;
+  this.timeDefaults = {
+    maxMessageAgeDays: config.maxMessageAgeDays,
+    activeHours: config.activeHours,
+    activeDays: config.activeDays,
+    utcOffsetHours: config.utcOffsetHours
+  };
   this.slackClient = slackClient;
   this.githubClient = githubClient;
-  this.logger = logger;
-  this.inProgress = {};
-}
+};
 
 Middleware.prototype.execute = function(context, next, done) {
+  return safelyExecute(this, context, next, done);
+};
+
+// emojiAliasesChecked is true when retrying after fetching the workspace's
+// custom emoji aliases, so that a failure to fetch them isn't retried. The
+// retry runs through here as well, so that its errors are handled the same.
+function safelyExecute(middleware, context, next, done, emojiAliasesChecked) {
   var errorMessage;
 
   try {
-    return doExecute(this, context, next, done);
+    return doExecute(middleware, context, next, done, emojiAliasesChecked);
 
   } catch (err) {
     errorMessage = 'unhandled error: ' +
       (err instanceof Error ? err.message : err) + '\nmessage: ' +
         JSON.stringify(context.response.message.rawMessage, null, 2);
-    this.logger.error(null, errorMessage);
+    middleware.logger.error(null, errorMessage);
     context.response.reply(errorMessage);
     return next(done);
   }
-};
+}
 
-function doExecute(middleware, context, next, done) {
+function doExecute(middleware, context, next, done, emojiAliasesChecked) {
   var response = context.response,
       message = response.message.rawMessage,
-      rule = middleware.findMatchingRule(message),
+      candidates = middleware.findCandidateRules(message),
       msgId,
-      finish;
+      finish,
+      fetchMessage,
+      reactions;
 
-  if (!rule) {
+  if (candidates.length === 0) {
+    if (!emojiAliasesChecked && mayBeCustomAlias(middleware, message)) {
+      return refreshEmojiAliases(middleware, message).then(function() {
+        return safelyExecute(middleware, context, next, done, true);
+      });
+    }
     return next(done);
   }
 
   msgId = messageId(message);
   if (middleware.inProgress[msgId]) {
     middleware.logger.info(msgId, 'already in progress');
-    return next(done);
+    return deferReaction(middleware, msgId, context, next, done);
   }
   middleware.inProgress[msgId] = true;
 
-  middleware.logger.info(msgId, 'matches rule:', rule);
+  // Pin the current configuration for the rest of this request, in case
+  // reconfigure() is called before it finishes.
+  middleware = Object.assign(Object.create(Middleware.prototype), middleware);
+
   finish = handleFinish(msgId, middleware, response, next, done);
 
-  return getReactions(middleware, msgId, message)
-    .then(fileGitHubIssue(middleware, msgId, rule.githubRepository))
+  // Rules matching the message text need the message from getReactions()
+  // to be selected, so it's fetched at most once, when first needed.
+  fetchMessage = function() {
+    reactions = reactions || getReactions(middleware, msgId, message);
+    return reactions;
+  };
+
+  // Errors must reach finish(), which lets the next queued reaction proceed.
+  return new Promise(function(resolve) {
+    resolve(selectRules(middleware, message, candidates, fetchMessage));
+  })
+    .then(function(rules) {
+      logSelectedRules(middleware, msgId, rules, candidates);
+      return fetchMessage().then(fileGitHubIssues(middleware, msgId, rules,
+        message));
+    })
     .then(addSuccessReaction(middleware, msgId, message))
+    .then(reportFailures)
     .then(handleSuccess(finish), handleFailure(finish));
 }
 
+// Queues a reaction to a message that's already in progress, to check again
+// once the reactions before it finish. The earlier request may have read the
+// message's reactions before this one was added, so this one may yet cross a
+// rule's minimumReactions or add a label from its reactionLabels.
+function deferReaction(middleware, msgId, context, next, done) {
+  var pending = middleware.pendingReactions[msgId] || [];
+
+  pending.push(function() {
+    return middleware.execute(context, next, done);
+  });
+  middleware.pendingReactions[msgId] = pending;
+}
+
+// Executes the next reaction queued by deferReaction(), if any, resolving once
+// it and the rest of the queue finish. Their outcomes are already reported by
+// the time it resolves.
+//
+// A reaction that started processing checks the rest of the queue when it
+// finishes. One that no longer matches any rule, or that failed before it
+// started, doesn't mark the message in progress, so the rest of the queue is
+// checked here instead.
+function checkPendingReaction(middleware, msgId) {
+  var pending = middleware.pendingReactions[msgId] || [],
+      execute = pending.shift(),
+      result;
+
+  if (pending.length === 0) {
+    delete middleware.pendingReactions[msgId];
+  }
+  if (execute === undefined) {
+    return Promise.resolve();
+  }
+
+  result = Promise.resolve(execute()).catch(function() {
+  });
+  if (middleware.inProgress[msgId]) {
+    return result;
+  }
+  return result.then(function() {
+    return checkPendingReaction(middleware, msgId);
+  });
+}
+
 Middleware.prototype.findMatchingRule = function(message) {
-  var slackClient = this.slackClient;
+  return this.findCandidateRules(message)[0];
+};
+
+// Returns the rules matching message in the order in which they're evaluated,
+// excluding those that don't apply at the current time or to the reacting
+// user. Logs the reasons if rules matching the reaction and channel were
+// excluded for either.
+Middleware.prototype.findCandidateRules = function(message) {
+  var slackClient = this.slackClient,
+      now = this.clock.now(),
+      timeDefaults = this.timeDefaults,
+      reasons = [],
+      rules, user, reason;
+
+  if (!isReaction(message)) {
+    return [];
+  }
 
-  if (message && message.type === SlackClient.REACTION_ADDED &&
-      message.item.type === 'message') {
-    return this.rules.find(function(rule) {
-      return rule.match(message, slackClient);
+  rules = this.rules.filter(function(rule) {
+    return rule.match(message, slackClient);
+  });
+  rules = excludeRules(rules, reasons, function(rule) {
+    return rule.timeSkipReason(message, now, timeDefaults);
+  });
+
+  if (rules.length !== 0 && this.restrictsUsers(rules)) {
+    user = slackClient.getUser(message.user);
+    reason = this.userSkipReason(user);
+
+    if (reason !== undefined) {
+      reasons.push(reason);
+      rules = [];
+    }
+    rules = excludeRules(rules, reasons, function(rule) {
+      return rule.userSkipReason(user);
     });
   }
+
+  if (rules.length === 0 && reasons.length !== 0) {
+    this.logger.info(messageId(message), 'ignoring', message.reaction,
+      'reaction:', reasons.join('; '));
+  }
+  return this.matchMode === 'mostSpecific' ? ruleRanking.rank(rules) : rules;
 };
 
-Middleware.prototype.parseMetadata = function(message) {
-  var result = {
-    channel: this.slackClient.getChannelName(message.channel),
-    timestamp: message.message.ts,
-    url: message.message.permalink
+function isReaction(message) {
+  return message && message.type === SlackClient.REACTION_ADDED &&
+    SlackClient.ITEM_TYPES.indexOf(message.item.type) !== -1;
+}
+
+// A reaction that matches no rule may be a custom alias of an emoji that
+// does, if the workspace's aliases haven't been fetched recently.
+function mayBeCustomAlias(middleware, message) {
+  var slackClient = middleware.slackClient;
+
+  return isReaction(message) && slackClient.emojiAliasesExpired() &&
+    !middleware.rules.some(function(rule) {
+      return rule.matchesReactionName(message.reaction,
+        slackClient.emojiAliases);
+    });
+}
+
+function refreshEmojiAliases(middleware, message) {
+  var msgId = messageId(message);
+
+  middleware.logger.info(msgId, 'getting custom emoji aliases');
+  return middleware.slackClient.getEmojiAliases().catch(function(err) {
+    middleware.logger.error(msgId, 'failed to get custom emoji aliases: ' +
+      err.message);
+  });
+}
+
+// Returns the rules for which skipReason(rule) returns undefined, appending
+// the reasons for excluding the others to reasons.
+function excludeRules(rules, reasons, skipReason) {
+  return rules.filter(function(rule) {
+    var reason = skipReason(rule);
+
+    if (reason !== undefined) {
+      reasons.push(reason);
+    }
+    return reason === undefined;
+  });
+}
+
+Middleware.prototype.restrictsUsers = function(rules) {
+  return this.ignoreRestrictedUsers || this.ignoreBotUsers ||
+    rules.some(function(rule) {
+      return rule.restrictsUsers();
+    });
+};
+
+// Returns a description of why reactions from user are ignored regardless of
+// the rules, or undefined if they aren't.
+Middleware.prototype.userSkipReason = function(user) {
+  var name = user.name || user.id;
+
+  if (this.ignoreRestrictedUsers &&
+      (user.is_restricted || user.is_ultra_restricted)) {
+    return 'user ' + name + ' is a restricted account';
+  }
+  if (this.ignoreBotUsers && (user.is_bot || user.id === SLACKBOT_ID)) {
+    return 'user ' + name + ' is a bot';
+  }
+};
+
+var SLACKBOT_ID = 'USLACKBOT';
+
+// In the mostSpecific matchMode, also logs the candidates ranked below the
+// last selected rule.
+function logSelectedRules(middleware, msgId, rules, candidates) {
+  var runnersUp;
+
+  rules.forEach(function(rule) {
+    middleware.logger.info(msgId, 'matches rule:', rule);
+  });
+
+  if (middleware.matchMode === 'mostSpecific') {
+    runnersUp = candidates.slice(
+      candidates.indexOf(rules[rules.length - 1]) + 1);
+
+    if (runnersUp.length !== 0) {
+      middleware.logger.info(msgId, 'runner-up rules:', runnersUp);
+    }
+  }
+}
+
+// Resolves to the candidate rules that apply to the reacting user given the
+// membership of allowedUserGroups, and to the message text. fetchMessage()
+// resolves to the message including its text. Selection stops after the
+// first applicable rule unless that rule sets "continue" or the matchMode is
+// "all". Rejects with a string explaining why each candidate was skipped if
+// none applies.
+function selectRules(middleware, message, candidates, fetchMessage) {
+  var slackClient = middleware.slackClient,
+      user = { id: message.user },
+      selected = [],
+      reasons = [],
+      trySelect;
+
+  if (candidates.some(function(rule) {
+    return rule.allowedUserGroups !== undefined;
+  })) {
+    user = slackClient.getUser(message.user);
+  }
+
+  trySelect = function(index) {
+    var rule = candidates[index];
+
+    if (rule === undefined) {
+      return selected.length !== 0 ? Promise.resolve(selected) :
+        Promise.reject('ignoring ' + message.reaction + ' reaction: ' +
+          reasons.join('; '));
+    }
+    return rule.userGroupSkipReason(user, slackClient)
+      .then(function(reason) {
+        if (reason !== undefined || !rule.filtersText()) {
+          return reason;
+        }
+        return fetchMessage().then(function(reactions) {
+          return rule.textSkipReason(itemText(reactions));
+        });
+      })
+      .then(function(reason) {
+        if (reason !== undefined) {
+          reasons.push(reason);
+          return trySelect(index + 1);
+        }
+        selected.push(rule);
+        return (rule.continue || middleware.matchMode === 'all') ?
+          trySelect(index + 1) : selected;
+      });
   };
+  return trySelect(0);
+}
+
+// Parses the GitHub request metadata from a reactions.get response for a
+// message, file, or file comment. Replies in a thread link to both the reply
+// and the message that started the thread. The body begins with the text of
+// a message or file comment, converted to GitHub Markdown.
+Middleware.prototype.parseMetadata = function(message) {
+  var file = message.file,
+      item = reactedItem(message),
+      channelId = file ? (file.channels || [])[0] : message.channel,
+      conversationType = channelId &&
+        this.slackClient.getConversationType(channelId),
+      result = {
+        channel: channelId && this.slackClient.getChannelName(channelId),
+        timestamp: file ? String(item.created) : item.ts,
+        url: itemPermalink(message)
+      },
+      source,
+      markdown;
+
   result.date = new Date(result.timestamp * 1000);
-  result.title = 'Update from #' + result.channel +
-    ' at ' + result.date.toUTCString();
+
+  if (file) {
+    result.fileTitle = file.title;
+    source = (message.comment ? 'Comment on file "' : 'File "') +
+      file.title + '"' + (channelId ? ' from ' + describeConversation(
+        conversationType, result.channel) : '');
+    result.body = (message.comment ? 'Comment on file: ' : 'File: ') +
+      file.title + '\n' + result.url;
+  } else {
+    source = 'Update from ' +
+      describeConversation(conversationType, result.channel);
+    result.body = result.url;
+
+    if (item['thread_ts'] !== undefined && item['thread_ts'] !== item.ts) {
+      result.parentUrl = slackPermalink(this.slackClient, channelId,
+        item['thread_ts']);
+      result.body += '\nIn reply to: ' + result.parentUrl;
+    }
+  }
+  result.title = source + ' at ' + result.date.toUTCString();
+
+  markdown = (!file || message.comment) &&
+    itemMarkdown(this.slackClient, message);
+
+  if (markdown) {
+    result.markdown = markdown;
+    result.body = markdown + '\n\n' + result.body;
+  }
   return result;
 };
 
+// Converts the text of a message or file comment to GitHub Markdown.
+function itemMarkdown(slackClient, message) {
+  return slackMarkdown.toGitHubMarkdown(itemText(message),
+    markdownResolver(slackClient));
+}
+
+// Returns the names for references in message text, as described in
+// slack-markdown.js.
+function markdownResolver(slackClient) {
+  return {
+    userName: function(userId) {
+      return displayName(slackClient.getUser(userId));
+    },
+    channelName: function(channelId) {
+      return slackClient.getChannelName(channelId);
+    }
+  };
+}
+
+function displayName(user) {
+  var profile = user.profile || {};
+
+  return profile['display_name'] || profile['real_name'] || user.name ||
+    user.id;
+}
+
+// Describes a conversation for an issue title: "#channel" for public and
+// private channels, "direct message with @user", or "group message with
+// alice, bob, carol" for the group direct message "mpdm-alice--bob--carol-1".
+function describeConversation(type, name) {
+  var members;
+
+  switch (type) {
+  case 'im':
+    return 'direct message with @' + name;
+  case 'mpim':
+    members = /^mpdm-(.+)-\d+$/.exec(name);
+    return 'group message with ' +
+      (members ? members[1].split('--').join(', ') : name);
+  default:
+    return '#' + name;
+  }
+}
+
 function messageId(message) {
-  return message.item.channel + ':' + message.item.ts;
+  var item = message.item;
+
+  switch (item.type) {
+  case 'file':
+    return item.file;
+  case 'file_comment':
+    return item['file_comment'];
+  default:
+    return item.channel + ':' + item.ts;
+  }
+}
+
+// Links to channels by name, and to direct messages by ID.
+function slackPermalink(slackClient, channelId, timestamp) {
+  var conversation = Rule.isChannel(
+        slackClient.getConversationType(channelId)) ?
+        slackClient.getChannelName(channelId) : channelId;
+
+  return 'https://' + slackClient.getTeamDomain() + '.slack.com/archives/' +
+    conversation + '/p' + timestamp.replace('.', '');
+}
+
+// Describes a reaction_added event's item before its permalink is known.
+function describeItem(slackClient, item) {
+  switch (item.type) {
+  case 'file':
+    return 'file ' + item.file;
+  case 'file_comment':
+    return 'file comment ' + item['file_comment'];
+  default:
+    return slackPermalink(slackClient, item.channel, item.ts);
+  }
 }
 
 function getReactions(middleware, msgId, message) {
-  var domain = middleware.slackClient.getTeamDomain(),
-      channelName = middleware.slackClient.getChannelName(message.item.channel),
-      timestamp = message.item.ts,
-      permalink = 'https://' + domain + '.slack.com/archives/' +
-        channelName + '/p' + timestamp.replace('.', ''),
+  var description = describeItem(middleware.slackClient, message.item),
       reject;
 
   reject = function(err) {
     return Promise.reject(new Error('failed to get reactions for ' +
-      permalink + ': ' + err.message));
+      description + ': ' + err.message));
   };
 
-  middleware.logger.info(msgId, 'getting reactions for', permalink);
-  return middleware.slackClient.getReactions(message.item.channel, timestamp)
-    .catch(reject);
+  middleware.logger.info(msgId, 'getting reactions for', description);
+  return middleware.slackClient.getReactions(message.item).catch(reject);
 }
 
-function fileGitHubIssue(middleware, msgId, githubRepository) {
+// Returns the message, file comment, or file from a reactions.get response.
+function reactedItem(message) {
+  return message.message || message.comment || message.file;
+}
+
+// File comments don't have permalinks of their own, so they use the file's.
+function itemPermalink(message) {
+  return (message.message || message.file).permalink;
+}
+
+function itemText(message) {
+  if (message.message) {
+    return message.message.text;
+  }
+  return message.comment ? message.comment.comment : message.file.title;
+}
+
+// Files an issue in the repository of each rule, in order, resolving to an
+// object containing the URLs of the issues created and the Errors from those
+// that failed. Rules for a repository already filed into, by an earlier rule
+// or an earlier reaction, are skipped. Rejects if every issue fails. event is
+// the reaction_added message, and message is the reactions.get response.
+//
+// If a rule for another repository still needs more reactions, the object's
+// waiting property is true, so that the success reaction doesn't stop later
+// reactions from filing that rule's issue.
+function fileGitHubIssues(middleware, msgId, rules, event) {
   return function(message) {
-    var metadata,
-        permalink = message.message.permalink,
-        reject;
+    var permalink = itemPermalink(message),
+        reactionName = event.reaction,
+        repositoryPaths = [],
+        targetRules = [],
+        filedPaths = [],
+        waitingPaths = [],
+        reasons = [],
+        contextMessages = {},
+        metadata,
+        fieldValues,
+        fields;
 
     if (alreadyProcessed(message, middleware.successReaction)) {
-      return Promise.reject('already processed ' + permalink);
+      return labelExistingIssues(middleware, msgId, rules, event, permalink);
     }
 
-    metadata = middleware.parseMetadata(message);
-    middleware.logger.info(msgId, 'making GitHub request for', permalink);
+    rules.forEach(function(rule) {
+      var reactionCount = countReactions(message, rule,
+            middleware.slackClient.emojiAliases),
+          repositoryPath = rule.githubRepositoryPath(
+            middleware.githubClient.user);
 
-    reject = function(err) {
-      return Promise.reject(new Error('failed to create a GitHub issue in ' +
-        middleware.githubClient.user + '/' + githubRepository + ': ' +
-        err.message));
+      if (middleware.filedIssues.get(msgId, repositoryPath) !== undefined) {
+        filedPaths.push(repositoryPath);
+      } else if (reactionCount < rule.minimumReactions) {
+        reasons.push(reactionCount + ' of ' + rule.minimumReactions +
+          ' reactions needed');
+        waitingPaths.push(repositoryPath);
+      } else if (repositoryPaths.indexOf(repositoryPath) === -1) {
+        repositoryPaths.push(repositoryPath);
+        targetRules.push(rule);
+      }
+    });
+
+    if (repositoryPaths.length === 0 && filedPaths.length !== 0) {
+      return labelExistingIssues(middleware, msgId, rules, event, permalink);
+    } else if (repositoryPaths.length === 0) {
+      return Promise.reject('ignoring ' + reactionName + ' reaction: ' +
+        reasons.join('; '));
+    }
+
+    metadata = middleware.parseMetadata(message);
+    fields = function() {
+      fieldValues = fieldValues ||
+        templateFields(middleware, event, message, metadata);
+      return fieldValues;
     };
-    return middleware.githubClient.fileNewIssue(metadata, githubRepository)
-      .catch(reject);
+
+    return repositoryPaths.reduce(function(previous, repositoryPath, index) {
+      var rule = targetRules[index];
+
+      return previous.then(function(issues) {
+        return addTranscript(middleware, msgId, rule, event, message,
+          issueMetadata(middleware, metadata, rule, fields, message),
+          contextMessages)
+          .then(function(ruleMetadata) {
+            return fileGitHubIssue(middleware, msgId, ruleMetadata,
+              repositoryPath);
+          })
+          .then(function(issueUrl) {
+            middleware.filedIssues.add(msgId, repositoryPath, issueUrl);
+            issues.urls.push(issueUrl);
+            return issues;
+          }, function(err) {
+            issues.errors.push(err);
+            return issues;
+          });
+      });
+    }, Promise.resolve({
+      action: 'created',
+      urls: [],
+      errors: [],
+      waiting: waitingPaths.some(function(repositoryPath) {
+        return repositoryPaths.indexOf(repositoryPath) === -1;
+      })
+    })).then(rejectIfAllFailed);
+  };
+}
+
+function rejectIfAllFailed(issues) {
+  if (issues.urls.length === 0) {
+    return Promise.reject(new Error(errorMessages(issues.errors)));
+  }
+  return issues;
+}
+
+// Adds the label mapped to the reaction by each rule's reactionLabels to the
+// issue already filed for the message in that rule's repository, resolving
+// like fileGitHubIssues(). Rejects as already processed if no rule maps the
+// reaction to a label.
+function labelExistingIssues(middleware, msgId, rules, event, permalink) {
+  var repositoryPaths = [],
+      labels = [];
+
+  rules.forEach(function(rule) {
+    var label = rule.reactionLabel(event.reaction,
+          middleware.slackClient.emojiAliases),
+        repositoryPath = rule.githubRepositoryPath(
+          middleware.githubClient.user);
+
+    if (label !== undefined && repositoryPaths.indexOf(repositoryPath) === -1) {
+      repositoryPaths.push(repositoryPath);
+      labels.push(label);
+    }
+  });
+
+  if (repositoryPaths.length === 0) {
+    return Promise.reject('already processed ' + permalink);
+  }
+
+  return repositoryPaths.reduce(function(previous, repositoryPath, index) {
+    return previous.then(function(issues) {
+      return labelExistingIssue(middleware, msgId, permalink, repositoryPath,
+        labels[index])
+        .then(function(issueUrl) {
+          issues.urls.push(issueUrl);
+          return issues;
+        }, function(err) {
+          issues.errors.push(err);
+          return issues;
+        });
+    });
+  }, Promise.resolve({ action: 'labeled', urls: [], errors: [] }))
+    .then(rejectIfAllFailed);
+}
+
+function labelExistingIssue(middleware, msgId, permalink, repositoryPath,
+  label) {
+  var githubClient = middleware.githubClient,
+      reject;
+
+  reject = function(err) {
+    return Promise.reject(new Error('failed to add label "' + label +
+      '" in ' + repositoryPath + ': ' + err.message));
+  };
+
+  middleware.logger.info(msgId, 'adding label', label, 'to issue for',
+    permalink);
+  return findExistingIssue(middleware, msgId, permalink, repositoryPath)
+    .then(function(issue) {
+      if (issue === undefined) {
+        return Promise.reject(new Error('no issue found for ' + permalink));
+      }
+      return githubClient.addLabels(repositoryPath, issue.number, [label])
+        .then(function() {
+          return issue['html_url'];
+        });
+    })
+    .catch(reject);
+}
+
+// Resolves to metadata with a transcript of the surrounding messages that the
+// rule includes appended to its body. contextMessages caches the Promises for
+// these messages across rules. Failing to get them isn't fatal; the issue is
+// filed without them.
+function addTranscript(middleware, msgId, rule, event, message, metadata,
+  contextMessages) {
+  var slackClient = middleware.slackClient,
+      item = event.item,
+      threadTs = reactedItem(message)['thread_ts'],
+      count = rule.includePrecedingMessages,
+      sections = [],
+      fetch;
+
+  fetch = function(key, title, getMessages) {
+    contextMessages[key] = contextMessages[key] || getMessages();
+    sections.push(contextMessages[key].then(function(messages) {
+      return { title: title, messages: messages };
+    }));
+  };
+
+  if (item.type !== 'message') {
+    return Promise.resolve(metadata);
+  }
+  if (count !== undefined) {
+    fetch('preceding:' + count, 'Preceding messages', function() {
+      return slackClient.getPrecedingMessages(item.channel,
+        threadTs || item.ts, count);
+    });
+  }
+  if (rule.includeThread && threadTs !== undefined) {
+    fetch('thread', 'Thread', function() {
+      return otherThreadMessages(slackClient, item, threadTs);
+    });
+  }
+  if (sections.length === 0) {
+    return Promise.resolve(metadata);
+  }
+
+  middleware.logger.info(msgId, 'getting context for', metadata.url);
+  return Promise.all(sections).then(function(sections) {
+    var text = transcript.render(sections, markdownResolver(slackClient));
+
+    return text.length === 0 ? metadata :
+      Object.assign({}, metadata, { body: metadata.body + '\n\n' + text });
+  }, function(err) {
+    middleware.logger.error(msgId, 'failed to get context for ' +
+      metadata.url + ': ' + err.message);
+    return metadata;
+  });
+}
+
+// Excludes the reacted message, which already begins the issue body.
+function otherThreadMessages(slackClient, item, threadTs) {
+  return slackClient.getThreadMessages(item.channel, threadTs,
+    transcript.MAX_MESSAGES).then(function(messages) {
+      return messages.filter(function(message) {
+        return message.ts !== item.ts;
+      });
+    });
+}
+
+// Resolves to the issue filed for the message in the repository, or to
+// undefined if there is none. Issues filed before the robot last started
+// aren't remembered, so those are found by searching for the message's
+// permalink, which Config ensures that issue bodies contain. The search index
+// may take a little while to include new issues.
+function findExistingIssue(middleware, msgId, permalink, repositoryPath) {
+  var issueUrl = middleware.filedIssues.get(msgId, repositoryPath),
+      number = issueUrl && /\/issues\/(\d+)$/.exec(issueUrl);
+
+  if (number) {
+    return Promise.resolve({ number: +number[1], 'html_url': issueUrl });
+  }
+  return middleware.githubClient.findIssue(repositoryPath, permalink);
+}
+
+// Remembers the URLs of the issues filed for up to limit messages, forgetting
+// those filed the longest ago first.
+function FiledIssues(limit) {
+  this.limit = limit;
+  this.messageIds = [];
+  this.urls = {};
+}
+
+FiledIssues.prototype.add = function(msgId, repositoryPath, issueUrl) {
+  if (!this.urls.hasOwnProperty(msgId)) {
+    this.messageIds.push(msgId);
+    this.urls[msgId] = {};
+  }
+  this.urls[msgId][repositoryPath] = issueUrl;
+
+  while (this.messageIds.length > this.limit) {
+    delete this.urls[this.messageIds.shift()];
+  }
+};
+
+FiledIssues.prototype.get = function(msgId, repositoryPath) {
+  return this.urls.hasOwnProperty(msgId) ?
+    this.urls[msgId][repositoryPath] : undefined;
+};
+
+// Returns the values of the template fields described in template.js.
+function templateFields(middleware, event, message, metadata) {
+  var slackClient = middleware.slackClient;
+
+  return {
+    channel: metadata.channel,
+    author: userName(slackClient, reactedItem(message).user),
+    reactingUser: userName(slackClient, event.user),
+    reaction: event.reaction,
+    text: itemText(message),
+    markdown: metadata.markdown,
+    date: metadata.date.toUTCString(),
+    permalink: metadata.url
   };
 }
 
+function userName(slackClient, userId) {
+  return userId && (slackClient.getUser(userId).name || userId);
+}
+
+// Returns the metadata for the issue filed by rule, including its labels,
+// assignees and milestone. The labels include those that the rule's
+// reactionLabels map to any of the message's reactions.
+function issueMetadata(middleware, metadata, rule, fields, message) {
+  var result = applyTemplates(middleware, metadata, rule, fields),
+      labels = issueLabels(middleware, rule, message);
+
+  if (labels === undefined && rule.assignees === undefined &&
+      rule.milestone === undefined) {
+    return result;
+  }
+  return Object.assign({}, result, {
+    labels: labels,
+    assignees: rule.assignees,
+    milestone: rule.milestone
+  });
+}
+
+function issueLabels(middleware, rule, message) {
+  var labels = (rule.labels || []).slice();
+
+  reactedItem(message).reactions.forEach(function(reaction) {
+    var label = rule.reactionLabel(reaction.name,
+      middleware.slackClient.emojiAliases);
+
+    if (label !== undefined && labels.indexOf(label) === -1) {
+      labels.push(label);
+    }
+  });
+  return labels.length !== 0 ? labels : rule.labels;
+}
+
+// Returns metadata with its title and body replaced by the rule's templates,
+// or else the global templates, if either is defined. fields() returns the
+// template field values, which are computed only if a template applies.
+// Titles are limited to a single line.
+function applyTemplates(middleware, metadata, rule, fields) {
+  var titleTemplate = rule.titleTemplate || middleware.titleTemplate,
+      bodyTemplate = rule.bodyTemplate || middleware.bodyTemplate,
+      result;
+
+  if (titleTemplate === undefined && bodyTemplate === undefined) {
+    return metadata;
+  }
+  result = Object.assign({}, metadata);
+
+  if (titleTemplate !== undefined) {
+    result.title = template.render(titleTemplate, fields(), rule)
+      .replace(/\s+/g, ' ').trim();
+  }
+  if (bodyTemplate !== undefined) {
+    result.body = template.render(bodyTemplate, fields(), rule);
+  }
+  return result;
+}
+
+function fileGitHubIssue(middleware, msgId, metadata, repositoryPath) {
+  var reject = function(err) {
+    return Promise.reject(new Error('failed to create a GitHub issue in ' +
+      repositoryPath + ': ' + err.message));
+  };
+
+  middleware.logger.info(msgId, 'making GitHub request for', metadata.url);
+  return middleware.githubClient.fileNewIssue(metadata, repositoryPath)
+    .catch(reject);
+}
+
+function errorMessages(errors) {
+  return errors.map(function(err) {
+    return err.message;
+  }).join('; ');
+}
+
 function alreadyProcessed(message, successReaction) {
-  return message.message.reactions.find(function(reaction) {
+  return reactedItem(message).reactions.find(function(reaction) {
     return reaction.name === successReaction;
   });
 }
 
+// Returns the number of people who reacted to the message with any of the
+// rule's reactions, including variants with skin tones and aliases.
+// reactions.get may truncate the list of users for popular reactions, in
+// which case this counts reactions instead.
+function countReactions(message, rule, customAliases) {
+  var users = [],
+      total = 0,
+      complete = true;
+
+  reactedItem(message).reactions.forEach(function(reaction) {
+    if (!rule.matchesReactionName(reaction.name, customAliases)) {
+      return;
+    }
+    total += reaction.count;
+    complete = complete && reaction.users !== undefined &&
+      reaction.users.length === reaction.count;
+
+    (reaction.users || []).forEach(function(user) {
+      if (users.indexOf(user) === -1) {
+        users.push(user);
+      }
+    });
+  });
+  return complete ? users.length : total;
+}
+
+// Adds the success reaction once any issue is created, so that the message
+// isn't processed again even if filing some of its issues failed. Messages
+// whose existing issues were labeled already have it, and messages with rules
+// still waiting for more reactions don't get it yet.
 function addSuccessReaction(middleware, msgId, message) {
-  return function(issueUrl) {
-    var channel = message.item.channel,
-        timestamp = message.item.ts,
-        reaction = middleware.slackClient.successReaction,
+  return function(issues) {
+    var reaction = middleware.slackClient.successReaction,
         resolve, reject;
 
+    if (issues.action !== 'created' || issues.waiting) {
+      return Promise.resolve(issues);
+    }
+
     resolve = function() {
-      return Promise.resolve(issueUrl);
+      return Promise.resolve(issues);
     };
 
     reject = function(err) {
-      return Promise.reject(new Error('created ' + issueUrl +
-        ' but failed to add ' + reaction + ': ' + err.message));
+      issues.errors.push(new Error('failed to add ' + reaction + ': ' +
+        err.message));
+      return Promise.resolve(issues);
     };
 
     middleware.logger.info(msgId, 'adding', reaction);
-    return middleware.slackClient.addSuccessReaction(channel, timestamp)
+    return middleware.slackClient.addSuccessReaction(message.item)
       .then(resolve, reject);
   };
 }
 
+function reportFailures(issues) {
+  if (issues.errors.length !== 0) {
+    return Promise.reject(new Error(issues.action + ' ' +
+      issues.urls.join(', ') + ' but ' + errorMessages(issues.errors)));
+  }
+  return Promise.resolve(issues);
+}
+
 function handleSuccess(finish) {
-  return function(issueUrl) {
-    finish('created: ' + issueUrl);
-    return Promise.resolve(issueUrl);
+  return function(issues) {
+    return finish(issues.action + ': ' + issues.urls.join(', '))
+      .then(function() {
+        return issues.urls;
+      });
   };
 }
 
 function handleFailure(finish) {
   return function(err) {
-    finish(err);
-    return Promise.reject(err);
+    return finish(err).then(function() {
+      return Promise.reject(err);
+    });
   };
 }
 
+// Returns a function that reports the outcome of a request and then checks
+// any reactions to the same message that arrived in the meantime, returning a
+// Promise that resolves once they finish.
 function handleFinish(messageId, middleware, response, next, done) {
   return function(message) {
     if (message instanceof Error) {
@@ -177,10 +955,11 @@ function handleFinish(messageId, middleware, response, next, done) {
       middleware.logger.info(messageId, message);
     }
 
-    if (!(message.startsWith && message.startsWith('already '))) {
+    if (!(message.startsWith && /^(already|ignoring) /.test(message))) {
       response.reply(message);
     }
     delete middleware.inProgress[messageId];
     next(done);
+    return checkPendingReaction(middleware, messageId);
   };
 }
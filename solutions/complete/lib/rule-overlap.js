@@ -0,0 +1,157 @@
+'use strict';
+
+var ChannelMatcher = require('./channel-matcher');
+var emoji = require('./emoji');
+var jsonPointer = require('./json-pointer');
+var Rule = require('./rule');
+var ruleRanking = require('./rule-ranking');
+var SlackClient = require('./slack-client');
+
+// Middleware.findMatchingRule() uses the first rule that matches a message,
+// so a rule is dead if an earlier rule matches the same reaction in every
+// channel and type of conversation it does. analyze() returns a
+// { pointer, message } object describing each such rule, and each channel in
+// a rule's channelNames that an earlier rule already handles.
+//
+// A rule restricted to certain users, to messages containing certain text,
+// or by its own maxMessageAgeDays, activeHours or activeDays doesn't shadow
+// later rules, since they still apply to every other user and message.
+// Neither does a rule with "continue" set, nor any rule when the matchMode
+// is "all", since later rules are evaluated after they match. When the
+// matchMode is "mostSpecific", rules are compared in the order of their
+// ranking rather than their configuration order.
+//
+// Whether one glob or /regex/ pattern covers another can't be determined in
+// general, so only channelNames entries that are plain channel names are
+// reported as shadowed by an earlier rule's patterns.
+exports.analyze = function(rules, matchMode) {
+  var problems = [],
+      order = rules.map(function(rule, index) {
+        return index;
+      }),
+      compiled = rules.map(function(rule) {
+        return new Rule(rule);
+      });
+
+  if (matchMode === 'all') {
+    return problems;
+  } else if (matchMode === 'mostSpecific') {
+    order = ruleRanking.rankIndices(compiled);
+  }
+
+  order.forEach(function(index, position) {
+    var rule = rules[index],
+        pointer = rulePointer(index),
+        shadowedChannels = [],
+        j, i, earlier, overlap;
+
+    for (j = 0; j !== position; ++j) {
+      i = order[j];
+      earlier = compiled[i];
+
+      if (!coversReactions(earlier, compiled[index]) ||
+          !coversConversationTypes(earlier, rule) ||
+          earlier.restrictsUsers() || earlier.filtersText() ||
+          restrictsTime(earlier) || earlier.continue) {
+        continue;
+      }
+      overlap = channelOverlap(earlier.channelMatcher, rule);
+
+      if (overlap === true) {
+        problems.push({
+          pointer: pointer,
+          message: (isDuplicate(rules[i], rule) ? 'duplicates ' :
+            'is shadowed by ') + rulePointer(i) + ' and will never match'
+        });
+        return;
+      }
+      overlap.forEach(function(channel) {
+        if (shadowedChannels.indexOf(channel) === -1) {
+          shadowedChannels.push(channel);
+          problems.push({
+            pointer: jsonPointer.append(pointer, 'channelNames'),
+            message: 'channel ' + channel + ' is shadowed by ' + rulePointer(i)
+          });
+        }
+      });
+    }
+  });
+  return problems;
+};
+
+function rulePointer(index) {
+  return jsonPointer.append('/rules', index);
+}
+
+// Returns true if the earlier rule's matcher matches every channel the later
+// rule does, or else a list of the channels from later's channelNames that
+// the earlier rule also matches.
+//
+// A rule without channelNames following rules with them is the intended way
+// to handle every other channel, so that isn't reported as an overlap.
+function channelOverlap(earlierMatcher, later) {
+  var shared;
+
+  if (earlierMatcher.matchesAll()) {
+    return true;
+  } else if (later.channelNames === undefined) {
+    return [];
+  }
+  shared = later.channelNames.filter(function(channel) {
+    return ChannelMatcher.isLiteral(channel) &&
+      earlierMatcher.matches(channel);
+  });
+  return shared.length === later.channelNames.length ? true : shared;
+}
+
+// Returns true if every reaction triggering later also triggers earlier.
+// Custom emoji aliases aren't known until runtime, so they aren't considered.
+function coversReactions(earlier, later) {
+  var earlierNames = reactionNames(earlier);
+
+  return reactionNames(later).every(function(name) {
+    return earlierNames.indexOf(name) !== -1;
+  });
+}
+
+// Returns true if earlier applies to every type of conversation that later
+// does. Rules with channelNames apply only to public and private channels.
+function coversConversationTypes(earlier, later) {
+  var earlierTypes = conversationTypes(earlier);
+
+  return conversationTypes(later).every(function(type) {
+    return earlierTypes.indexOf(type) !== -1;
+  });
+}
+
+function conversationTypes(rule) {
+  var excluded = rule.excludeConversationTypes || [];
+
+  return (rule.conversationTypes || SlackClient.CONVERSATION_TYPES)
+    .filter(function(type) {
+      return excluded.indexOf(type) === -1 &&
+        (rule.channelNames === undefined || Rule.isChannel(type));
+    });
+}
+
+function reactionNames(rule) {
+  return rule.reactionNameList().map(function(name) {
+    return emoji.normalize(name);
+  });
+}
+
+function restrictsTime(rule) {
+  return rule.maxMessageAgeDays !== undefined ||
+    rule.activeHours !== undefined || rule.activeDays !== undefined;
+}
+
+function isDuplicate(lhs, rhs) {
+  return canonicalize(lhs) === canonicalize(rhs);
+}
+
+function canonicalize(rule) {
+  return JSON.stringify(Object.keys(rule).sort().map(function(key) {
+    var value = rule[key];
+    return [key, Array.isArray(value) ? value.slice().sort() : value];
+  }));
+}
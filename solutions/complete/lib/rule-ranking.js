@@ -0,0 +1,59 @@
+'use strict';
+
+// Ranks rules for the "mostSpecific" matchMode, in which Middleware evaluates
+// the rules matching a reaction from the most to the least specific instead
+// of in configuration order. In order of precedence:
+//
+// - rules with channelNames rank above rules matching any channel
+// - rules restricted to certain users rank above unrestricted rules
+// - rules with a higher priority rank above rules with a lower one
+//
+// Rules that tie keep their configuration order. These functions accept both
+// Rule objects and rules from the configuration.
+
+var Rule = require('./rule');
+
+// Returns a copy of rules ordered from the most to the least specific.
+exports.rank = function(rules) {
+  return exports.rankIndices(rules).map(function(index) {
+    return rules[index];
+  });
+};
+
+// Returns the indices of rules ordered from the most to the least specific.
+exports.rankIndices = function(rules) {
+  var scores = rules.map(specificity);
+
+  return rules.map(function(rule, index) {
+    return index;
+  }).sort(function(lhs, rhs) {
+    return compareScores(scores[lhs], scores[rhs]) || lhs - rhs;
+  });
+};
+
+// Returns a negative number if lhs is more specific than rhs, a positive
+// number if it's less specific, and zero if they tie.
+exports.compare = function(lhs, rhs) {
+  return compareScores(specificity(lhs), specificity(rhs));
+};
+
+function compareScores(lhsScore, rhsScore) {
+  var i;
+
+  for (i = 0; i !== lhsScore.length; ++i) {
+    if (lhsScore[i] !== rhsScore[i]) {
+      return rhsScore[i] - lhsScore[i];
+    }
+  }
+  return 0;
+}
+
+function specificity(rule) {
+  rule = rule instanceof Rule ? rule : new Rule(rule);
+
+  return [
+    rule.channelNames !== undefined ? 1 : 0,
+    rule.restrictsUsers() ? 1 : 0,
+    rule.priority || 0
+  ];
+}
@@ -1,27 +1,275 @@
 'use strict';
 
+var ChannelMatcher = require('./channel-matcher');
+var emoji = require('./emoji');
+
 module.exports = Rule;
 
+// Config compiles each rule's channel patterns once, so rules from a Config
+// reuse its ChannelMatcher. Rules built from other objects compile their own.
 function Rule(configRule) {
   for (var property in configRule) {
     if (configRule.hasOwnProperty(property)) {
       this[property] = configRule[property];
     }
   }
+  Object.defineProperty(this, 'channelMatcher', {
+    value: configRule.channelMatcher ||
+      new ChannelMatcher(this.channelNames, this.excludeChannelNames)
+  });
+  Object.defineProperty(this, 'textPattern', {
+    value: this.textMatches && ChannelMatcher.compileRegExp(this.textMatches)
+  });
 }
 
 Rule.prototype.match = function(message, slackClient) {
-  return (this.reactionMatches(message) &&
-    this.channelMatches(message, slackClient));
+  return this.skipReason(message, slackClient) === undefined;
+};
+
+// Returns a description of why the rule doesn't match message, or undefined
+// if it does.
+Rule.prototype.skipReason = function(message, slackClient) {
+  var names;
+
+  if (!this.reactionMatches(message, slackClient.emojiAliases)) {
+    names = this.reactionNameList();
+    return 'reaction ' + message.reaction + ' does not match ' +
+      (names.length === 1 ? names[0] : 'any of ' + names.join(', '));
+  }
+  return this.conversationSkipReason(message, slackClient);
+};
+
+// Returns a description of why the rule doesn't apply to the conversation
+// containing message, or undefined if it does. channelNames and
+// excludeChannelNames apply only to public and private channels, so a rule
+// specifying channelNames never matches direct messages. Only looks up the
+// channel name if the rule doesn't match every channel.
+Rule.prototype.conversationSkipReason = function(message, slackClient) {
+  var channelId = message.item.channel,
+      type;
+
+  if (this.channelMatcher.matchesAll() && !this.restrictsConversationTypes()) {
+    return;
+  }
+  // Reactions to files and file comments have no channel.
+  if (channelId === undefined) {
+    return this.channelNames === undefined &&
+      this.conversationTypes === undefined ? undefined :
+      message.item.type + ' has no channel to match ' +
+        (this.channelNames ? 'channelNames' : 'conversationTypes');
+  }
+  type = slackClient.getConversationType(channelId);
+
+  if (this.conversationTypes !== undefined &&
+      this.conversationTypes.indexOf(type) === -1) {
+    return 'conversation type ' + type + ' does not match conversationTypes';
+  }
+  if (this.excludeConversationTypes !== undefined &&
+      this.excludeConversationTypes.indexOf(type) !== -1) {
+    return 'conversation type ' + type + ' matches excludeConversationTypes';
+  }
+  if (this.channelMatcher.matchesAll()) {
+    return;
+  }
+  if (!Rule.isChannel(type)) {
+    return this.channelNames === undefined ? undefined :
+      CONVERSATION_DESCRIPTIONS[type] + ' has no channel to match channelNames';
+  }
+  return this.channelSkipReason(slackClient.getChannelName(channelId));
+};
+
+var CONVERSATION_DESCRIPTIONS = {
+  mpim: 'group direct message',
+  im: 'direct message'
+};
+
+// Returns true if conversations of type have channel names, as opposed to
+// direct messages.
+Rule.isChannel = function(type) {
+  return type === 'public_channel' || type === 'private_channel';
+};
+
+Rule.prototype.restrictsConversationTypes = function() {
+  return this.conversationTypes !== undefined ||
+    this.excludeConversationTypes !== undefined;
+};
+
+Rule.prototype.channelSkipReason = function(channelName) {
+  if (!this.channelMatcher.included(channelName)) {
+    return 'channel ' + channelName + ' does not match channelNames';
+  } else if (this.channelMatcher.excluded(channelName)) {
+    return 'channel ' + channelName + ' matches excludeChannelNames';
+  }
+};
+
+Rule.prototype.restrictsUsers = function() {
+  return this.allowedUsers !== undefined || this.deniedUsers !== undefined ||
+    this.allowedUserGroups !== undefined;
+};
+
+// Returns a description of why the rule doesn't apply to reactions from user,
+// or undefined if it may. Membership in allowedUserGroups requires a Slack
+// API call, so it's checked separately by userGroupSkipReason().
+Rule.prototype.userSkipReason = function(user) {
+  if (includesUser(this.deniedUsers, user)) {
+    return 'user ' + describeUser(user) + ' is in deniedUsers';
+  }
+  if (this.allowedUsers !== undefined &&
+      this.allowedUserGroups === undefined &&
+      !includesUser(this.allowedUsers, user)) {
+    return 'user ' + describeUser(user) + ' is not in allowedUsers';
+  }
+};
+
+// Returns a Promise resolving to a description of why the rule doesn't apply
+// to reactions from user because of allowedUserGroups, or to undefined if it
+// may.
+Rule.prototype.userGroupSkipReason = function(user, slackClient) {
+  var rule = this;
+
+  if (this.allowedUserGroups === undefined ||
+      includesUser(this.allowedUsers, user)) {
+    return Promise.resolve();
+  }
+  return Promise.all(this.allowedUserGroups.map(function(userGroupId) {
+    return slackClient.getUserGroupMembers(userGroupId);
+  })).then(function(memberLists) {
+    var isMember = memberLists.some(function(members) {
+      return members.indexOf(user.id) !== -1;
+    });
+
+    if (!isMember) {
+      return 'user ' + describeUser(user) + ' is not in ' +
+        (rule.allowedUsers ? 'allowedUsers or ' : '') + 'allowedUserGroups';
+    }
+  });
+};
+
+// Returns true if the rule depends on the message text, which isn't available
+// until after the Slack reactions.get API call.
+Rule.prototype.filtersText = function() {
+  return this.textIncludes !== undefined || this.textMatches !== undefined;
+};
+
+// Returns a description of why the rule doesn't apply to a message containing
+// text, or undefined if it does. textIncludes matches if the text contains
+// any of its strings, ignoring case.
+Rule.prototype.textSkipReason = function(text) {
+  var lowerCaseText;
+
+  text = text || '';
+  lowerCaseText = text.toLowerCase();
+
+  if (this.textIncludes !== undefined &&
+      !this.textIncludes.some(function(substring) {
+        return lowerCaseText.indexOf(substring.toLowerCase()) !== -1;
+      })) {
+    return 'message text does not include any of textIncludes';
+  }
+  if (this.textPattern !== undefined && !this.textPattern.test(text)) {
+    return 'message text does not match textMatches';
+  }
+};
+
+// Returns a description of why the rule doesn't apply to a reaction added to
+// message at time now, in milliseconds since the epoch, or undefined if it
+// may. defaults contains the global maxMessageAgeDays, activeHours and
+// activeDays, which apply unless the rule specifies its own, and the
+// utcOffsetHours of the time zone for activeHours and activeDays.
+//
+// Only messages have a timestamp in the reaction_added event, so
+// maxMessageAgeDays doesn't apply to files or file comments.
+Rule.prototype.timeSkipReason = function(message, now, defaults) {
+  var maxAgeDays = this.maxMessageAgeDays || defaults.maxMessageAgeDays,
+      activeHours = this.activeHours || defaults.activeHours,
+      activeDays = this.activeDays || defaults.activeDays,
+      localTime = new Date(now + (defaults.utcOffsetHours || 0) * HOUR_MS),
+      hour = localTime.getUTCHours(),
+      day = DAYS[localTime.getUTCDay()];
+
+  if (maxAgeDays !== undefined && message.item.ts !== undefined &&
+      now - message.item.ts * 1000 > maxAgeDays * DAY_MS) {
+    return 'message is older than ' + maxAgeDays + ' day' +
+      (maxAgeDays === 1 ? '' : 's');
+  }
+  if (activeDays !== undefined && activeDays.indexOf(day) === -1) {
+    return 'reaction on ' + day + ' is outside activeDays';
+  }
+  if (activeHours !== undefined && !withinHours(hour, activeHours)) {
+    return 'reaction at hour ' + hour + ' is outside activeHours';
+  }
+};
+
+var HOUR_MS = 60 * 60 * 1000;
+var DAY_MS = 24 * HOUR_MS;
+var DAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// Returns true if hour is in the range from activeHours.start up to but not
+// including activeHours.end, which wraps around midnight if end < start.
+function withinHours(hour, activeHours) {
+  if (activeHours.start < activeHours.end) {
+    return hour >= activeHours.start && hour < activeHours.end;
+  }
+  return hour >= activeHours.start || hour < activeHours.end;
+}
+
+// Returns true if list contains the user's ID or name.
+function includesUser(list, user) {
+  return list !== undefined &&
+    (list.indexOf(user.id) !== -1 || list.indexOf(user.name) !== -1);
+}
+
+function describeUser(user) {
+  return user.name || user.id;
+}
+
+// Returns the "owner/repository" path of the repository in which to file
+// issues. The owner is taken from githubRepository if it's of that form,
+// then from githubOwner, then from defaultOwner.
+Rule.prototype.githubRepositoryPath = function(defaultOwner) {
+  if (this.githubRepository.indexOf('/') !== -1) {
+    return this.githubRepository;
+  }
+  return (this.githubOwner || defaultOwner) + '/' + this.githubRepository;
+};
+
+// Returns reactionNames, or reactionName if that's specified instead,
+// followed by the reactions from reactionLabels.
+Rule.prototype.reactionNameList = function() {
+  var names = this.reactionNames ||
+    (this.reactionName === undefined ? [] : [this.reactionName]);
+
+  return names.concat(Object.keys(this.reactionLabels || {}).filter(
+    function(name) {
+      return names.indexOf(name) === -1;
+    }));
+};
+
+// Returns the label from reactionLabels for the reaction named reactionName,
+// or undefined if it has none. customAliases is described in emoji.js.
+Rule.prototype.reactionLabel = function(reactionName, customAliases) {
+  var labels = this.reactionLabels || {},
+      match = Object.keys(labels).find(function(name) {
+        return emoji.equivalent(name, reactionName, customAliases);
+      });
+
+  return match && labels[match];
+};
+
+// Returns true if the reaction named reactionName triggers the rule, ignoring
+// skin tones and emoji aliases. customAliases is described in emoji.js.
+Rule.prototype.matchesReactionName = function(reactionName, customAliases) {
+  return this.reactionNameList().some(function(name) {
+    return emoji.equivalent(name, reactionName, customAliases);
+  });
 };
 
-Rule.prototype.reactionMatches = function(message) {
-  return message.reaction === this.reactionName;
+Rule.prototype.reactionMatches = function(message, customAliases) {
+  return this.matchesReactionName(message.reaction, customAliases);
 };
 
+// Files and file comments have no channel, so they match only rules that
+// don't specify channelNames or conversationTypes.
 Rule.prototype.channelMatches = function(message, slackClient) {
-  var channels = this.channelNames,
-      channelId = message.item.channel;
-  return channels === undefined ||
-    channels.indexOf(slackClient.getChannelName(channelId)) !== -1;
+  return this.conversationSkipReason(message, slackClient) === undefined;
 };
@@ -7,38 +7,244 @@ var url = require('url');
 
 module.exports = SlackClient;
 
-function SlackClient(robotSlackClient, config) {
+// token is the Slack API token, as returned by TokenSource.slack().read().
+function SlackClient(robotSlackClient, config, token) {
   this.client = robotSlackClient;
+  this.token = token;
   this.timeout = config.slackTimeout;
   this.successReaction = config.successReaction;
   this.baseurl = url.parse(config.slackApiBaseUrl || SlackClient.API_BASE_URL);
   this.requestFactory = (this.baseurl.protocol === 'https:') ? https : http;
+  this.userGroupCache = {};
+  this.emojiAliases = {};
 }
 
 SlackClient.API_BASE_URL = 'https://slack.com/api/';
 
+// How long the members of a user group are cached, in milliseconds.
+SlackClient.USER_GROUP_CACHE_TTL = 5 * 60 * 1000;
+
+// How long the workspace's custom emoji aliases are cached, in milliseconds.
+SlackClient.EMOJI_CACHE_TTL = 15 * 60 * 1000;
+
+// How long a failure to get the custom emoji aliases is cached before trying
+// again, in milliseconds. Some failures, like a token missing the emoji:read
+// scope, persist, so failures aren't retried for every reaction.
+SlackClient.EMOJI_FAILURE_TTL = 60 * 1000;
+
 // From: https://api.slack.com/events/reaction_added
 // May get this directly from a future version of the slack-client package.
 SlackClient.REACTION_ADDED = 'reaction_added';
 
+// The types of items to which reactions may be added.
+SlackClient.ITEM_TYPES = ['message', 'file', 'file_comment'];
+
+// The types of conversation in which messages may appear, using the names
+// from the Slack conversations API. A multiparty instant message, or mpim,
+// is a direct message between three or more users.
+SlackClient.CONVERSATION_TYPES = [
+  'public_channel', 'private_channel', 'mpim', 'im'
+];
+
+// Returns the type of the conversation channelId, one of CONVERSATION_TYPES.
+// As in the robot's Slack client, the first letter of the ID distinguishes
+// public channels, private groups, and direct messages.
+SlackClient.prototype.getConversationType = function(channelId) {
+  var group;
+
+  switch (channelId[0]) {
+  case 'C':
+    return 'public_channel';
+  case 'G':
+    group = this.client.getGroupByID(channelId);
+    return group && (group.is_mpim || /^mpdm-/.test(group.name)) ?
+      'mpim' : 'private_channel';
+  default:
+    return 'im';
+  }
+};
+
+// Returns the name of the conversation channelId. Group direct messages have
+// names like "mpdm-alice--bob--carol-1", and direct messages take the name of
+// the other user. Falls back to the ID if the conversation isn't known.
 SlackClient.prototype.getChannelName = function(channelId) {
-  return this.client.getChannelByID(channelId).name;
+  var conversation;
+
+  switch (this.getConversationType(channelId)) {
+  case 'public_channel':
+    conversation = this.client.getChannelByID(channelId);
+    break;
+  case 'im':
+    conversation = this.client.getDMByID(channelId);
+    return (conversation && (conversation.name ||
+      this.getUser(conversation.user).name)) || channelId;
+  default:
+    conversation = this.client.getGroupByID(channelId);
+  }
+  return (conversation && conversation.name) || channelId;
+};
+
+// Returns the Slack user object for userId, or an object containing only the
+// ID if the user isn't known.
+SlackClient.prototype.getUser = function(userId) {
+  return this.client.getUserByID(userId) || { id: userId };
+};
+
+// Returns a Promise resolving to the IDs of the members of a user group.
+// Results are cached for USER_GROUP_CACHE_TTL milliseconds; failures aren't.
+SlackClient.prototype.getUserGroupMembers = function(userGroupId) {
+  var cache = this.userGroupCache,
+      entry = cache[userGroupId],
+      now = Date.now();
+
+  if (entry && entry.expires > now) {
+    return entry.members;
+  }
+
+  entry = {
+    expires: now + SlackClient.USER_GROUP_CACHE_TTL,
+    members: makeApiCall(this, 'usergroups.users.list',
+      { usergroup: userGroupId }).then(function(response) {
+        return response.users;
+      })
+  };
+  cache[userGroupId] = entry;
+
+  entry.members.catch(function() {
+    if (cache[userGroupId] === entry) {
+      delete cache[userGroupId];
+    }
+  });
+  return entry.members;
+};
+
+// Returns a Promise resolving to an object mapping each of the workspace's
+// custom emoji aliases to the name of the emoji it refers to. The most
+// recent result is also available as emojiAliases, for matching reactions
+// without waiting on the Slack API. Results are cached for EMOJI_CACHE_TTL
+// milliseconds, and failures for EMOJI_FAILURE_TTL milliseconds.
+SlackClient.prototype.getEmojiAliases = function() {
+  var client = this,
+      entry = this.emojiCache,
+      now = Date.now();
+
+  if (entry && entry.expires > now) {
+    return entry.aliases;
+  }
+
+  entry = {
+    expires: now + SlackClient.EMOJI_CACHE_TTL,
+    aliases: makeApiCall(this, 'emoji.list', {}).then(function(response) {
+      client.emojiAliases = parseEmojiAliases(response.emoji);
+      return client.emojiAliases;
+    })
+  };
+  this.emojiCache = entry;
+
+  entry.aliases.catch(function() {
+    entry.expires = Date.now() + SlackClient.EMOJI_FAILURE_TTL;
+  });
+  return entry.aliases;
 };
 
+// Returns true if getEmojiAliases() would make a new Slack API call.
+SlackClient.prototype.emojiAliasesExpired = function() {
+  return !(this.emojiCache && this.emojiCache.expires > Date.now());
+};
+
+// emoji.list maps each custom emoji name to either its image URL or, for an
+// alias, "alias:" followed by the name of the emoji it refers to.
+function parseEmojiAliases(emoji) {
+  var aliases = {};
+
+  Object.keys(emoji).forEach(function(name) {
+    var match = /^alias:(.+)$/.exec(emoji[name]);
+
+    if (match) {
+      aliases[name] = match[1];
+    }
+  });
+  return aliases;
+}
+
 SlackClient.prototype.getTeamDomain = function() {
   return this.client.team.domain;
 };
 
-SlackClient.prototype.getReactions = function(channel, timestamp) {
-  return makeApiCall(this, 'reactions.get',
-    { channel: channel, timestamp: timestamp });
+// item is the item from a reaction_added event: a message, file, or file
+// comment. The response contains a "message", "file", or "file" and
+// "comment" property, respectively.
+SlackClient.prototype.getReactions = function(item) {
+  return makeApiCall(this, 'reactions.get', itemParams(item));
+};
+
+SlackClient.prototype.addSuccessReaction = function(item) {
+  var params = itemParams(item);
+
+  params.name = this.successReaction;
+  return makeApiCall(this, 'reactions.add', params);
+};
+
+// The most messages requested per page from the conversations API, which
+// recommends no more than 200.
+SlackClient.PAGE_SIZE = 200;
+
+// Returns a Promise resolving to up to limit messages from the thread
+// started by the message with timestamp threadTs, including that message,
+// in chronological order.
+SlackClient.prototype.getThreadMessages = function(channelId, threadTs,
+  limit) {
+  return getMessages(this, 'conversations.replies',
+    { channel: channelId, ts: threadTs }, limit);
 };
 
-SlackClient.prototype.addSuccessReaction = function(channel, timestamp) {
-  return makeApiCall(this, 'reactions.add',
-    { channel: channel, timestamp: timestamp, name: this.successReaction });
+// Returns a Promise resolving to up to limit messages posted in the
+// conversation before the message with timestamp ts, in chronological order.
+SlackClient.prototype.getPrecedingMessages = function(channelId, ts, limit) {
+  return getMessages(this, 'conversations.history',
+    { channel: channelId, latest: ts }, limit)
+    .then(function(messages) {
+      return messages.reverse();
+    });
 };
 
+// Collects up to limit messages from a paginated conversations API method,
+// requesting each page after the first using the previous page's cursor.
+function getMessages(client, method, params, limit) {
+  var messages = [],
+      getPage;
+
+  getPage = function(cursor) {
+    var pageParams = Object.assign({}, params, {
+      limit: Math.min(limit - messages.length, SlackClient.PAGE_SIZE)
+    });
+
+    if (cursor) {
+      pageParams.cursor = cursor;
+    }
+    return makeApiCall(client, method, pageParams).then(function(response) {
+      var nextCursor = (response['response_metadata'] || {})['next_cursor'];
+
+      messages = messages.concat(response.messages.slice(
+        0, limit - messages.length));
+      return (nextCursor && messages.length < limit) ?
+        getPage(nextCursor) : messages;
+    });
+  };
+  return getPage();
+}
+
+function itemParams(item) {
+  switch (item.type) {
+  case 'file':
+    return { file: item.file };
+  case 'file_comment':
+    return { 'file_comment': item.file_comment };
+  default:
+    return { channel: item.channel, timestamp: item.ts };
+  }
+}
+
 function getHttpOptions(client, method, queryParams) {
   var baseurl = client.baseurl;
   return {
@@ -54,7 +260,7 @@ function makeApiCall(client, method, params) {
   return new Promise(function(resolve, reject) {
     var httpOptions, req;
 
-    params.token = process.env.HUBOT_SLACK_TOKEN;
+    params.token = client.token;
     httpOptions = getHttpOptions(client, method, params);
 
     req = client.requestFactory.request(httpOptions, function(res) {
@@ -0,0 +1,135 @@
+'use strict';
+
+// Converts message text from Slack's mrkdwn format to GitHub Markdown:
+//
+// - <@U123> user and <#C123|name> channel references become `@name` and
+//   #name; mentions are put in code spans so they don't notify GitHub users
+//   who happen to share a Slack user's name
+// - <!here>, <!channel> and <!everyone> become `@here`, etc., and other
+//   special commands like <!date^...|fallback> become their fallback text,
+//   with user group mentions like <!subteam^S123|@team> also in code spans
+// - <url|label> links become [label](url)
+// - *bold*, _italic_ and ~strike~ become **bold**, *italic* and ~~strike~~
+// - ```code blocks``` become fenced code blocks on lines of their own
+// - > and >>> quotes become Markdown quotes
+// - lines starting with # are escaped so they don't become headings
+//
+// Slack escapes &, < and > as HTML entities. These are kept in regular text,
+// where GitHub renders them as the literal characters rather than as HTML,
+// and unescaped in code, where GitHub doesn't decode them.
+//
+// resolve.userName(id) and resolve.channelName(id) return the names for
+// references that don't include them. Either may be omitted, in which case
+// the ID is used.
+exports.toGitHubMarkdown = function(text, resolve) {
+  resolve = resolve || {};
+
+  return convertLines(text || '').split(CODE).map(function(segment, i) {
+    switch (i % 3) {
+    case 0:
+      return convertText(segment, resolve);
+    case 1:
+      return segment === undefined ? '' : codeBlock(segment);
+    default:
+      return segment === undefined ? '' : '`' + unescape(segment) + '`';
+    }
+  }).join('')
+    .replace(/[ \t]*\n\n```\n/g, '\n\n```\n')
+    .replace(/\n```\n\n[ \t]*/g, '\n```\n\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .replace(/^\n+|\n+$/g, '');
+};
+
+// Splitting on this yields the text between code, followed by the content
+// of a code block or of inline code, with the other undefined.
+var CODE = /```([\s\S]*?)```|`([^`\n]+)`/;
+
+// Surrounds the code with blank lines, since Slack code blocks may begin and
+// end in the middle of a line.
+function codeBlock(code) {
+  return '\n\n```\n' + unescape(code.replace(/^\n|\n$/g, '')) + '\n```\n\n';
+}
+
+// Converts quotes and escapes headings at the start of each line outside of
+// code blocks. ">>>" quotes the rest of the message. Slack quotes a single
+// line, so a blank line ends each quote; otherwise GitHub would continue the
+// quote onto the following line.
+function convertLines(text) {
+  var inCode = false,
+      inQuote = false,
+      quoteRest = false;
+
+  return text.split('\n').map(function(line) {
+    var startsInCode = inCode,
+        endsQuote = inQuote;
+
+    inCode = (line.split('```').length % 2 === 0) ? !inCode : inCode;
+    inQuote = false;
+
+    if (quoteRest) {
+      return '> ' + line;
+    } else if (startsInCode) {
+      return line;
+    } else if (/^&gt;&gt;&gt;/.test(line)) {
+      quoteRest = true;
+      return '> ' + line.replace(/^&gt;&gt;&gt; ?/, '');
+    } else if (/^&gt;/.test(line)) {
+      inQuote = true;
+      return '> ' + line.replace(/^&gt; ?/, '');
+    }
+    return (endsQuote && line.length !== 0 ? '\n' : '') +
+      line.replace(/^#/, '\\#');
+  }).join('\n');
+}
+
+function convertText(text, resolve) {
+  return text
+    .replace(/<([^<>\n]+)>/g, function(match, reference) {
+      return convertReference(reference, resolve);
+    })
+    .replace(emphasis('\\*'), '$1**$2**')
+    .replace(emphasis('_'), '$1*$2*')
+    .replace(emphasis('~'), '$1~~$2~~');
+}
+
+// Returns a RegExp matching text surrounded by marker, capturing the
+// preceding character and the text. As in Slack, the marker must be preceded
+// by the start of a line, whitespace, punctuation or another marker, and may
+// not be adjacent to whitespace inside the text.
+function emphasis(marker) {
+  return new RegExp('(^|[\\s([{"\'>*_~])' + marker + '([^\\s' + marker +
+    '](?:[^' + marker + '\\n]*[^\\s' + marker + '])?)' + marker +
+    '(?=$|[\\s)\\]}.,;:!?"\'&*_~])', 'gm');
+}
+
+// Converts the contents of a <...> reference.
+function convertReference(reference, resolve) {
+  var separator = reference.indexOf('|'),
+      target = separator === -1 ? reference : reference.slice(0, separator),
+      label = separator === -1 ? undefined : reference.slice(separator + 1);
+
+  switch (target[0]) {
+  case '@':
+    return '`@' + (label || lookUp(resolve.userName, target.slice(1))) + '`';
+  case '#':
+    return '#' + (label || lookUp(resolve.channelName, target.slice(1)));
+  case '!':
+    label = label || '@' + target.slice(1);
+    return label[0] === '@' ? '`' + label + '`' : label;
+  default:
+    if (label === undefined || label === target ||
+        'mailto:' + label === target) {
+      return target.replace(/^mailto:/, '');
+    }
+    return '[' + label.replace(/([[\]])/g, '\\$1') + '](' + target + ')';
+  }
+}
+
+function lookUp(resolver, id) {
+  return (resolver && resolver(id)) || id;
+}
+
+function unescape(text) {
+  return text.replace(/&lt;/g, '<').replace(/&gt;/g, '>')
+    .replace(/&amp;/g, '&');
+}
@@ -0,0 +1,71 @@
+'use strict';
+
+// Renders the titleTemplate and bodyTemplate of issues. Each placeholder of
+// the form {{name}} is replaced by the field of that name, and each of the
+// form {{rule.name}} by the field of that name from the matching rule. Rule
+// fields that are lists are joined with ", ", and those that are undefined
+// are replaced with an empty string.
+
+var PLACEHOLDER = /\{\{([^{}]*)\}\}/g;
+
+// The fields available to every template. text is the message text as sent
+// by Slack, and markdown is the same text converted to GitHub Markdown.
+exports.FIELDS = [
+  'channel', 'author', 'reactingUser', 'reaction', 'text', 'markdown', 'date',
+  'permalink'
+];
+
+// Returns a message listing the unknown placeholders in template, or
+// undefined if there are none. ruleFields are the names of the fields a rule
+// may contain.
+exports.validate = function(template, ruleFields) {
+  var unknown = placeholders(template).filter(function(name) {
+    var ruleField = /^rule\.(.+)$/.exec(name);
+
+    return ruleField ? ruleFields.indexOf(ruleField[1]) === -1 :
+      exports.FIELDS.indexOf(name) === -1;
+  }).map(function(name) {
+    return '{{' + name + '}}';
+  });
+
+  if (unknown.length !== 0) {
+    return 'unknown placeholder' + (unknown.length === 1 ? ' ' : 's ') +
+      unknown.join(', ');
+  }
+};
+
+// Returns true if template contains the placeholder {{name}}.
+exports.hasPlaceholder = function(template, name) {
+  return placeholders(template).indexOf(name) !== -1;
+};
+
+function placeholders(template) {
+  var names = [],
+      match;
+
+  PLACEHOLDER.lastIndex = 0;
+  while ((match = PLACEHOLDER.exec(template)) !== null) {
+    names.push(match[1].trim());
+  }
+  return names;
+}
+
+// Returns template with its placeholders replaced by the values from fields
+// and rule.
+exports.render = function(template, fields, rule) {
+  return template.replace(PLACEHOLDER, function(placeholder, name) {
+    var ruleField = /^rule\.(.+)$/.exec(name.trim());
+
+    return format(ruleField ? rule[ruleField[1]] : fields[name.trim()]);
+  });
+};
+
+function format(value) {
+  if (value === undefined || value === null) {
+    return '';
+  }
+  if (Array.isArray(value)) {
+    return value.join(', ');
+  }
+  return typeof value === 'object' ? JSON.stringify(value) : String(value);
+}
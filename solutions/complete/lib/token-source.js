@@ -0,0 +1,65 @@
+'use strict';
+
+var fs = require('fs');
+
+module.exports = TokenSource;
+
+// Reads an API token from a file, if filePath is defined, or else from the
+// environment variable envVarName. Error messages identify where the token
+// was expected, but never include any part of the token itself.
+function TokenSource(serviceName, filePath, envVarName) {
+  this.serviceName = serviceName;
+  this.filePath = filePath;
+  this.envVarName = envVarName;
+}
+
+TokenSource.github = function(config) {
+  return new TokenSource('GitHub', config.githubTokenFile,
+    config.githubTokenEnvVar || 'HUBOT_GITHUB_TOKEN');
+};
+
+TokenSource.slack = function(config) {
+  return new TokenSource('Slack', config.slackTokenFile,
+    config.slackTokenEnvVar || 'HUBOT_SLACK_TOKEN');
+};
+
+// Returns the token files named by config, which should be watched for
+// changes so that tokens may be rotated without restarting Hubot.
+TokenSource.filePaths = function(config) {
+  if (!config) {
+    return [];
+  }
+  return [TokenSource.github(config), TokenSource.slack(config)]
+    .map(function(source) {
+      return source.filePath;
+    })
+    .filter(function(filePath) {
+      return filePath !== undefined;
+    });
+};
+
+// Surrounding whitespace, such as a trailing newline, is removed.
+TokenSource.prototype.read = function() {
+  var token;
+
+  if (this.filePath === undefined) {
+    token = (process.env[this.envVarName] || '').trim();
+    if (!token) {
+      throw new Error(this.serviceName + ' token environment variable ' +
+        this.envVarName + ' is not set');
+    }
+    return token;
+  }
+
+  try {
+    token = fs.readFileSync(this.filePath, 'utf8').trim();
+  } catch (err) {
+    throw new Error('failed to read ' + this.serviceName + ' token from ' +
+      this.filePath + ': ' + (err.code || err.message));
+  }
+  if (!token) {
+    throw new Error(this.serviceName + ' token file ' + this.filePath +
+      ' is empty');
+  }
+  return token;
+};
@@ -0,0 +1,90 @@
+'use strict';
+
+var slackMarkdown = require('./slack-markdown');
+
+// Renders the messages surrounding a reacted message, such as the messages
+// preceding it or the rest of its thread, as a quoted transcript for the
+// issue body. Each section begins with its title, and each message with its
+// author and time:
+//
+//   **Thread:**
+//
+//   > `@alice` at Wed, 13 Feb 2013 19:13:24 GMT:
+//   > Converted message text
+//
+// Transcripts longer than MAX_LENGTH characters omit their oldest messages,
+// noting how many were omitted from each section.
+
+// Keeps transcripts well within GitHub's limit on the size of issue bodies.
+exports.MAX_LENGTH = 20000;
+
+// The most messages fetched for a thread.
+exports.MAX_MESSAGES = 100;
+
+// sections is a list of { title, messages } objects, where messages are
+// from the Slack API in chronological order. resolve is as described in
+// slack-markdown.js. Returns the empty string if there are no messages.
+exports.render = function(sections, resolve) {
+  var entries = [],
+      omitted = sections.map(function() {
+        return 0;
+      }),
+      length = 0;
+
+  resolve = resolve || {};
+
+  sections.forEach(function(section, index) {
+    section.messages.forEach(function(message) {
+      var text = renderMessage(message, resolve);
+
+      entries.push({ section: index, text: text });
+      length += text.length + 2;
+    });
+  });
+
+  while (entries.length !== 0 && length > exports.MAX_LENGTH) {
+    length -= entries[0].text.length + 2;
+    omitted[entries.shift().section]++;
+  }
+
+  return sections.map(function(section, index) {
+    var texts = entries.filter(function(entry) {
+      return entry.section === index;
+    }).map(function(entry) {
+      return entry.text;
+    });
+
+    if (omitted[index] !== 0) {
+      texts.unshift('_' + omitted[index] + ' earlier message' +
+        (omitted[index] === 1 ? '' : 's') + ' omitted_');
+    }
+    return texts.length === 0 ? '' :
+      ['**' + section.title + ':**'].concat(texts).join('\n\n');
+  }).filter(function(text) {
+    return text.length !== 0;
+  }).join('\n\n');
+};
+
+function renderMessage(message, resolve) {
+  var date = new Date(message.ts * 1000).toUTCString(),
+      text = slackMarkdown.toGitHubMarkdown(message.text, resolve),
+      lines = [author(message, resolve) + ' at ' + date + ':'];
+
+  if (text.length !== 0) {
+    lines = lines.concat(text.split('\n'));
+  }
+  return lines.map(function(line) {
+    return line.length === 0 ? '>' : '> ' + line;
+  }).join('\n');
+}
+
+// Messages from bots and integrations may have a username instead of a user.
+// As in slack-markdown.js, users are put in code spans so they don't notify
+// GitHub users who happen to share a Slack user's name.
+function author(message, resolve) {
+  if (message.user === undefined) {
+    return '**' + (message.username || 'unknown') + '**';
+  }
+  return '`@' + ((resolve.userName && resolve.userName(message.user)) ||
+    message.user) + '`';
+}
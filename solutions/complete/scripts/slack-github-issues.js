@@ -3,26 +3,66 @@
 //
 // Configuration:
 //   HUBOT_SLACK_GITHUB_ISSUES_CONFIG_PATH
+//   HUBOT_SLACK_GITHUB_ISSUES_ENVIRONMENT
+//
+// Notes:
+//   The configuration file may be JSON, JSON with comments (.jsonc), or YAML
+//   (.yaml or .yml), as determined by its extension.
+//
+//   If HUBOT_SLACK_GITHUB_ISSUES_ENVIRONMENT is set, e.g. to "production",
+//   the values from slack-github-issues.production.json are merged over
+//   those from slack-github-issues.json. String values may contain ${VAR} or
+//   ${VAR:-default} references to environment variables.
+//
+//   HUBOT_SLACK_GITHUB_ISSUES_CONFIG_PATH may also name a directory of
+//   configuration fragments, read in sorted order. The first is the base file
+//   containing the top-level fields; the rules from all fragments are
+//   concatenated.
+//
+//   The configuration file is reloaded whenever it changes. Invalid changes
+//   are logged and ignored, leaving the previous configuration in effect.
+//
+//   The GitHub and Slack API tokens are read from the HUBOT_GITHUB_TOKEN and
+//   HUBOT_SLACK_TOKEN environment variables by default. The githubTokenEnvVar
+//   and slackTokenEnvVar fields name different variables; the
+//   githubTokenFile and slackTokenFile fields name files containing the
+//   tokens instead. Token files are reread whenever they change.
+//
+//   Configurations written for an older version of this script, as indicated
+//   by their configVersion field, are upgraded automatically when loaded.
+//   "bin/slack-github-issues migrate" rewrites them in the current format.
+//
+//   "bin/slack-github-issues validate" checks the configuration without
+//   starting Hubot, and "bin/slack-github-issues explain <reaction> <channel>"
+//   shows which rule a reaction would trigger.
 
 'use strict';
 
 var Config = require('../lib/config');
+var ConfigWatcher = require('../lib/config-watcher');
 var SlackClient = require('../lib/slack-client');
 var GitHubClient = require('../lib/github-client');
 var Logger = require('../lib/logger');
 var Middleware = require('../lib/middleware');
+var TokenSource = require('../lib/token-source');
 
 module.exports = function(robot) {
-  var logger, config, impl, middleware;
+  var logger, config, impl, middleware, watcher, slackClient, githubClient;
+
+  slackClient = function(config) {
+    return new SlackClient(robot.adapter.client, config,
+      TokenSource.slack(config).read());
+  };
+
+  githubClient = function(config) {
+    return new GitHubClient(config, TokenSource.github(config).read());
+  };
 
   try {
     logger = new Logger(robot.logger);
     config = new Config(null, logger);
     impl = new Middleware(
-      config,
-      new SlackClient(robot.adapter.client, config),
-      new GitHubClient(config),
-      logger);
+      config, slackClient(config), githubClient(config), logger);
 
     middleware = function(context, next, done) {
       impl.execute(context, next, done);
@@ -31,6 +71,13 @@ module.exports = function(robot) {
     robot.receiveMiddleware(middleware);
     logger.info(null, 'registered receiveMiddleware');
 
+    watcher = new ConfigWatcher(logger, function(newConfig) {
+      impl.reconfigure(
+        newConfig, slackClient(newConfig), githubClient(newConfig));
+    });
+    watcher.start(config);
+    middleware.watcher = watcher;
+
   } catch (err) {
     logger.error(null, 'receiveMiddleware registration failed:',
       err instanceof Error ? err.message : err);
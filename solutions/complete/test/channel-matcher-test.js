@@ -0,0 +1,89 @@
+'use strict';
+
+var ChannelMatcher = require('../lib/channel-matcher');
+var chai = require('chai');
+var expect = chai.expect;
+
+chai.should();
+
+describe('ChannelMatcher', function() {
+  var CHANNELS = ['hub', 'handbook', 'proj-foo-dev', 'proj-bar-dev',
+    'proj-foo', 'Proj-Baz-Dev', 'proj-a.dev'];
+
+  var matchingChannels = function(matcher) {
+    return CHANNELS.filter(function(channel) {
+      return matcher.matches(channel);
+    });
+  };
+
+  it('should match every channel if channelNames is undefined', function() {
+    var matcher = new ChannelMatcher();
+
+    matcher.matchesAll().should.be.true;
+    matchingChannels(matcher).length.should.equal(7);
+  });
+
+  it('should match channel names exactly', function() {
+    var matcher = new ChannelMatcher(['hub', 'proj-a.dev']);
+
+    matcher.matchesAll().should.be.false;
+    matchingChannels(matcher).should.eql(['hub', 'proj-a.dev']);
+  });
+
+  it('should match glob patterns', function() {
+    matchingChannels(new ChannelMatcher(['proj-*-dev']))
+      .should.eql(['proj-foo-dev', 'proj-bar-dev']);
+    matchingChannels(new ChannelMatcher(['h?b', 'proj-?.dev']))
+      .should.eql(['hub', 'proj-a.dev']);
+  });
+
+  it('should match regular expressions', function() {
+    matchingChannels(new ChannelMatcher(['/^proj-(foo|baz)/']))
+      .should.eql(['proj-foo-dev', 'proj-foo']);
+    matchingChannels(new ChannelMatcher(['/-dev$/i']))
+      .should.eql(['proj-foo-dev', 'proj-bar-dev', 'Proj-Baz-Dev']);
+  });
+
+  it('should not match excluded channels', function() {
+    var matcher = new ChannelMatcher(['proj-*'], ['*-bar-*', '/^proj-a/']);
+
+    matchingChannels(matcher).should.eql(['proj-foo-dev', 'proj-foo']);
+    matcher.included('proj-bar-dev').should.be.true;
+    matcher.excluded('proj-bar-dev').should.be.true;
+  });
+
+  it('should match every channel not excluded', function() {
+    var matcher = new ChannelMatcher(undefined, ['proj-*']);
+
+    matcher.matchesAll().should.be.false;
+    matchingChannels(matcher).should.eql(['hub', 'handbook', 'Proj-Baz-Dev']);
+  });
+
+  it('should report invalid patterns', function() {
+    expect(ChannelMatcher.validate('proj-*')).to.be.undefined;
+    expect(ChannelMatcher.validate('/proj-(/')).to.equal(
+      'invalid regular expression /proj-(/: Unterminated group');
+    expect(ChannelMatcher.validate('/proj-/g')).to.equal(
+      'expected a regular expression of the form /regex/ or /regex/i');
+    expect(function() { ChannelMatcher.compile('/proj-'); }).to.throw(Error,
+      'expected a regular expression of the form /regex/ or /regex/i');
+  });
+
+  it('should compile only /regex/ patterns as regular expressions',
+    function() {
+      ChannelMatcher.compileRegExp('/^bug:/i').test('BUG: oops')
+        .should.be.true;
+      expect(ChannelMatcher.validateRegExp('/bug/')).to.be.undefined;
+      expect(ChannelMatcher.validateRegExp('bug')).to.equal(
+        'expected a regular expression of the form /regex/ or /regex/i');
+      expect(ChannelMatcher.validateRegExp('/bug(/')).to.equal(
+        'invalid regular expression /bug(/: Unterminated group');
+    });
+
+  it('should identify plain channel names', function() {
+    ChannelMatcher.isLiteral('proj-a.dev').should.be.true;
+    ChannelMatcher.isLiteral('proj-*').should.be.false;
+    ChannelMatcher.isLiteral('h?b').should.be.false;
+    ChannelMatcher.isLiteral('/hub/').should.be.false;
+  });
+});
@@ -0,0 +1,251 @@
+'use strict';
+
+var Cli = require('../lib/cli');
+var helpers = require('./helpers');
+var fs = require('fs');
+var path = require('path');
+var temp = require('temp');
+var chai = require('chai');
+
+chai.should();
+
+describe('Cli', function() {
+  var configDir, configPath, stdout, stderr, run;
+
+  beforeEach(function() {
+    configDir = temp.mkdirSync('cli-test-');
+    configPath = path.join(configDir, 'slack-github-issues.json');
+    stdout = new OutputStream();
+    stderr = new OutputStream();
+  });
+
+  afterEach(function() {
+    delete process.env.HUBOT_SLACK_GITHUB_ISSUES_CONFIG_PATH;
+    fs.readdirSync(configDir).forEach(function(filename) {
+      fs.unlinkSync(path.join(configDir, filename));
+    });
+    fs.rmdirSync(configDir);
+  });
+
+  function OutputStream() {
+    this.output = '';
+  }
+
+  OutputStream.prototype.write = function(data) {
+    this.output += data;
+  };
+
+  run = function() {
+    return new Cli(stdout, stderr).run(
+      Array.prototype.slice.call(arguments));
+  };
+
+  it('should print usage for an unknown command', function() {
+    run('frobnicate').should.equal(2);
+    stdout.output.should.equal('');
+    stderr.output.should.equal(Cli.USAGE + '\n');
+  });
+
+  it('should print usage for too many arguments', function() {
+    run('migrate', configPath, configPath).should.equal(2);
+    stderr.output.should.equal(Cli.USAGE + '\n');
+  });
+
+  it('should print usage for too few arguments', function() {
+    run('explain', 'evergreen_tree').should.equal(2);
+    stderr.output.should.equal(Cli.USAGE + '\n');
+  });
+
+  describe('validate', function() {
+    it('should report a valid configuration', function() {
+      fs.writeFileSync(configPath, JSON.stringify(helpers.baseConfig()));
+      run('validate', configPath).should.equal(0);
+      stdout.output.should.equal([
+        'reading configuration from ' + configPath,
+        configPath + ' is valid: 3 rules',
+        ''
+      ].join('\n'));
+      stderr.output.should.equal('');
+    });
+
+    it('should validate the config from the environment', function() {
+      var config = helpers.baseConfig();
+
+      config.rules.pop();
+      config.rules.pop();
+      fs.writeFileSync(configPath, JSON.stringify(config));
+      process.env.HUBOT_SLACK_GITHUB_ISSUES_CONFIG_PATH = configPath;
+      run('validate').should.equal(0);
+      stdout.output.should.have.string(configPath + ' is valid: 1 rule\n');
+    });
+
+    it('should report warnings', function() {
+      var config = helpers.baseConfig();
+
+      config.rules.push(config.rules[0]);
+      fs.writeFileSync(configPath, JSON.stringify(config));
+      run('validate', configPath).should.equal(0);
+      stderr.output.should.equal('warning: configuration warning: ' +
+        '/rules/3: duplicates /rules/0 and will never match ' +
+        '(from ' + configPath + ')\n');
+    });
+
+    it('should report an invalid configuration', function() {
+      var config = helpers.baseConfig();
+
+      config.githubTimeout = '5s';
+      fs.writeFileSync(configPath, JSON.stringify(config));
+      run('validate', configPath).should.equal(1);
+      stderr.output.should.equal('error: Invalid configuration:\n' +
+        '  /githubTimeout: expected integer (from ' + configPath + ')\n');
+    });
+  });
+
+  describe('explain', function() {
+    beforeEach(function() {
+      fs.writeFileSync(configPath, JSON.stringify(helpers.baseConfig()));
+    });
+
+    it('should show the matching rule and those skipped', function() {
+      run('explain', 'evergreen_tree', 'handbook', configPath)
+        .should.equal(0);
+      stdout.output.should.equal([
+        '/rules/0: skipped: channel handbook does not match channelNames',
+        '/rules/1: skipped: reaction evergreen_tree does not match smiley',
+        '/rules/2: matches: files issues in 18F/handbook',
+        ''
+      ].join('\n'));
+      stderr.output.should.equal('');
+    });
+
+    it('should skip rules after the first match', function() {
+      run('explain', ':evergreen_tree:', '#hub', configPath).should.equal(0);
+      stdout.output.should.equal([
+        '/rules/0: matches: files issues in 18F/hub',
+        '/rules/1: not evaluated: /rules/0 matches first',
+        '/rules/2: not evaluated: /rules/0 matches first',
+        ''
+      ].join('\n'));
+    });
+
+    it('should continue past rules restricted to some users', function() {
+      var config = helpers.baseConfig();
+
+      config.rules[0].deniedUsers = ['jquser'];
+      fs.writeFileSync(configPath, JSON.stringify(config));
+      run('explain', 'evergreen_tree', 'hub', configPath).should.equal(0);
+      stdout.output.should.equal([
+        '/rules/0: matches for permitted users: files issues in 18F/hub',
+        '/rules/1: skipped: reaction evergreen_tree does not match smiley',
+        '/rules/2: matches: files issues in 18F/handbook',
+        ''
+      ].join('\n'));
+    });
+
+    it('should continue past rules that filter message text', function() {
+      var config = helpers.baseConfig();
+
+      config.rules[0].textIncludes = ['bug'];
+      config.rules[0].allowedUsers = ['mbland'];
+      fs.writeFileSync(configPath, JSON.stringify(config));
+      run('explain', 'evergreen_tree', 'hub', configPath).should.equal(0);
+      stdout.output.should.equal([
+        '/rules/0: matches for permitted users and matching message text: ' +
+          'files issues in 18F/hub',
+        '/rules/1: skipped: reaction evergreen_tree does not match smiley',
+        '/rules/2: matches: files issues in 18F/handbook',
+        ''
+      ].join('\n'));
+    });
+
+    it('should continue past rules that set continue', function() {
+      var config = helpers.baseConfig();
+
+      config.rules[0].continue = true;
+      config.rules[2].channelNames = ['hub'];
+      fs.writeFileSync(configPath, JSON.stringify(config));
+      run('explain', 'evergreen_tree', 'hub', configPath).should.equal(0);
+      stdout.output.should.equal([
+        '/rules/0: matches: files issues in 18F/hub',
+        '/rules/1: skipped: reaction evergreen_tree does not match smiley',
+        '/rules/2: matches: files issues in 18F/handbook',
+        ''
+      ].join('\n'));
+    });
+
+    it('should explain rules in ranked order if matchMode is mostSpecific',
+      function() {
+        var config = helpers.baseConfig();
+
+        config.matchMode = 'mostSpecific';
+        config.rules.unshift(config.rules.pop());
+        fs.writeFileSync(configPath, JSON.stringify(config));
+        run('explain', 'evergreen_tree', 'hub', configPath).should.equal(0);
+        stdout.output.should.equal([
+          '/rules/1: matches: files issues in 18F/hub',
+          '/rules/0: not evaluated: /rules/1 matches first',
+          '/rules/2: not evaluated: /rules/1 matches first',
+          ''
+        ].join('\n'));
+      });
+
+    it('should report when no rule matches', function() {
+      run('explain', 'sad-face', 'handbook', configPath).should.equal(1);
+      stdout.output.should.have.string(
+        'no rule matches :sad-face: in #handbook\n');
+    });
+  });
+
+  describe('migrate', function() {
+    var unversionedConfig = function() {
+      var config = helpers.baseConfig();
+
+      delete config.configVersion;
+      return config;
+    };
+
+    it('should migrate the specified config file', function() {
+      fs.writeFileSync(configPath, JSON.stringify(unversionedConfig()));
+      run('migrate', configPath).should.equal(0);
+      JSON.parse(fs.readFileSync(configPath, 'utf8'))
+        .should.eql(helpers.baseConfig());
+      stdout.output.should.equal([
+        'reading configuration from ' + configPath,
+        'migrated ' + configPath + ' to version 1',
+        ''
+      ].join('\n'));
+      stderr.output.should.equal('');
+    });
+
+    it('should migrate the config from the environment', function() {
+      fs.writeFileSync(configPath, JSON.stringify(unversionedConfig()));
+      process.env.HUBOT_SLACK_GITHUB_ISSUES_CONFIG_PATH = configPath;
+      run('migrate').should.equal(0);
+      JSON.parse(fs.readFileSync(configPath, 'utf8'))
+        .should.eql(helpers.baseConfig());
+    });
+
+    it('should report a config that is already current', function() {
+      fs.writeFileSync(configPath, JSON.stringify(helpers.baseConfig()));
+      run('migrate', configPath).should.equal(0);
+      stdout.output.should.equal([
+        'reading configuration from ' + configPath,
+        configPath + ' is already at version 1',
+        ''
+      ].join('\n'));
+      fs.existsSync(configPath + '.bak').should.be.false;
+    });
+
+    it('should not rewrite an invalid config', function() {
+      var config = unversionedConfig();
+
+      delete config.rules;
+      fs.writeFileSync(configPath, JSON.stringify(config));
+      run('migrate', configPath).should.equal(1);
+      stdout.output.should.equal('');
+      stderr.output.should.equal('error: Invalid configuration:\n' +
+        '  /rules: missing required property (from ' + configPath + ')\n');
+      fs.existsSync(configPath + '.bak').should.be.false;
+    });
+  });
+});
@@ -0,0 +1,334 @@
+'use strict';
+
+var ConfigLoader = require('../lib/config-loader');
+var Config = require('../lib/config');
+var Logger = require('../lib/logger');
+var helpers = require('./helpers');
+var fs = require('fs');
+var path = require('path');
+var temp = require('temp');
+var sinon = require('sinon');
+var chai = require('chai');
+var expect = chai.expect;
+
+chai.should();
+
+describe('ConfigLoader', function() {
+  var configDir, configPath, overlayPath, logger, writeConfig, load;
+
+  beforeEach(function() {
+    configDir = temp.mkdirSync('config-loader-test-');
+    configPath = path.join(configDir, 'slack-github-issues.json');
+    overlayPath = path.join(configDir, 'slack-github-issues.production.json');
+    writeConfig(configPath, helpers.baseConfig());
+
+    logger = new Logger(console);
+    sinon.stub(logger, 'info');
+  });
+
+  afterEach(function() {
+    delete process.env.HUBOT_SLACK_GITHUB_ISSUES_ENVIRONMENT;
+    delete process.env.CONFIG_LOADER_TEST_USER;
+    delete process.env.CONFIG_LOADER_TEST_REPO;
+    fs.readdirSync(configDir).forEach(function(filename) {
+      fs.unlinkSync(path.join(configDir, filename));
+    });
+    fs.rmdirSync(configDir);
+  });
+
+  writeConfig = function(filePath, config) {
+    fs.writeFileSync(filePath, JSON.stringify(config));
+  };
+
+  load = function() {
+    return new ConfigLoader(configPath, logger).load();
+  };
+
+  it('should load a single file', function() {
+    var loaded = load();
+
+    loaded.config.should.eql(helpers.baseConfig());
+    loaded.sources.should.eql({ '': configPath });
+    logger.info.args.should.eql([
+      [null, 'reading configuration from', configPath]
+    ]);
+  });
+
+  describe('overlays', function() {
+    beforeEach(function() {
+      process.env.HUBOT_SLACK_GITHUB_ISSUES_ENVIRONMENT = 'production';
+    });
+
+    it('should select the overlay for the environment', function() {
+      new ConfigLoader(configPath, logger).paths().should.eql(
+        [configPath, overlayPath]);
+      new ConfigLoader(path.join(configDir, 'config'), logger).paths()
+        .should.eql([
+          path.join(configDir, 'config'),
+          path.join(configDir, 'config.production')
+        ]);
+    });
+
+    it('should merge the overlay over the base configuration', function() {
+      var expected = helpers.baseConfig(),
+          loaded;
+
+      writeConfig(overlayPath, {
+        githubTimeout: 10000,
+        slackApiBaseUrl: 'https://slack.example.com/api/',
+        rules: [{ reactionName: 'smiley', githubRepository: 'handbook' }]
+      });
+      expected.githubTimeout = 10000;
+      expected.slackApiBaseUrl = 'https://slack.example.com/api/';
+      expected.rules = [
+        { reactionName: 'smiley', githubRepository: 'handbook' }
+      ];
+
+      loaded = load();
+      loaded.config.should.eql(expected);
+      loaded.sources.should.eql({
+        '': configPath,
+        '/githubTimeout': overlayPath,
+        '/slackApiBaseUrl': overlayPath,
+        '/rules': overlayPath
+      });
+      logger.info.args.should.eql([
+        [null, 'reading configuration from', configPath],
+        [null, 'reading configuration from', overlayPath]
+      ]);
+    });
+
+    it('should merge nested objects', function() {
+      var loaded;
+
+      writeConfig(configPath, { foo: { bar: 1, baz: [1, 2] } });
+      writeConfig(overlayPath, { foo: { baz: [3], quux: 4 } });
+
+      loaded = load();
+      loaded.config.should.eql({ foo: { bar: 1, baz: [3], quux: 4 } });
+      loaded.sources.should.eql({
+        '': configPath,
+        '/foo/baz': overlayPath,
+        '/foo/quux': overlayPath
+      });
+    });
+
+    it('should raise an error if the overlay does not exist', function() {
+      expect(load).to.throw(Error,
+        'failed to load configuration from ' + overlayPath + ': ');
+    });
+
+    it('should report the file each invalid value came from', function() {
+      writeConfig(overlayPath, {
+        githubTimeout: '10s',
+        rules: [{ reactionName: 'smiley' }]
+      });
+
+      expect(function() { return Config.fromFile(configPath, logger); })
+        .to.throw(Error, 'Invalid configuration:\n' +
+          '  /githubTimeout: expected integer (from ' + overlayPath + ')\n' +
+          '  /rules/0/githubRepository: missing required property ' +
+            '(from ' + overlayPath + ')');
+    });
+  });
+
+  describe('directories', function() {
+    var fragmentPath, writeFragments;
+
+    beforeEach(function() {
+      fs.unlinkSync(configPath);
+      configPath = configDir;
+    });
+
+    fragmentPath = function(filename) {
+      return path.join(configDir, filename);
+    };
+
+    writeFragments = function() {
+      var config = helpers.baseConfig(),
+          rules = config.rules;
+
+      config.rules = [rules[0]];
+      writeConfig(fragmentPath('00-base.json'), config);
+      writeConfig(fragmentPath('20-team-b.json'), { rules: [rules[2]] });
+      fs.writeFileSync(fragmentPath('10-team-a.yaml'),
+        'rules:\n  - reactionName: smiley\n' +
+        '    githubRepository: hubot-slack-github-issues\n');
+      fs.writeFileSync(fragmentPath('README.md'), 'Not a fragment');
+    };
+
+    it('should concatenate rules from fragments in sorted order', function() {
+      var loaded;
+
+      writeFragments();
+      loaded = load();
+
+      loaded.config.should.eql(helpers.baseConfig());
+      loaded.sources.should.eql({
+        '': fragmentPath('00-base.json'),
+        '/rules/0': fragmentPath('00-base.json') + ', rule 0',
+        '/rules/1': fragmentPath('10-team-a.yaml') + ', rule 0',
+        '/rules/2': fragmentPath('20-team-b.json') + ', rule 0'
+      });
+      logger.info.args.should.eql([
+        [null, 'reading configuration from', fragmentPath('00-base.json')],
+        [null, 'reading configuration from', fragmentPath('10-team-a.yaml')],
+        [null, 'reading configuration from', fragmentPath('20-team-b.json')]
+      ]);
+    });
+
+    it('should return the directory and fragment paths', function() {
+      writeFragments();
+      new ConfigLoader(configDir, logger).paths().should.eql([
+        configDir,
+        fragmentPath('00-base.json'),
+        fragmentPath('10-team-a.yaml'),
+        fragmentPath('20-team-b.json')
+      ]);
+    });
+
+    it('should apply overlays to individual fragments', function() {
+      var expected = helpers.baseConfig(),
+          loaded;
+
+      writeFragments();
+      writeConfig(fragmentPath('00-base.production.json'),
+        { githubTimeout: 10000 });
+      writeConfig(fragmentPath('20-team-b.production.json'), { rules: [
+        { reactionName: 'evergreen_tree', githubRepository: 'handbook-prod' }
+      ]});
+
+      loaded = load();
+      loaded.config.should.eql(expected, 'overlays should not be fragments');
+
+      process.env.HUBOT_SLACK_GITHUB_ISSUES_ENVIRONMENT = 'production';
+      loaded = load();
+      expected.githubTimeout = 10000;
+      expected.rules[2].githubRepository = 'handbook-prod';
+      loaded.config.should.eql(expected);
+      loaded.sources.should.eql({
+        '': fragmentPath('00-base.json'),
+        '/githubTimeout': fragmentPath('00-base.production.json'),
+        '/rules/0': fragmentPath('00-base.json') + ', rule 0',
+        '/rules/1': fragmentPath('10-team-a.yaml') + ', rule 0',
+        '/rules/2': fragmentPath('20-team-b.production.json') + ', rule 0'
+      });
+    });
+
+    it('should report the fragment and rule index of invalid rules',
+      function() {
+        writeFragments();
+        writeConfig(fragmentPath('30-team-c.json'), { rules: [
+          { reactionName: 'smiley', githubRepository: 'handbook' },
+          { reactionName: 'smiley', channelNames: 'hub' }
+        ]});
+
+        expect(function() { return Config.fromFile(configDir, logger); })
+          .to.throw(Error, 'Invalid configuration:\n' +
+            '  /rules/4/githubRepository: missing required property ' +
+              '(from ' + fragmentPath('30-team-c.json') + ', rule 1)\n' +
+            '  /rules/4/channelNames: expected array of strings ' +
+              '(from ' + fragmentPath('30-team-c.json') + ', rule 1)');
+      });
+
+    it('should only allow rules outside of the base file', function() {
+      writeFragments();
+      writeConfig(fragmentPath('30-team-c.json'), { githubUser: 'mbland' });
+
+      expect(load).to.throw(Error, 'failed to load configuration from ' +
+        fragmentPath('30-team-c.json') + ': only rules may be defined ' +
+        'outside of the base file ' + fragmentPath('00-base.json'));
+    });
+
+    it('should raise an error if fragment rules are not an array',
+      function() {
+        writeFragments();
+        writeConfig(fragmentPath('30-team-c.json'), { rules: {} });
+
+        expect(load).to.throw(Error, 'failed to load configuration from ' +
+          fragmentPath('30-team-c.json') + ': /rules: expected array of ' +
+          'objects');
+      });
+
+    it('should raise an error if a fragment is not an object', function() {
+      writeFragments();
+      writeConfig(fragmentPath('30-team-c.json'), []);
+
+      expect(load).to.throw(Error, 'failed to load configuration from ' +
+        fragmentPath('30-team-c.json') + ': /: expected object');
+    });
+
+    it('should raise an error if the directory is empty', function() {
+      expect(load).to.throw(Error, 'failed to load configuration from ' +
+        configDir + ': no configuration files found');
+    });
+  });
+
+  describe('environment variable interpolation', function() {
+    it('should replace variables within string values', function() {
+      var config = helpers.baseConfig(),
+          loaded;
+
+      process.env.CONFIG_LOADER_TEST_USER = '18F';
+      process.env.CONFIG_LOADER_TEST_REPO = '';
+      config.githubUser = '${CONFIG_LOADER_TEST_USER}';
+      config.githubApiBaseUrl = 'https://${CONFIG_LOADER_TEST_HOST:-' +
+        'api.github.com}/${CONFIG_LOADER_TEST_USER}/';
+      config.rules[0].githubRepository = '${CONFIG_LOADER_TEST_REPO:-hub}';
+      config.rules[1].githubRepository = 'x${CONFIG_LOADER_TEST_REPO}y';
+      config.rules[2].githubRepository = '$${CONFIG_LOADER_TEST_USER}';
+      writeConfig(configPath, config);
+
+      loaded = load();
+      loaded.config.githubUser.should.equal('18F');
+      loaded.config.githubApiBaseUrl.should.equal(
+        'https://api.github.com/18F/');
+      loaded.config.rules[0].githubRepository.should.equal('hub');
+      loaded.config.rules[1].githubRepository.should.equal('xy');
+      loaded.config.rules[2].githubRepository.should.equal(
+        '${CONFIG_LOADER_TEST_USER}');
+      loaded.sources.should.eql({
+        '': configPath,
+        '/githubUser': '${CONFIG_LOADER_TEST_USER} in ' + configPath,
+        '/githubApiBaseUrl': '${CONFIG_LOADER_TEST_HOST}, ' +
+          '${CONFIG_LOADER_TEST_USER} in ' + configPath,
+        '/rules/0/githubRepository': '${CONFIG_LOADER_TEST_REPO} in ' +
+          configPath,
+        '/rules/1/githubRepository': '${CONFIG_LOADER_TEST_REPO} in ' +
+          configPath
+      });
+    });
+
+    it('should raise an error listing every undefined variable', function() {
+      var config = helpers.baseConfig();
+
+      process.env.HUBOT_SLACK_GITHUB_ISSUES_ENVIRONMENT = 'production';
+      config.githubUser = '${CONFIG_LOADER_TEST_USER}';
+      writeConfig(configPath, config);
+      writeConfig(overlayPath, {
+        rules: [
+          { reactionName: 'smiley', githubRepository: '${GITHUB_REPO}' }
+        ]
+      });
+
+      expect(load).to.throw(Error, 'failed to load configuration: ' +
+        'undefined environment variables:\n' +
+        '  /githubUser: CONFIG_LOADER_TEST_USER (from ' + configPath + ')\n' +
+        '  /rules/0/githubRepository: GITHUB_REPO (from ' + overlayPath +
+          ')');
+    });
+
+    it('should report invalid interpolated values', function() {
+      var config = helpers.baseConfig();
+
+      process.env.CONFIG_LOADER_TEST_USER = '18F/';
+      config.githubUser = '${CONFIG_LOADER_TEST_USER}';
+      writeConfig(configPath, config);
+
+      expect(function() { return Config.fromFile(configPath, logger); })
+        .to.throw(Error, '/githubUser: expected a GitHub user or ' +
+          'organization name matching /^[A-Za-z0-9][A-Za-z0-9-]*$/ ' +
+          '(from ${CONFIG_LOADER_TEST_USER} in ' + configPath + ')');
+    });
+  });
+});
@@ -0,0 +1,220 @@
+'use strict';
+
+var configMigrations = require('../lib/config-migrations');
+var Logger = require('../lib/logger');
+var helpers = require('./helpers');
+var fs = require('fs');
+var path = require('path');
+var temp = require('temp');
+var yaml = require('js-yaml');
+var sinon = require('sinon');
+var chai = require('chai');
+var expect = chai.expect;
+
+chai.should();
+
+describe('configMigrations', function() {
+  var logger, unversionedConfig;
+
+  beforeEach(function() {
+    logger = new Logger(console);
+    sinon.stub(logger, 'info');
+  });
+
+  unversionedConfig = function() {
+    var config = helpers.baseConfig();
+
+    delete config.configVersion;
+    return config;
+  };
+
+  it('should treat a config without configVersion as version 0', function() {
+    configMigrations.versionOf(unversionedConfig()).should.equal(0);
+    configMigrations.versionOf(helpers.baseConfig()).should.equal(1);
+  });
+
+  it('should describe each migration applied', function() {
+    configMigrations.migrate(unversionedConfig(), 0).should.eql([
+      'version 0 to 1: added configVersion'
+    ]);
+    configMigrations.migrate(helpers.baseConfig(), 1).should.eql([]);
+  });
+
+  describe('upgrade', function() {
+    it('should return a migrated copy of an older config', function() {
+      var original = unversionedConfig(),
+          upgraded = configMigrations.upgrade(original, logger);
+
+      JSON.stringify(upgraded).should.equal(
+        JSON.stringify(helpers.baseConfig()));
+      original.should.eql(unversionedConfig());
+      logger.info.args.should.eql([
+        [null, 'migrated configuration from',
+          'version 0 to 1: added configVersion'],
+        [null, 'run "bin/slack-github-issues migrate" to save the ' +
+          'migrated configuration']
+      ]);
+    });
+
+    it('should migrate without logging if no logger is given', function() {
+      configMigrations.upgrade(unversionedConfig())
+        .should.eql(helpers.baseConfig());
+    });
+
+    it('should return a current config unchanged', function() {
+      var config = helpers.baseConfig();
+
+      configMigrations.upgrade(config, logger).should.equal(config);
+      logger.info.called.should.be.false;
+    });
+
+    it('should leave invalid configs for validation to report', function() {
+      var config = helpers.baseConfig();
+
+      expect(configMigrations.upgrade(null, logger)).to.be.null;
+      configMigrations.upgrade([], logger).should.eql([]);
+      config.configVersion = '0';
+      configMigrations.upgrade(config, logger).should.equal(config);
+      logger.info.called.should.be.false;
+    });
+  });
+
+  describe('migrateFiles', function() {
+    var configDir, configPath, writeConfig, readConfig;
+
+    beforeEach(function() {
+      configDir = temp.mkdirSync('config-migrations-test-');
+      configPath = path.join(configDir, 'slack-github-issues.json');
+    });
+
+    afterEach(function() {
+      delete process.env.HUBOT_SLACK_GITHUB_ISSUES_ENVIRONMENT;
+      fs.readdirSync(configDir).forEach(function(filename) {
+        fs.unlinkSync(path.join(configDir, filename));
+      });
+      fs.rmdirSync(configDir);
+    });
+
+    writeConfig = function(filePath, config) {
+      fs.writeFileSync(filePath, JSON.stringify(config));
+    };
+
+    readConfig = function(filePath) {
+      return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    };
+
+    it('should rewrite an older config and keep a backup', function() {
+      writeConfig(configPath, unversionedConfig());
+      configMigrations.migrateFiles(configPath, logger)
+        .should.eql([configPath]);
+
+      readConfig(configPath).should.eql(helpers.baseConfig());
+      readConfig(configPath + '.bak').should.eql(unversionedConfig());
+      logger.info.args.should.eql([
+        [null, 'reading configuration from', configPath],
+        [null, 'migrated', configPath, 'to version', 1]
+      ]);
+    });
+
+    it('should rewrite a YAML config as YAML', function() {
+      configPath = path.join(configDir, 'slack-github-issues.yaml');
+      fs.writeFileSync(configPath, yaml.safeDump(unversionedConfig()));
+      configMigrations.migrateFiles(configPath, logger);
+
+      yaml.safeLoad(fs.readFileSync(configPath, 'utf8'))
+        .should.eql(helpers.baseConfig());
+    });
+
+    it('should keep the comments and formatting of the base file',
+      function() {
+        var text = JSON.stringify(unversionedConfig(), null, 2)
+          .replace('{\n', '{\n  // Shared by every team\n');
+
+        configPath = path.join(configDir, 'slack-github-issues.jsonc');
+        fs.writeFileSync(configPath, text);
+        configMigrations.migrateFiles(configPath, logger);
+
+        fs.readFileSync(configPath, 'utf8').should.equal(text.replace(
+          '{\n  // Shared by every team\n',
+          '{\n  // Shared by every team\n  "configVersion": 1,\n'));
+        fs.readFileSync(configPath + '.bak', 'utf8').should.equal(text);
+      });
+
+    it('should keep the comments of a YAML base file', function() {
+      var text = '# Shared by every team\n' +
+        yaml.safeDump(unversionedConfig());
+
+      configPath = path.join(configDir, 'slack-github-issues.yaml');
+      fs.writeFileSync(configPath, text);
+      configMigrations.migrateFiles(configPath, logger);
+
+      fs.readFileSync(configPath, 'utf8').should.equal(text.replace(
+        '\n', '\nconfigVersion: 1\n'));
+    });
+
+    it('should not rewrite files it cannot update in place', function() {
+      var text = JSON.stringify(unversionedConfig())
+        .replace(/"([A-Za-z]+)":/g, '$1: ');
+
+      configPath = path.join(configDir, 'slack-github-issues.yaml');
+      fs.writeFileSync(configPath, '--- ' + text + '\n');
+      expect(function() {
+        configMigrations.migrateFiles(configPath, logger);
+      }).to.throw(Error, 'failed to set configVersion in ' + configPath +
+        '; please set it to 1 by hand');
+      fs.readFileSync(configPath, 'utf8').should.equal('--- ' + text + '\n');
+      fs.existsSync(configPath + '.bak').should.be.false;
+    });
+
+    it('should not rewrite a current config', function() {
+      writeConfig(configPath, helpers.baseConfig());
+      configMigrations.migrateFiles(configPath, logger).should.eql([]);
+      fs.existsSync(configPath + '.bak').should.be.false;
+    });
+
+    it('should set the version only in the base file', function() {
+      var baseOverlayPath = path.join(configDir, 'base.production.json'),
+          fragmentPath = path.join(configDir, 'team.json'),
+          overlayPath = path.join(configDir, 'team.production.json'),
+          baseConfig = unversionedConfig(),
+          rules = { rules: baseConfig.rules };
+
+      configPath = path.join(configDir, 'base.json');
+      delete baseConfig.rules;
+      writeConfig(configPath, baseConfig);
+      writeConfig(baseOverlayPath, { githubUser: 'mbland' });
+      writeConfig(fragmentPath, rules);
+      writeConfig(overlayPath, { githubTimeout: 10000 });
+      process.env.HUBOT_SLACK_GITHUB_ISSUES_ENVIRONMENT = 'production';
+
+      configMigrations.migrateFiles(configDir, logger).should.eql(
+        [configPath]);
+      readConfig(configPath).configVersion.should.equal(1);
+      readConfig(baseOverlayPath).should.eql({ githubUser: 'mbland' });
+      readConfig(fragmentPath).should.eql(rules);
+      readConfig(overlayPath).should.eql({ githubTimeout: 10000 });
+      fs.existsSync(fragmentPath + '.bak').should.be.false;
+    });
+
+    it('should skip fragment overlays that do not exist', function() {
+      var baseOverlayPath = path.join(configDir, '00-base.production.json'),
+          fragmentPath = path.join(configDir, '10-team.json'),
+          baseConfig = unversionedConfig(),
+          rules = { rules: baseConfig.rules };
+
+      configPath = path.join(configDir, '00-base.json');
+      delete baseConfig.rules;
+      writeConfig(configPath, baseConfig);
+      writeConfig(baseOverlayPath, { githubUser: 'mbland' });
+      writeConfig(fragmentPath, rules);
+      process.env.HUBOT_SLACK_GITHUB_ISSUES_ENVIRONMENT = 'production';
+
+      configMigrations.migrateFiles(configDir, logger).should.eql(
+        [configPath]);
+      readConfig(configPath).configVersion.should.equal(1);
+      readConfig(fragmentPath).should.eql(rules);
+      fs.existsSync(path.join(configDir, '10-team.production.json'))
+        .should.be.false;
+    });
+  });
+});
@@ -0,0 +1,202 @@
+'use strict';
+
+var ConfigParser = require('../lib/config-parser');
+var chai = require('chai');
+var expect = chai.expect;
+
+chai.should();
+
+describe('ConfigParser', function() {
+  var parse = function(configPath, text) {
+    return new ConfigParser(configPath).parse(text);
+  };
+
+  var parseError = function(configPath, text) {
+    try {
+      parse(configPath, text);
+    } catch (err) {
+      return err;
+    }
+    throw new Error('expected ' + JSON.stringify(text) + ' to fail to parse');
+  };
+
+  describe('JSON', function() {
+    it('should parse the same values as JSON.parse', function() {
+      var text = JSON.stringify({
+        string: 'foo "bar"\\baz\n\t/\u00e9\u2603',
+        numbers: [0, -1, 3.14159, 2.5e-3, 1E10],
+        literals: [true, false, null],
+        empty: { object: {}, array: [], string: '' },
+        nested: [{ a: [[1], { b: 2 }] }]
+      }, null, 2);
+
+      parse('config.json', text).should.eql(JSON.parse(text));
+      parse('config.json', '"\\u0041\\/"').should.equal('A/');
+    });
+
+    it('should parse files with unknown extensions as JSON', function() {
+      parse('config', '{ "foo": [1, 2] }').should.eql({ foo: [1, 2] });
+      parse('config.txt', '{ "foo": [1, 2] }').should.eql({ foo: [1, 2] });
+    });
+
+    it('should not replace the prototype given a __proto__ key', function() {
+      var result = parse('config.json', '{ "__proto__": { "foo": 1 } }');
+
+      expect(result.foo).to.be.undefined;
+      Object.keys(result).should.eql(['__proto__']);
+    });
+
+    // The reasons for syntax errors come from JSON.parse(), and vary between
+    // versions of Node.
+    it('should report the line and column of a syntax error', function() {
+      var err = parseError('config.json', '{\n  "foo": 1,\n  "bar": }\n');
+
+      err.should.be.an.instanceof(SyntaxError);
+      err.message.should.match(/^invalid JSON at line 3, column 10: \S/);
+      err.message.should.not.match(/position|not valid JSON/);
+      err.line.should.equal(3);
+      err.column.should.equal(10);
+    });
+
+    it('should report a variety of syntax errors', function() {
+      var errors = {
+        '': [1, 1],
+        '{ "foo": 1, }': [1, 13],
+        '{ "foo" 1 }': [1, 9],
+        '[1 2]': [1, 4],
+        '[1, 2': [1, 6],
+        '{} {}': [1, 4],
+        '"foo': [1, 5],
+        '"foo\nbar"': [1, 5],
+        '"\\x"': [1, 3],
+        '"\\u12"': [1, 6],
+        '-': [1, 2],
+        'nope': [1, 2],
+        '\'foo\'': [1, 1],
+        '[\n  1,\n  nope\n]': [3, 4]
+      };
+
+      Object.keys(errors).forEach(function(text) {
+        var err = parseError('config.json', text);
+
+        [err.line, err.column].should.eql(errors[text], JSON.stringify(text));
+        err.message.should.have.string('invalid JSON at line ' +
+          err.line + ', column ' + err.column + ': ');
+      });
+    });
+
+    it('should not accept comments in .json files', function() {
+      parseError('config.json', '// comment\n{}').message.should.have.string(
+        'invalid JSON at line 1, column 1: ');
+    });
+  });
+
+  describe('JSON with comments', function() {
+    it('should ignore line and block comments', function() {
+      var text = [
+        '// leading comment',
+        '{ /* block',
+        '     comment */ "foo": // trailing comment',
+        '  ["http://not-a-comment/", /**/ 2] }',
+        '// final comment without newline'
+      ].join('\n');
+
+      parse('config.jsonc', '{ "foo": "/* not a comment */ \\" //" }')
+        .should.eql({ foo: '/* not a comment */ " //' });
+
+      parse('config.jsonc', text).should.eql(
+        { foo: ['http://not-a-comment/', 2] });
+    });
+
+    it('should report an unterminated comment', function() {
+      parseError('config.jsonc', '{}\n  /* comment').message.should.equal(
+        'invalid JSON at line 2, column 3: unterminated comment');
+      parseError('config.jsonc', '{} /*/').message.should.equal(
+        'invalid JSON at line 1, column 4: unterminated comment');
+    });
+
+    it('should report positions that account for comments', function() {
+      parseError('config.jsonc', '/* one\ntwo */ { "foo": 1 ]')
+        .message.should.have.string('invalid JSON at line 2, column 19: ');
+    });
+  });
+
+  describe('stringify', function() {
+    var config = { foo: [{ bar: 1, baz: ['quux'] }], xyzzy: '${PLUGH}' };
+
+    it('should produce JSON for .json, .jsonc, and other files', function() {
+      var expected = JSON.stringify(config, null, 2) + '\n';
+
+      new ConfigParser('config.json').stringify(config).should.equal(expected);
+      new ConfigParser('config.jsonc').stringify(config)
+        .should.equal(expected);
+      new ConfigParser('config').stringify(config).should.equal(expected);
+    });
+
+    it('should produce YAML for .yaml and .yml files', function() {
+      var parser = new ConfigParser('config.yml');
+
+      parser.parse(parser.stringify(config)).should.eql(config);
+      new ConfigParser('config.yaml').stringify(config).should.equal(
+        'foo:\n  - bar: 1\n    baz:\n      - quux\nxyzzy: \'${PLUGH}\'\n');
+    });
+  });
+
+  describe('setVersion', function() {
+    var setVersion = function(configPath, text) {
+      return new ConfigParser(configPath).setVersion(text, 2);
+    };
+
+    it('should add configVersion before the first JSON field', function() {
+      setVersion('config.json', '{\n  "foo": 1\n}\n').should.equal(
+        '{\n  "configVersion": 2,\n  "foo": 1\n}\n');
+      setVersion('config.json', '{"foo": 1}').should.equal(
+        '{"configVersion": 2, "foo": 1}');
+      setVersion('config.json', '{}').should.equal('{ "configVersion": 2 }');
+    });
+
+    it('should keep JSON comments in place', function() {
+      setVersion('config.jsonc', '// {\n{ // foo\n  "foo": 1\n}')
+        .should.equal('// {\n{ // foo\n  "configVersion": 2,\n  "foo": 1\n}');
+    });
+
+    it('should update an existing JSON configVersion', function() {
+      setVersion('config.json', '{ "configVersion" : 1, "foo": 1 }')
+        .should.equal('{ "configVersion": 2, "foo": 1 }');
+    });
+
+    it('should add configVersion before the first YAML field', function() {
+      setVersion('config.yaml', '# foo\n---\nfoo: 1\n').should.equal(
+        '# foo\n---\nconfigVersion: 2\nfoo: 1\n');
+    });
+
+    it('should update an existing YAML configVersion', function() {
+      setVersion('config.yaml', 'foo: 1\nconfigVersion: 1 # old\n')
+        .should.equal('foo: 1\nconfigVersion: 2 # old\n');
+    });
+  });
+
+  describe('YAML', function() {
+    it('should parse .yaml and .yml files', function() {
+      var text = 'foo:\n  - bar\n  - 1\n';
+
+      parse('config.yaml', text).should.eql({ foo: ['bar', 1] });
+      parse('config.YML', text).should.eql({ foo: ['bar', 1] });
+    });
+
+    it('should report the line and column of a syntax error', function() {
+      var err = parseError('config.yml', 'foo:\n  - bar\n - baz: [\n');
+
+      err.should.be.an.instanceof(SyntaxError);
+      err.message.should.equal('invalid YAML at line 3, column 2: ' +
+        'bad indentation of a mapping entry');
+      err.line.should.equal(3);
+      err.column.should.equal(2);
+    });
+
+    it('should report an empty document', function() {
+      parseError('config.yaml', '# nothing here\n').message.should.equal(
+        'invalid YAML at line 1, column 1: empty document');
+    });
+  });
+});
@@ -2,6 +2,7 @@
 
 var Config = require('../lib/config');
 var Logger = require('../lib/logger');
+var Rule = require('../lib/rule');
 var helpers = require('./helpers');
 var path = require('path');
 
@@ -27,11 +28,11 @@ describe('Config', function() {
 
   it('should raise errors for missing required fields', function() {
     var errors = [
-          'missing githubUser',
-          'missing githubTimeout',
-          'missing slackTimeout',
-          'missing successReaction',
-          'missing rules'
+          '/githubUser: missing required property',
+          '/githubTimeout: missing required property',
+          '/slackTimeout: missing required property',
+          '/successReaction: missing required property',
+          '/rules: missing required property'
         ],
         errorMessage = 'Invalid configuration:\n  ' + errors.join('\n  ');
 
@@ -49,12 +50,35 @@ describe('Config', function() {
     expect(JSON.stringify(config)).to.equal(JSON.stringify(configData));
   });
 
+  it('should validate token sources', function() {
+    var configData = helpers.baseConfig(),
+        errors = [
+          '/githubTokenFile: may not be used with /githubTokenEnvVar',
+          '/slackTokenFile: expected non-empty string',
+          '/slackTokenFile: may not be used with /slackTokenEnvVar',
+          '/slackTokenEnvVar: expected an environment variable name ' +
+            'matching /^[A-Za-z_][A-Za-z0-9_]*$/'
+        ],
+        errorMessage = 'Invalid configuration:\n  ' + errors.join('\n  ');
+
+    configData.githubTokenFile = '/etc/slack-github-issues/github-token';
+    configData.slackTokenEnvVar = 'SLACK_TOKEN';
+    expect(JSON.stringify(new Config(configData)))
+      .to.equal(JSON.stringify(configData));
+
+    configData.githubTokenEnvVar = 'GITHUB_TOKEN';
+    configData.slackTokenFile = '';
+    configData.slackTokenEnvVar = 'SLACK-TOKEN';
+    expect(function() { return new Config(configData); })
+      .to.throw(Error, errorMessage);
+  });
+
   it('should raise errors for unknown top-level properties', function() {
     var configData = helpers.baseConfig(),
         errors = [
-          'unknown property foo',
-          'unknown property baz',
-          'rule 0 contains unknown property xyzzy'
+          '/rules/0/xyzzy: unknown property',
+          '/foo: unknown property',
+          '/baz: unknown property'
         ],
         errorMessage = 'Invalid configuration:\n  ' + errors.join('\n  ');
 
@@ -69,8 +93,8 @@ describe('Config', function() {
   it('should raise errors for missing required rules fields', function() {
     var configData = helpers.baseConfig(),
         errors = [
-          'rule 0 missing reactionName',
-          'rule 2 missing githubRepository'
+          '/rules/0/reactionName: missing required property',
+          '/rules/2/githubRepository: missing required property'
         ],
         errorMessage = 'Invalid configuration:\n  ' + errors.join('\n  ');
 
@@ -81,6 +105,493 @@ describe('Config', function() {
       .to.throw(Error, errorMessage);
   });
 
+  it('should raise errors for values of the wrong type', function() {
+    var configData = helpers.baseConfig(),
+        errors = [
+          '/githubTimeout: expected integer',
+          '/slackTimeout: expected integer',
+          '/rules/0/channelNames: expected array of strings',
+          '/rules/1: expected object',
+          '/rules/2/githubRepository: expected string'
+        ],
+        errorMessage = 'Invalid configuration:\n  ' + errors.join('\n  ');
+
+    configData.githubTimeout = '5s';
+    configData.slackTimeout = 5000.5;
+    configData.rules[0].channelNames = 'hub';
+    configData.rules[1] = 'smiley';
+    configData.rules[2].githubRepository = ['handbook'];
+
+    expect(function() { return new Config(configData); })
+      .to.throw(Error, errorMessage);
+  });
+
+  it('should raise an error if the configuration is not an object', function() {
+    expect(function() { return new Config([]); })
+      .to.throw(Error, 'Invalid configuration:\n  /: expected object');
+  });
+
+  it('should raise an error if rules is not an array', function() {
+    var configData = helpers.baseConfig();
+
+    configData.rules = {};
+    expect(function() { return new Config(configData); })
+      .to.throw(Error, 'Invalid configuration:\n' +
+        '  /rules: expected array of objects');
+  });
+
+  it('should raise errors for values out of range', function() {
+    var configData = helpers.baseConfig(),
+        errors = [
+          '/githubTimeout: expected integer between 1 and 300000',
+          '/slackTimeout: expected integer between 1 and 300000',
+          '/rules/0/channelNames: expected non-empty array of strings',
+          '/rules/2/channelNames/1: expected non-empty string'
+        ],
+        errorMessage = 'Invalid configuration:\n  ' + errors.join('\n  ');
+
+    configData.githubTimeout = 0;
+    configData.slackTimeout = 300001;
+    configData.rules[0].channelNames = [];
+    configData.rules[2].channelNames = ['handbook', ''];
+
+    expect(function() { return new Config(configData); })
+      .to.throw(Error, errorMessage);
+  });
+
+  it('should raise an error if the rules list is empty', function() {
+    var configData = helpers.baseConfig();
+
+    configData.rules = [];
+    expect(function() { return new Config(configData); })
+      .to.throw(Error, 'Invalid configuration:\n' +
+        '  /rules: expected non-empty array of objects');
+  });
+
+  it('should raise errors for malformed names and URLs', function() {
+    var configData = helpers.baseConfig(),
+        errors = [
+          '/githubUser: expected a GitHub user or organization name ' +
+            'matching /^[A-Za-z0-9][A-Za-z0-9-]*$/',
+          '/successReaction: expected an emoji name matching ' +
+            '/^[a-z0-9_+\'-]+$/',
+          '/githubApiBaseUrl: expected a base URL matching ' +
+            '/^https?:\\/\\/[^\\s]+$/',
+          '/rules/1/reactionName: expected an emoji name matching ' +
+            '/^[a-z0-9_+\'-]+$/',
+          '/rules/2/githubRepository: expected a GitHub repository name ' +
+            'matching /^([A-Za-z0-9][A-Za-z0-9-]*\\/)?[A-Za-z0-9_.-]+$/'
+        ],
+        errorMessage = 'Invalid configuration:\n  ' + errors.join('\n  ');
+
+    configData.githubUser = '18F/';
+    configData.successReaction = ':heavy_check_mark:';
+    configData.githubApiBaseUrl = 'api.github.com';
+    configData.rules[1].reactionName = 'Smiley';
+    configData.rules[2].githubRepository = '18F/handbook/issues';
+
+    expect(function() { return new Config(configData); })
+      .to.throw(Error, errorMessage);
+  });
+
+  it('should accept repository owners in rules', function() {
+    var configData = helpers.baseConfig();
+
+    configData.rules[0].githubOwner = 'mbland';
+    configData.rules[1].githubRepository = 'mbland/hubot-slack-github-issues';
+    expect(JSON.stringify(new Config(configData)))
+      .to.equal(JSON.stringify(configData));
+  });
+
+  it('should raise errors for conflicting repository owners', function() {
+    var configData = helpers.baseConfig(),
+        errors = [
+          '/rules/1/githubOwner: expected a GitHub user or organization ' +
+            'name matching /^[A-Za-z0-9][A-Za-z0-9-]*$/'
+        ],
+        errorMessage = 'Invalid configuration:\n  ' + errors.join('\n  ');
+
+    configData.rules[0].githubOwner = 'mbland';
+    configData.rules[0].githubRepository = '18F/hub';
+    expect(function() { return new Config(configData); })
+      .to.throw(Error, 'Invalid configuration:\n' +
+        '  /rules/0/githubOwner: may not be used when githubRepository ' +
+        'includes the owner');
+
+    configData.rules[1].githubOwner = '-mbland';
+    expect(function() { return new Config(configData); })
+      .to.throw(Error, errorMessage);
+  });
+
+  it('should compile channel patterns once', function() {
+    var configData = helpers.baseConfig(),
+        config;
+
+    configData.rules[0].channelNames = ['proj-*-dev', '/^wg-/'];
+    configData.rules[0].excludeChannelNames = ['proj-secret-dev'];
+    config = new Config(configData);
+
+    expect(JSON.stringify(config)).to.equal(JSON.stringify(configData));
+    expect(config.rules[0].channelMatcher.matches('proj-foo-dev')).to.be.true;
+    expect(config.rules[0].channelMatcher.matches('proj-secret-dev'))
+      .to.be.false;
+    expect(new Rule(config.rules[0]).channelMatcher)
+      .to.equal(config.rules[0].channelMatcher);
+  });
+
+  it('should raise errors for invalid channel patterns', function() {
+    var configData = helpers.baseConfig(),
+        errors = [
+          '/rules/0/channelNames/1: invalid regular expression /proj-(/: ' +
+            'Unterminated group',
+          '/rules/0/excludeChannelNames/0: expected a regular expression ' +
+            'of the form /regex/ or /regex/i'
+        ],
+        errorMessage = 'Invalid configuration:\n  ' + errors.join('\n  ');
+
+    configData.rules[0].channelNames = ['hub', '/proj-(/'];
+    configData.rules[0].excludeChannelNames = ['/hub'];
+    expect(function() { return new Config(configData); })
+      .to.throw(Error, errorMessage);
+  });
+
+  it('should raise an error for an empty excludeChannelNames', function() {
+    var configData = helpers.baseConfig();
+
+    configData.rules[1].excludeChannelNames = [];
+    expect(function() { return new Config(configData); })
+      .to.throw(Error, 'Invalid configuration:\n' +
+        '  /rules/1/excludeChannelNames: expected non-empty array of strings');
+  });
+
+  it('should validate user restrictions', function() {
+    var configData = helpers.baseConfig();
+
+    configData.ignoreRestrictedUsers = true;
+    configData.ignoreBotUsers = false;
+    configData.rules[0].allowedUsers = ['mbland', 'U024BE7LH'];
+    configData.rules[0].allowedUserGroups = ['S0614TZR7'];
+    configData.rules[1].deniedUsers = ['jquser'];
+    expect(JSON.stringify(new Config(configData)))
+      .to.equal(JSON.stringify(configData));
+
+    configData.ignoreBotUsers = 'yes';
+    configData.rules[0].allowedUserGroups = ['admins'];
+    configData.rules[1].deniedUsers = [];
+    expect(function() { return new Config(configData); })
+      .to.throw(Error, 'Invalid configuration:\n' +
+        '  /ignoreBotUsers: expected boolean\n' +
+        '  /rules/0/allowedUserGroups/0: expected a Slack user group ID ' +
+          'matching /^S[A-Z0-9]+$/\n' +
+        '  /rules/1/deniedUsers: expected non-empty array of strings');
+  });
+
+  it('should validate minimumReactions', function() {
+    var configData = helpers.baseConfig();
+
+    configData.rules[0].minimumReactions = 3;
+    expect(JSON.stringify(new Config(configData)))
+      .to.equal(JSON.stringify(configData));
+
+    configData.rules[0].minimumReactions = 0;
+    configData.rules[1].minimumReactions = 2.5;
+    expect(function() { return new Config(configData); })
+      .to.throw(Error, 'Invalid configuration:\n' +
+        '  /rules/0/minimumReactions: expected integer between 1 and 1000\n' +
+        '  /rules/1/minimumReactions: expected integer');
+  });
+
+  it('should validate message text filters', function() {
+    var configData = helpers.baseConfig();
+
+    configData.rules[0].textIncludes = ['bug'];
+    configData.rules[1].textMatches = '/^bug:/i';
+    expect(JSON.stringify(new Config(configData)))
+      .to.equal(JSON.stringify(configData));
+
+    configData.rules[0].textMatches = 'bug:';
+    configData.rules[1].textMatches = '/bug(/';
+    expect(function() { return new Config(configData); })
+      .to.throw(Error, 'Invalid configuration:\n' +
+        '  /rules/0/textMatches: expected a regular expression of the form ' +
+          '/regex/ or /regex/i\n' +
+        '  /rules/1/textMatches: invalid regular expression /bug(/: ' +
+          'Unterminated group');
+  });
+
+  it('should validate matchMode and continue', function() {
+    var configData = helpers.baseConfig();
+
+    configData.matchMode = 'all';
+    configData.rules[0].continue = true;
+    expect(JSON.stringify(new Config(configData)))
+      .to.equal(JSON.stringify(configData));
+
+    configData.matchMode = 'every';
+    configData.rules[0].continue = 'yes';
+    expect(function() { return new Config(configData); })
+      .to.throw(Error, 'Invalid configuration:\n' +
+        '  /matchMode: expected a match mode matching ' +
+          '/^(first|all|mostSpecific)$/\n' +
+        '  /rules/0/continue: expected boolean');
+  });
+
+  it('should validate title and body templates', function() {
+    var configData = helpers.baseConfig();
+
+    configData.titleTemplate = '{{text}} ({{reactingUser}})';
+    configData.rules[0].bodyTemplate = '{{permalink}}\n\n' +
+      'Filed by {{rule.reactionName}} in {{rule.githubRepository}}';
+    expect(JSON.stringify(new Config(configData)))
+      .to.equal(JSON.stringify(configData));
+
+    configData.rules[1].titleTemplate = '';
+    expect(function() { return new Config(configData); })
+      .to.throw(Error, 'Invalid configuration:\n' +
+        '  /rules/1/titleTemplate: expected non-empty string');
+  });
+
+  it('should report unknown template placeholders', function() {
+    var configData = helpers.baseConfig();
+
+    configData.titleTemplate = '{{message}} from {{user}}';
+    configData.rules[0].bodyTemplate = '{{rule.repository}}';
+    expect(function() { return new Config(configData); })
+      .to.throw(Error, 'Invalid configuration:\n' +
+        '  /titleTemplate: unknown placeholders {{message}}, {{user}}\n' +
+        '  /rules/0/bodyTemplate: unknown placeholder {{rule.repository}}');
+  });
+
+  it('should validate labels, assignees and milestone', function() {
+    var configData = helpers.baseConfig();
+
+    configData.rules[0].labels = ['bug', 'good first issue'];
+    configData.rules[0].assignees = ['mbland', 'jq-user'];
+    configData.rules[0].milestone = 'Handbook v2';
+    expect(JSON.stringify(new Config(configData)))
+      .to.equal(JSON.stringify(configData));
+
+    configData.rules[0].labels = [];
+    configData.rules[0].assignees = ['@mbland'];
+    configData.rules[0].milestone = 2;
+    expect(function() { return new Config(configData); })
+      .to.throw(Error, 'Invalid configuration:\n' +
+        '  /rules/0/labels: expected non-empty array of strings\n' +
+        '  /rules/0/assignees/0: expected a GitHub user name matching ' +
+          '/^[A-Za-z0-9][A-Za-z0-9-]*$/\n' +
+        '  /rules/0/milestone: expected string');
+  });
+
+  it('should validate priority', function() {
+    var configData = helpers.baseConfig();
+
+    configData.matchMode = 'mostSpecific';
+    configData.rules[0].priority = -5;
+    configData.rules[1].priority = 10;
+    expect(JSON.stringify(new Config(configData)))
+      .to.equal(JSON.stringify(configData));
+
+    configData.rules[1].priority = 1001;
+    expect(function() { return new Config(configData); })
+      .to.throw(Error, 'Invalid configuration:\n' +
+        '  /rules/1/priority: expected integer between -1000 and 1000');
+  });
+
+  it('should validate conversation types', function() {
+    var configData = helpers.baseConfig();
+
+    configData.rules[0].conversationTypes = ['public_channel', 'mpim'];
+    configData.rules[2].excludeConversationTypes = ['im'];
+    expect(JSON.stringify(new Config(configData)))
+      .to.equal(JSON.stringify(configData));
+
+    configData.rules[0].conversationTypes = ['group'];
+    configData.rules[2].excludeConversationTypes = [];
+    expect(function() { return new Config(configData); })
+      .to.throw(Error, 'Invalid configuration:\n' +
+        '  /rules/0/conversationTypes/0: expected a conversation type ' +
+          'matching /^(public_channel|private_channel|mpim|im)$/\n' +
+        '  /rules/2/excludeConversationTypes: expected non-empty array of ' +
+          'strings');
+  });
+
+  it('should validate time restrictions', function() {
+    var configData = helpers.baseConfig();
+
+    configData.maxMessageAgeDays = 30;
+    configData.activeHours = { start: 9, end: 17 };
+    configData.utcOffsetHours = -5;
+    configData.rules[0].activeDays = ['Mon', 'Fri'];
+    configData.rules[1].activeHours = { start: 22, end: 6 };
+    expect(JSON.stringify(new Config(configData)))
+      .to.equal(JSON.stringify(configData));
+
+    configData.rules[0].activeDays = ['Monday'];
+    configData.rules[1].maxMessageAgeDays = 0;
+    configData.rules[2].activeHours = { start: 9 };
+    expect(function() { return new Config(configData); })
+      .to.throw(Error, 'Invalid configuration:\n' +
+        '  /rules/0/activeDays/0: expected a day of the week matching ' +
+          '/^(Sun|Mon|Tue|Wed|Thu|Fri|Sat)$/\n' +
+        '  /rules/1/maxMessageAgeDays: expected integer between 1 and ' +
+          '3650\n' +
+        '  /rules/2/activeHours/end: missing required property');
+
+    configData = helpers.baseConfig();
+    configData.activeHours = { start: 9, end: 9 };
+    configData.rules[0].activeHours = { start: 0, end: 0 };
+    expect(function() { return new Config(configData); })
+      .to.throw(Error, 'Invalid configuration:\n' +
+        '  /activeHours: start and end must differ\n' +
+        '  /rules/0/activeHours: start and end must differ');
+  });
+
+  it('should validate reactionNames', function() {
+    var configData = helpers.baseConfig();
+
+    delete configData.rules[0].reactionName;
+    configData.rules[0].reactionNames = ['bug', 'beetle'];
+    expect(JSON.stringify(new Config(configData)))
+      .to.equal(JSON.stringify(configData));
+
+    configData.rules[0].reactionNames = ['Bug'];
+    configData.rules[1].reactionNames = ['bug'];
+    expect(function() { return new Config(configData); })
+      .to.throw(Error, 'Invalid configuration:\n' +
+        '  /rules/0/reactionNames/0: expected an emoji name matching ' +
+          '/^[a-z0-9_+\'-]+$/\n' +
+        '  /rules/1/reactionNames: may not be used with ' +
+          '/rules/1/reactionName');
+  });
+
+  it('should validate reactionLabels', function() {
+    var configData = helpers.baseConfig();
+
+    delete configData.rules[0].reactionName;
+    configData.rules[0].reactionLabels = { bug: 'bug', bulb: 'enhancement' };
+    configData.rules[1].reactionLabels = { question: 'question' };
+    expect(JSON.stringify(new Config(configData)))
+      .to.equal(JSON.stringify(configData));
+
+    configData.rules[0].reactionLabels = { Bug: 'bug', bulb: '' };
+    configData.rules[1].reactionLabels = {};
+    expect(function() { return new Config(configData); })
+      .to.throw(Error, 'Invalid configuration:\n' +
+        '  /rules/0/reactionLabels/Bug: property name expected an emoji ' +
+          'name matching /^[a-z0-9_+\'-]+$/\n' +
+        '  /rules/0/reactionLabels/bulb: expected non-empty string\n' +
+        '  /rules/1/reactionLabels: expected non-empty object of strings');
+  });
+
+  it('should require reactionLabels bodyTemplates to have a permalink',
+    function() {
+      var configData = helpers.baseConfig();
+
+      configData.bodyTemplate = '{{markdown}}';
+      configData.rules[0].reactionLabels = { bug: 'bug' };
+      configData.rules[1].reactionLabels = { bug: 'bug' };
+      configData.rules[1].bodyTemplate = '{{text}}';
+      configData.rules[2].bodyTemplate = '{{text}}';
+      expect(function() { return new Config(configData); })
+        .to.throw(Error, 'Invalid configuration:\n' +
+          '  /rules/0/reactionLabels: requires the global bodyTemplate to ' +
+            'include {{permalink}}\n' +
+          '  /rules/1/reactionLabels: requires bodyTemplate to include ' +
+            '{{permalink}}');
+
+      configData.rules[0].bodyTemplate = '{{text}}\n\n{{ permalink }}';
+      configData.rules[1].bodyTemplate = '{{permalink}}';
+      expect(JSON.stringify(new Config(configData)))
+        .to.equal(JSON.stringify(configData));
+    });
+
+  it('should validate includeThread and includePrecedingMessages',
+    function() {
+      var configData = helpers.baseConfig();
+
+      configData.rules[0].includeThread = true;
+      configData.rules[0].includePrecedingMessages = 100;
+      expect(JSON.stringify(new Config(configData)))
+        .to.equal(JSON.stringify(configData));
+
+      configData.rules[0].includeThread = 'yes';
+      configData.rules[0].includePrecedingMessages = 101;
+      expect(function() { return new Config(configData); })
+        .to.throw(Error, 'Invalid configuration:\n' +
+          '  /rules/0/includeThread: expected boolean\n' +
+          '  /rules/0/includePrecedingMessages: expected integer ' +
+            'between 1 and 100');
+    });
+
+  it('should escape property names in error paths', function() {
+    var configData = helpers.baseConfig();
+
+    configData['foo/bar~baz'] = true;
+    expect(function() { return new Config(configData); })
+      .to.throw(Error, 'Invalid configuration:\n' +
+        '  /foo~1bar~0baz: unknown property');
+  });
+
+  it('should log warnings for shadowed rules', function() {
+    var configData = helpers.baseConfig(),
+        logger = new Logger(console),
+        config;
+
+    configData.rules.push(configData.rules.shift());
+    sinon.stub(logger, 'warning');
+    config = new Config(configData, logger);
+    expect(JSON.stringify(config)).to.equal(JSON.stringify(configData));
+    expect(logger.warning.args).to.eql([
+      [null, 'configuration warning:',
+        '/rules/2: is shadowed by /rules/1 and will never match']
+    ]);
+  });
+
+  it('should reject shadowed rules if rejectShadowedRules is set',
+    function() {
+      var configData = helpers.baseConfig(),
+          errors = [
+            '/rules/2: is shadowed by /rules/1 and will never match',
+            '/rules/3: duplicates /rules/0 and will never match'
+          ],
+          errorMessage = 'Invalid configuration:\n  ' + errors.join('\n  ');
+
+      configData.rejectShadowedRules = true;
+      configData.rules.push(configData.rules.shift());
+      configData.rules.push(configData.rules[0]);
+
+      expect(function() { return new Config(configData); })
+        .to.throw(Error, errorMessage);
+    });
+
+  it('should migrate a configuration without a configVersion', function() {
+    var configData = helpers.baseConfig(),
+        logger = new Logger(console),
+        config;
+
+    delete configData.configVersion;
+    sinon.stub(logger, 'info');
+    config = new Config(configData, logger);
+    expect(JSON.stringify(config)).to.equal(
+      JSON.stringify(helpers.baseConfig()));
+    expect(configData.configVersion).to.be.undefined;
+    expect(logger.info.args).to.eql([
+      [null, 'migrated configuration from',
+        'version 0 to 1: added configVersion'],
+      [null, 'run "bin/slack-github-issues migrate" to save the ' +
+        'migrated configuration']
+    ]);
+  });
+
+  it('should raise an error for an unknown configVersion', function() {
+    var configData = helpers.baseConfig();
+
+    configData.configVersion = 2;
+    expect(function() { return new Config(configData); })
+      .to.throw(Error, 'Invalid configuration:\n' +
+        '  /configVersion: expected integer between 0 and 1');
+  });
+
   it('should load from HUBOT_SLACK_GITHUB_ISSUES_CONFIG_PATH', function() {
     var testConfig = require('./helpers/test-config.json'),
         logger = new Logger(console),
@@ -124,10 +635,48 @@ describe('Config', function() {
     ]);
   });
 
+  it('should load a YAML config file', function() {
+    var testConfig = require('./helpers/test-config.json'),
+        logger = new Logger(console),
+        configPath = path.join(__dirname, 'helpers', 'test-config.yaml'),
+        config;
+
+    process.env.HUBOT_SLACK_GITHUB_ISSUES_CONFIG_PATH = configPath;
+    sinon.stub(logger, 'info');
+    config = new Config(null, logger);
+    expect(JSON.stringify(config)).to.eql(JSON.stringify(testConfig));
+  });
+
+  it('should load a JSON config file containing comments', function() {
+    var testConfig = require('./helpers/test-config.json'),
+        logger = new Logger(console),
+        configPath = path.join(__dirname, 'helpers', 'test-config.jsonc'),
+        config;
+
+    process.env.HUBOT_SLACK_GITHUB_ISSUES_CONFIG_PATH = configPath;
+    sinon.stub(logger, 'info');
+    config = new Config(null, logger);
+    expect(JSON.stringify(config)).to.eql(JSON.stringify(testConfig));
+  });
+
+  it('should validate a config loaded from a specific file', function() {
+    var logger = new Logger(console),
+        configPath = path.join(__dirname, 'helpers',
+          'test-config-invalid.json');
+
+    sinon.stub(logger, 'info');
+    expect(function() { return Config.fromFile(configPath, logger); })
+      .to.throw(Error, 'Invalid configuration:\n' +
+        '  /rules: missing required property');
+    expect(logger.info.args).to.eql([
+      [null, 'reading configuration from', configPath]
+    ]);
+  });
+
   it('should raise an error if the config file isn\'t valid JSON', function() {
     var logger = new Logger(console),
         errorMessage = 'failed to load configuration from ' + __filename +
-          ': invalid JSON: ';
+          ': invalid JSON at line 1, column 1: ';
 
     process.env.HUBOT_SLACK_GITHUB_ISSUES_CONFIG_PATH = __filename;
     sinon.stub(logger, 'info');
@@ -0,0 +1,203 @@
+'use strict';
+
+var ConfigWatcher = require('../lib/config-watcher');
+var Config = require('../lib/config');
+var Logger = require('../lib/logger');
+var helpers = require('./helpers');
+var fs = require('fs');
+var path = require('path');
+var temp = require('temp');
+var sinon = require('sinon');
+var chai = require('chai');
+var expect = chai.expect;
+
+chai.should();
+
+describe('ConfigWatcher', function() {
+  var configPath, logger, onReload, watcher, writeConfig;
+
+  beforeEach(function() {
+    configPath = temp.path({ prefix: 'config-watcher-test-', suffix: '.json' });
+    process.env.HUBOT_SLACK_GITHUB_ISSUES_CONFIG_PATH = configPath;
+    writeConfig(helpers.baseConfig());
+
+    logger = new Logger(console);
+    sinon.stub(logger, 'info');
+    sinon.stub(logger, 'error');
+    onReload = sinon.spy();
+    watcher = new ConfigWatcher(logger, onReload);
+  });
+
+  afterEach(function() {
+    delete process.env.HUBOT_SLACK_GITHUB_ISSUES_CONFIG_PATH;
+    fs.unlinkSync(configPath);
+  });
+
+  writeConfig = function(config) {
+    fs.writeFileSync(configPath, JSON.stringify(config));
+  };
+
+  it('should watch the configured path', function() {
+    watcher.configPath.should.equal(configPath);
+  });
+
+  it('should pass a reloaded configuration to onReload', function() {
+    var config = helpers.baseConfig(),
+        result;
+
+    config.rules.pop();
+    writeConfig(config);
+    result = watcher.reload();
+
+    result.should.be.an.instanceof(Config);
+    JSON.stringify(result).should.equal(JSON.stringify(config));
+    onReload.calledOnce.should.be.true;
+    onReload.args[0][0].should.equal(result);
+    logger.info.args.should.eql([
+      [null, 'reading configuration from', configPath],
+      [null, 'reloaded configuration from', configPath]
+    ]);
+    logger.error.called.should.be.false;
+  });
+
+  it('should keep the previous configuration if the new one is invalid',
+    function() {
+      var config = helpers.baseConfig();
+
+      delete config.rules;
+      writeConfig(config);
+
+      expect(watcher.reload()).to.be.undefined;
+      onReload.called.should.be.false;
+      logger.error.args.should.eql([[null,
+        'failed to reload configuration; keeping the previous configuration:',
+        'Invalid configuration:\n  /rules: missing required property ' +
+          '(from ' + configPath + ')'
+      ]]);
+    });
+
+  it('should keep the previous configuration if it isn\'t valid JSON',
+    function() {
+      fs.writeFileSync(configPath, '{ "githubUser": ');
+
+      expect(watcher.reload()).to.be.undefined;
+      onReload.called.should.be.false;
+      logger.error.args[0][2].should.have.string(
+        'failed to load configuration from ' + configPath +
+        ': invalid JSON at line 1, column 17: ');
+    });
+
+  it('should log an error if onReload throws', function() {
+    onReload = sinon.stub().throws(new Error('test failure'));
+    watcher = new ConfigWatcher(logger, onReload);
+
+    expect(watcher.reload()).to.be.undefined;
+    logger.error.args.should.eql([[null,
+      'failed to reload configuration; keeping the previous configuration:',
+      'test failure'
+    ]]);
+  });
+
+  describe('start and stop', function() {
+    beforeEach(function() {
+      sinon.stub(fs, 'watchFile');
+      sinon.stub(fs, 'unwatchFile');
+      sinon.stub(watcher, 'reload');
+    });
+
+    afterEach(function() {
+      fs.watchFile.restore();
+      fs.unwatchFile.restore();
+    });
+
+    it('should reload only when the modification time changes', function() {
+      var listener;
+
+      watcher.start();
+      fs.watchFile.calledOnce.should.be.true;
+      fs.watchFile.args[0][0].should.equal(configPath);
+      fs.watchFile.args[0][1].should.eql(
+        { persistent: false, interval: ConfigWatcher.POLL_INTERVAL });
+      logger.info.args.should.eql(
+        [[null, 'watching', configPath, 'for changes']]);
+
+      listener = fs.watchFile.args[0][2];
+      listener({ mtime: new Date(1000) }, { mtime: new Date(1000) });
+      watcher.reload.called.should.be.false;
+      listener({ mtime: new Date(2000) }, { mtime: new Date(1000) });
+      watcher.reload.calledOnce.should.be.true;
+    });
+
+    it('should watch the overlay for the environment', function() {
+      var overlayPath = configPath.replace(/\.json$/, '.production.json');
+
+      process.env.HUBOT_SLACK_GITHUB_ISSUES_ENVIRONMENT = 'production';
+      try {
+        watcher.start();
+      } finally {
+        delete process.env.HUBOT_SLACK_GITHUB_ISSUES_ENVIRONMENT;
+      }
+
+      fs.watchFile.args.map(function(args) {
+        return args[0];
+      }).should.eql([configPath, overlayPath]);
+      watcher.stop();
+      fs.unwatchFile.args.should.eql([
+        [configPath, fs.watchFile.args[0][2]],
+        [overlayPath, fs.watchFile.args[0][2]]
+      ]);
+    });
+
+    it('should watch files added to a configuration directory', function() {
+      var configDir = temp.mkdirSync('config-watcher-test-'),
+          basePath = path.join(configDir, '00-base.json'),
+          fragmentPath = path.join(configDir, '10-team.json');
+
+      fs.renameSync(configPath, basePath);
+      process.env.HUBOT_SLACK_GITHUB_ISSUES_CONFIG_PATH = configDir;
+      watcher = new ConfigWatcher(logger, onReload);
+
+      try {
+        watcher.start();
+        fs.writeFileSync(fragmentPath, JSON.stringify({ rules: [] }));
+        fs.watchFile.args[1][2](
+          { mtime: new Date(2000) }, { mtime: new Date(1000) });
+        fs.unlinkSync(fragmentPath);
+        watcher.reload();
+      } finally {
+        fs.writeFileSync(configPath, '{}');
+        fs.unlinkSync(basePath);
+        fs.rmdirSync(configDir);
+      }
+
+      fs.watchFile.args.map(function(args) {
+        return args[0];
+      }).should.eql([configDir, basePath, fragmentPath]);
+      fs.unwatchFile.args.should.eql([[fragmentPath, watcher.listener]]);
+      onReload.calledTwice.should.be.true;
+    });
+
+    it('should watch the token files of the current configuration',
+      function() {
+        var config = helpers.baseConfig(),
+            tokenPath = path.join(path.dirname(configPath), 'github-token');
+
+        config.githubTokenFile = tokenPath;
+        watcher.start(new Config(config));
+        fs.watchFile.args.map(function(args) {
+          return args[0];
+        }).should.eql([configPath, tokenPath]);
+
+        watcher.reload.restore();
+        watcher.reload();
+        fs.unwatchFile.args.should.eql([[tokenPath, watcher.listener]]);
+      });
+
+    it('should stop watching the configuration file', function() {
+      watcher.start();
+      watcher.stop();
+      fs.unwatchFile.args.should.eql(
+        [[configPath, fs.watchFile.args[0][2]]]);
+    });
+  });
+});
@@ -0,0 +1,48 @@
+'use strict';
+
+var emoji = require('../lib/emoji');
+var chai = require('chai');
+
+chai.should();
+
+describe('emoji', function() {
+  it('should leave canonical names unchanged', function() {
+    emoji.normalize('evergreen_tree').should.equal('evergreen_tree');
+    emoji.normalize('thumbsup').should.equal('thumbsup');
+  });
+
+  it('should strip skin tones', function() {
+    emoji.normalize('thumbsup::skin-tone-3').should.equal('thumbsup');
+    emoji.normalize('+1::skin-tone-6').should.equal('thumbsup');
+  });
+
+  it('should resolve standard aliases', function() {
+    emoji.normalize('+1').should.equal('thumbsup');
+    emoji.normalize('-1').should.equal('thumbsdown');
+    emoji.normalize('shit').should.equal('hankey');
+  });
+
+  it('should resolve custom aliases', function() {
+    var customAliases = {
+      'xmas_tree': 'evergreen_tree',
+      'approve': 'plus_one',
+      'plus_one': '+1',
+      'loop': 'loop'
+    };
+
+    emoji.normalize('xmas_tree', customAliases)
+      .should.equal('evergreen_tree');
+    emoji.normalize('approve', customAliases).should.equal('thumbsup');
+    emoji.normalize('approve::skin-tone-2', customAliases)
+      .should.equal('thumbsup');
+    emoji.normalize('loop', customAliases).should.equal('loop');
+    emoji.normalize('xmas_tree').should.equal('xmas_tree');
+  });
+
+  it('should compare emoji names', function() {
+    emoji.equivalent('+1::skin-tone-4', 'thumbsup').should.be.true;
+    emoji.equivalent('xmas_tree', 'evergreen_tree',
+      { 'xmas_tree': 'evergreen_tree' }).should.be.true;
+    emoji.equivalent('thumbsup', 'thumbsdown').should.be.false;
+  });
+});
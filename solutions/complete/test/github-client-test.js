@@ -4,6 +4,7 @@ var GitHubClient = require('../lib/github-client');
 var ApiStubServer = require('./helpers/api-stub-server');
 var helpers = require('./helpers');
 var url = require('url');
+var sinon = require('sinon');
 var chai = require('chai');
 var chaiAsPromised = require('chai-as-promised');
 
@@ -11,13 +12,15 @@ chai.should();
 chai.use(chaiAsPromised);
 
 describe('GitHubClient', function() {
-  var githubClient, githubApiServer, setResponse;
+  var githubClient, githubApiServer, githubToken, setResponse,
+      setMilestonesResponse;
 
   before(function() {
     var config = helpers.baseConfig();
     githubApiServer = new ApiStubServer();
     config.githubApiBaseUrl = githubApiServer.address();
-    githubClient = new GitHubClient(config);
+    githubToken = '<18F-github-api-token>';
+    githubClient = new GitHubClient(config, githubToken);
   });
 
   after(function() {
@@ -28,13 +31,29 @@ describe('GitHubClient', function() {
     githubApiServer.urlsToResponses = {};
   });
 
-  setResponse = function(statusCode, payload) {
-    var metadata = helpers.metadata();
+  setResponse = function(statusCode, payload, repositoryPath,
+    expectedParams) {
+    var metadata = helpers.metadata(),
+        issuesUrl = '/repos/' + (repositoryPath || '18F/handbook') + '/issues';
 
-    githubApiServer.urlsToResponses['/repos/18F/handbook/issues'] = {
-      expectedParams: {
+    githubApiServer.urlsToResponses[issuesUrl] = {
+      expectedParams: expectedParams || {
         title: metadata.title,
-        body: metadata.url
+        body: metadata.body
+      },
+      expectedHeaders: {
+        Authorization: 'token ' + githubToken
+      },
+      statusCode: statusCode,
+      payload: payload
+    };
+  };
+
+  setMilestonesResponse = function(statusCode, payload) {
+    githubApiServer.urlsToResponses['/repos/18F/handbook/milestones'] = {
+      expectedParams: { state: 'open', 'per_page': '100' },
+      expectedHeaders: {
+        Authorization: 'token ' + githubToken
       },
       statusCode: statusCode,
       payload: payload
@@ -61,6 +80,12 @@ describe('GitHubClient', function() {
       .should.eventually.equal(helpers.ISSUE_URL);
   });
 
+  it('should file an issue in a repository with another owner', function() {
+    setResponse(201, { 'html_url': helpers.ISSUE_URL }, 'mbland/handbook');
+    return githubClient.fileNewIssue(helpers.metadata(), 'mbland/handbook')
+      .should.eventually.equal(helpers.ISSUE_URL);
+  });
+
   it('should fail to make a request if the server is down', function() {
     var config = helpers.baseConfig(),
         githubClient;
@@ -78,4 +103,157 @@ describe('GitHubClient', function() {
       .should.be.rejectedWith(Error, 'received 500 response from GitHub ' +
         'API: ' + JSON.stringify(payload));
   });
+
+  it('should report validation errors from the GitHub API', function() {
+    setResponse(422, {
+      message: 'Validation Failed',
+      errors: [
+        { resource: 'Issue', field: 'assignees', code: 'invalid',
+          value: 'nobody' },
+        { resource: 'Issue', field: 'labels', code: 'invalid',
+          message: 'labels must be strings' }
+      ]
+    });
+    return githubClient.fileNewIssue(helpers.metadata(), 'handbook')
+      .should.be.rejectedWith(Error, 'GitHub API validation failed: ' +
+        'invalid assignees "nobody"; labels must be strings');
+  });
+
+  it('should report other 422 responses in full', function() {
+    var payload = { message: 'Repository was archived' };
+
+    setResponse(422, payload);
+    return githubClient.fileNewIssue(helpers.metadata(), 'handbook')
+      .should.be.rejectedWith(Error, 'received 422 response from GitHub ' +
+        'API: ' + JSON.stringify(payload));
+  });
+
+  describe('labels, assignees and milestones', function() {
+    var metadata, expectedParams, clock;
+
+    beforeEach(function() {
+      metadata = helpers.metadata();
+      metadata.labels = ['bug', 'handbook'];
+      metadata.assignees = ['mbland'];
+      metadata.milestone = 'v1.0';
+      expectedParams = {
+        title: metadata.title,
+        body: metadata.body,
+        labels: metadata.labels,
+        assignees: metadata.assignees,
+        milestone: 2
+      };
+      githubClient.milestoneCache = {};
+      clock = sinon.useFakeTimers(Date.now(), 'Date');
+    });
+
+    afterEach(function() {
+      clock.restore();
+    });
+
+    it('should file an issue with labels, assignees and a milestone',
+      function() {
+        setMilestonesResponse(200, [
+          { title: 'v0.9', number: 1 }, { title: 'v1.0', number: 2 }
+        ]);
+        setResponse(201, { 'html_url': helpers.ISSUE_URL }, null,
+          expectedParams);
+        return githubClient.fileNewIssue(metadata, 'handbook')
+          .should.eventually.equal(helpers.ISSUE_URL);
+      });
+
+    it('should file an issue with only labels', function() {
+      delete metadata.assignees;
+      delete metadata.milestone;
+      setResponse(201, { 'html_url': helpers.ISSUE_URL }, null, {
+        title: metadata.title,
+        body: metadata.body,
+        labels: metadata.labels
+      });
+      return githubClient.fileNewIssue(metadata, 'handbook')
+        .should.eventually.equal(helpers.ISSUE_URL);
+    });
+
+    it('should report an unknown milestone', function() {
+      setMilestonesResponse(200, [{ title: 'v0.9', number: 1 }]);
+      return githubClient.fileNewIssue(metadata, 'handbook')
+        .should.be.rejectedWith(Error,
+          'milestone "v1.0" not found in 18F/handbook');
+    });
+
+    it('should cache milestone numbers', function() {
+      setMilestonesResponse(200, [{ title: 'v1.0', number: 2 }]);
+
+      return githubClient.getMilestoneNumber('handbook', 'v1.0')
+        .should.become(2).then(function() {
+          setMilestonesResponse(200, [{ title: 'v1.0', number: 3 }]);
+          return githubClient.getMilestoneNumber('18F/handbook', 'v1.0');
+        })
+        .should.become(2).then(function() {
+          clock.tick(GitHubClient.MILESTONE_CACHE_TTL);
+          return githubClient.getMilestoneNumber('handbook', 'v1.0');
+        })
+        .should.become(3);
+    });
+
+    it('should not cache failures to get milestones', function() {
+      var errorMessage = 'received 500 response from GitHub API: ' +
+        '{"message":"test failure"}';
+
+      setMilestonesResponse(500, { message: 'test failure' });
+
+      return githubClient.getMilestoneNumber('handbook', 'v1.0')
+        .should.be.rejectedWith(Error, errorMessage).then(function() {
+          setMilestonesResponse(200, [{ title: 'v1.0', number: 2 }]);
+          return githubClient.getMilestoneNumber('handbook', 'v1.0');
+        })
+        .should.become(2);
+    });
+  });
+
+  describe('labeling existing issues', function() {
+    var setApiResponse = function(url, statusCode, payload, expectedParams) {
+      githubApiServer.urlsToResponses[url] = {
+        expectedParams: expectedParams,
+        expectedHeaders: {
+          Authorization: 'token ' + githubToken
+        },
+        statusCode: statusCode,
+        payload: payload
+      };
+    };
+
+    it('should find an issue by the text of its body', function() {
+      var issue = { number: 1, 'html_url': helpers.ISSUE_URL };
+
+      setApiResponse('/search/issues', 200, { items: [issue] }, {
+        q: '"' + helpers.PERMALINK + '" in:body type:issue repo:18F/handbook'
+      });
+      return githubClient.findIssue('handbook', helpers.PERMALINK)
+        .should.become(issue);
+    });
+
+    it('should resolve to undefined if no issue matches', function() {
+      setApiResponse('/search/issues', 200, { items: [] }, {
+        q: '"' + helpers.PERMALINK + '" in:body type:issue repo:18F/handbook'
+      });
+      return githubClient.findIssue('handbook', helpers.PERMALINK)
+        .should.become(undefined);
+    });
+
+    it('should add labels to an issue', function() {
+      setApiResponse('/repos/18F/handbook/issues/1/labels', 200,
+        [{ name: 'bug' }], { labels: ['bug'] });
+      return githubClient.addLabels('handbook', 1, ['bug'])
+        .should.become(undefined);
+    });
+
+    it('should fail to add labels to an unknown issue', function() {
+      setApiResponse('/repos/18F/handbook/issues/1/labels', 404,
+        { message: 'Not Found' }, { labels: ['bug'] });
+      return githubClient.addLabels('handbook', 1, ['bug'])
+        .should.be.rejectedWith(Error, 'received 404 response from GitHub ' +
+          'API: {"message":"Not Found"}');
+    });
+  });
 });
@@ -11,14 +11,23 @@ function ApiStubServer() {
 
   this.urlsToResponses = {};
 
+  // A list of responses for a URL is returned in order, one per request.
   this.server = new http.Server(function(req, res) {
     var baseUrl = url.parse(req.url),
         responseData = stubServer.urlsToResponses[baseUrl.pathname];
 
+    if (Array.isArray(responseData)) {
+      responseData = responseData.shift();
+    }
+
     if (!responseData) {
       res.statusCode = 500;
       res.end('unexpected URL: ' + req.url);
 
+    } else if (!headersMatch(req, responseData.expectedHeaders)) {
+      res.statusCode = 500;
+      res.end('unexpected headers for URL: ' + req.url);
+
     } else if (req.method === 'GET') {
       compareParamsAndRespond(res, responseData,
         querystring.parse(baseUrl.query));
@@ -35,6 +44,13 @@ function ApiStubServer() {
   this.server.listen(0);
 }
 
+// Node lowercases the names of incoming headers.
+function headersMatch(req, expectedHeaders) {
+  return Object.keys(expectedHeaders || {}).every(function(name) {
+    return req.headers[name.toLowerCase()] === expectedHeaders[name];
+  });
+}
+
 function comparePostParamsAndRespond(req, res, responseData) {
   var data = '';
 
@@ -52,6 +52,24 @@ exports = module.exports = {
         ts: exports.TIMESTAMP,
         permalink: exports.PERMALINK,
         reactions: [
+          { name: exports.REACTION, count: 1, users: [exports.USER_ID] }
+        ]
+      }
+    };
+  },
+
+  messageWithFileReactions: function() {
+    return {
+      ok: true,
+      type: 'file',
+      file: {
+        id: 'F0HS27V1Z',
+        created: 1360782804,
+        title: 'Release notes',
+        permalink: 'https://18f.slack.com/files/jquser/F0HS27V1Z/notes.md',
+        channels: [exports.CHANNEL_ID],
+        reactions: [
+          { name: exports.REACTION, count: 1, users: [exports.USER_ID] }
         ]
       }
     };
@@ -63,7 +81,8 @@ exports = module.exports = {
       timestamp: exports.TIMESTAMP,
       url: exports.PERMALINK,
       date: new Date(1360782804.083113 * 1000),
-      title: 'Update from #handbook at Wed, 13 Feb 2013 19:13:24 GMT'
+      title: 'Update from #handbook at Wed, 13 Feb 2013 19:13:24 GMT',
+      body: exports.PERMALINK
     };
   },
 
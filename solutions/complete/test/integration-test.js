@@ -68,6 +68,14 @@ describe('Integration test', function() {
     apiStubServer.urlsToResponses = apiServerDefaults();
   });
 
+  afterEach(function() {
+    var middleware = room.robot.middleware.receive.stack[0];
+
+    if (middleware) {
+      middleware.watcher.stop();
+    }
+  });
+
   apiServerDefaults = function() {
     var metadata = helpers.metadata();
 
@@ -91,6 +99,19 @@ describe('Integration test', function() {
           'html_url': helpers.ISSUE_URL
         }
       },
+      '/slack/emoji.list': {
+        expectedParams: {
+          token: process.env.HUBOT_SLACK_TOKEN
+        },
+        statusCode: 200,
+        payload: {
+          ok: true,
+          emoji: {
+            'xmas_tree': 'alias:evergreen_tree',
+            partyparrot: 'https://emoji.slack-edge.com/T0001/partyparrot.gif'
+          }
+        }
+      },
       '/slack/reactions.add': {
         expectedParams: {
           channel: helpers.CHANNEL_ID,
@@ -121,7 +142,9 @@ describe('Integration test', function() {
     return [
       'INFO reading configuration from ' +
         process.env.HUBOT_SLACK_GITHUB_ISSUES_CONFIG_PATH,
-      'INFO registered receiveMiddleware'
+      'INFO registered receiveMiddleware',
+      'INFO watching ' + process.env.HUBOT_SLACK_GITHUB_ISSUES_CONFIG_PATH +
+        ' for changes'
     ];
   };
 
@@ -148,6 +171,7 @@ describe('Integration test', function() {
 
     try {
       process.env.HUBOT_SLACK_GITHUB_ISSUES_CONFIG_PATH = invalidConfigPath;
+      room.robot.middleware.receive.stack[0].watcher.stop();
       logHelper = new LogHelper();
       logHelper.capture(function() {
         room = scriptHelper.createRoom({ httpd: false, name: 'handbook' });
@@ -157,13 +181,45 @@ describe('Integration test', function() {
         'ERROR receiveMiddleware registration failed: Invalid configuration:'
       ]);
       logHelper.messages[logHelper.messages.length - 1].should.have.string(
-        'Invalid configuration:\n  missing rules');
+        'Invalid configuration:\n  /rules: missing required property');
 
     } finally {
       process.env.HUBOT_SLACK_GITHUB_ISSUES_CONFIG_PATH = origPath;
     }
   });
 
+  it('should reload the configuration when it changes', function() {
+    var configPath = process.env.HUBOT_SLACK_GITHUB_ISSUES_CONFIG_PATH,
+        middleware = room.robot.middleware.receive.stack[0],
+        newConfig = helpers.baseConfig(),
+        invalidConfig = helpers.baseConfig();
+
+    newConfig.rules[0].reactionName = 'smiley';
+    delete invalidConfig.rules;
+
+    try {
+      logHelper.capture(function() {
+        fs.writeFileSync(configPath, JSON.stringify(newConfig));
+        middleware.watcher.reload();
+        fs.writeFileSync(configPath, JSON.stringify(invalidConfig));
+        middleware.watcher.reload();
+      });
+    } finally {
+      fs.writeFileSync(configPath, JSON.stringify(config));
+    }
+
+    middleware.impl.rules[0].reactionName.should.equal('smiley');
+    logHelper.filteredMessages().should.eql(initLogMessages().concat([
+      'INFO reading configuration from ' + configPath,
+      'INFO reloaded configuration from ' + configPath,
+      'INFO reading configuration from ' + configPath,
+      'ERROR failed to reload configuration; keeping the previous ' +
+        'configuration: Invalid configuration:'
+    ]));
+    logHelper.messages[logHelper.messages.length - 1].should.have.string(
+      'Invalid configuration:\n  /rules: missing required property');
+  });
+
   it('should create a GitHub issue given a valid reaction', function() {
     return sendReaction(helpers.REACTION).should.be.fulfilled.then(function() {
       room.messages.should.eql([
@@ -214,13 +270,26 @@ describe('Integration test', function() {
     Object.keys(apiStubServer.urlsToResponses).forEach(function(url) {
       var response = apiStubServer.urlsToResponses[url];
 
-      response.statusCode = 500;
-      response.payload = { message: 'should not happen' };
+      if (url !== '/slack/emoji.list') {
+        response.statusCode = 500;
+        response.payload = { message: 'should not happen' };
+      }
     });
 
     return sendReaction('sad-face').should.be.fulfilled.then(function() {
       room.messages.should.eql([['mbland', 'sad-face']]);
-      logHelper.filteredMessages().should.eql(initLogMessages());
+      logHelper.filteredMessages().should.eql(initLogMessages().concat(
+        wrapInfoMessages(['getting custom emoji aliases'])));
     });
   });
+
+  it('should file an issue for a custom alias of a rule\'s reaction',
+    function() {
+      return sendReaction('xmas_tree').should.be.fulfilled.then(function() {
+        room.messages.should.eql([
+          ['mbland', 'xmas_tree'],
+          ['hubot', '@mbland created: ' + helpers.ISSUE_URL]
+        ]);
+      });
+    });
 });
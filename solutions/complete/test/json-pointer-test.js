@@ -0,0 +1,27 @@
+'use strict';
+
+var jsonPointer = require('../lib/json-pointer');
+var chai = require('chai');
+
+chai.should();
+
+describe('jsonPointer', function() {
+  it('should append property names and array indices', function() {
+    jsonPointer.append('', 'rules').should.equal('/rules');
+    jsonPointer.append('/rules', 0).should.equal('/rules/0');
+  });
+
+  it('should escape "~" and "/" within tokens', function() {
+    jsonPointer.append('', 'foo/bar~baz').should.equal('/foo~1bar~0baz');
+  });
+
+  it('should return the parent of a pointer', function() {
+    jsonPointer.parent('/rules/0').should.equal('/rules');
+    jsonPointer.parent('/rules').should.equal('');
+  });
+
+  it('should format the root pointer readably', function() {
+    jsonPointer.format('').should.equal('/');
+    jsonPointer.format('/rules/0').should.equal('/rules/0');
+  });
+});
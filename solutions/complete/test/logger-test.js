@@ -7,12 +7,14 @@ var chai = require('chai');
 chai.should();
 
 describe('Logger', function() {
-  var logger, infoSpy, errorSpy;
+  var logger, infoSpy, warningSpy, errorSpy;
 
   beforeEach(function() {
     infoSpy = sinon.spy();
+    warningSpy = sinon.spy();
     errorSpy = sinon.spy();
-    logger = new Logger({ info: infoSpy, error: errorSpy });
+    logger = new Logger(
+      { info: infoSpy, warning: warningSpy, error: errorSpy });
   });
 
   it('should prefix info messages with the script name', function() {
@@ -28,6 +30,12 @@ describe('Logger', function() {
       [Logger.PREFIX, 'U5150+COU812:', 'msgID', 'test']);
   });
 
+  it('should prefix warning messages with the script name', function() {
+    logger.warning(null, 'this', 'is', 'a', 'test');
+    warningSpy.calledOnce.should.be.true;
+    warningSpy.args[0].should.eql([Logger.PREFIX, 'this', 'is', 'a', 'test']);
+  });
+
   it('should prefix error messages with the script name', function() {
     logger.error(null, 'this', 'is', 'a', 'test');
     errorSpy.calledOnce.should.be.true;
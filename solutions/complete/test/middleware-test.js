@@ -6,6 +6,7 @@ var Rule = require('../lib/rule');
 var GitHubClient = require('../lib/github-client');
 var SlackClient = require('../lib/slack-client');
 var Logger = require('../lib/logger');
+var transcript = require('../lib/transcript');
 var helpers = require('./helpers');
 var chai = require('chai');
 var sinon = require('sinon');
@@ -28,6 +29,27 @@ describe('Middleware', function() {
     middleware = new Middleware(config, slackClient, githubClient, logger);
   });
 
+  describe('reconfigure', function() {
+    it('should replace the rules and clients', function() {
+      var newConfig = helpers.baseConfig(),
+          newSlackClient, newGitHubClient;
+
+      newConfig.rules = [newConfig.rules[1]];
+      newConfig.successReaction = 'white_check_mark';
+      newConfig = new Config(newConfig);
+      newSlackClient = new SlackClient(undefined, newConfig);
+      newGitHubClient = new GitHubClient(newConfig);
+      middleware.inProgress[helpers.MESSAGE_ID] = true;
+
+      middleware.reconfigure(newConfig, newSlackClient, newGitHubClient);
+      middleware.rules.should.eql([new Rule(newConfig.rules[0])]);
+      middleware.successReaction.should.equal('white_check_mark');
+      middleware.slackClient.should.equal(newSlackClient);
+      middleware.githubClient.should.equal(newGitHubClient);
+      middleware.inProgress.should.have.property(helpers.MESSAGE_ID, true);
+    });
+  });
+
   describe('findMatchingRule', function() {
     var getChannelName, message;
 
@@ -63,7 +85,7 @@ describe('Middleware', function() {
     });
 
     it('should ignore a message if its item type does not match', function() {
-      message.item.type = 'file';
+      message.item.type = 'external_link';
       expect(middleware.findMatchingRule(message)).to.be.undefined;
     });
 
@@ -71,6 +93,146 @@ describe('Middleware', function() {
       message.reaction = 'sad-face';
       expect(middleware.findMatchingRule(message)).to.be.undefined;
     });
+
+    describe('user restrictions', function() {
+      var user;
+
+      beforeEach(function() {
+        user = { id: helpers.USER_ID, name: 'jquser' };
+        sinon.stub(slackClient, 'getUser').returns(user);
+        sinon.stub(logger, 'info');
+      });
+
+      afterEach(function() {
+        slackClient.getUser.restore();
+        logger.info.restore();
+      });
+
+      it('should not look up the user if no rule restricts users',
+        function() {
+          middleware.findCandidateRules(message).should.eql(
+            [middleware.rules[2]]);
+          slackClient.getUser.called.should.be.false;
+        });
+
+      it('should skip rules that do not apply to the user', function() {
+        middleware.rules.push(middleware.rules[2]);
+        middleware.rules[2] = new Rule({
+          reactionName: 'evergreen_tree',
+          githubRepository: 'handbook',
+          deniedUsers: ['jquser']
+        });
+
+        middleware.findMatchingRule(message)
+          .should.equal(middleware.rules[3]);
+        slackClient.getUser.args.should.eql([[helpers.USER_ID]]);
+        logger.info.called.should.be.false;
+      });
+
+      it('should log why every matching rule was skipped', function() {
+        middleware.rules[2].allowedUsers = ['mbland'];
+        middleware.rules[2].deniedUsers = ['jquser'];
+        middleware.rules.push(new Rule({
+          reactionName: 'evergreen_tree',
+          githubRepository: 'handbook',
+          allowedUsers: ['mbland']
+        }));
+
+        expect(middleware.findMatchingRule(message)).to.be.undefined;
+        logger.info.args.should.eql([
+          helpers.logArgs('ignoring', 'evergreen_tree', 'reaction:',
+            'user jquser is in deniedUsers; ' +
+            'user jquser is not in allowedUsers')
+        ]);
+      });
+
+      it('should ignore restricted users if configured', function() {
+        user['is_restricted'] = true;
+        middleware.findCandidateRules(message).length.should.equal(1);
+
+        middleware.ignoreRestrictedUsers = true;
+        middleware.findCandidateRules(message).should.eql([]);
+        user['is_restricted'] = false;
+        user['is_ultra_restricted'] = true;
+        middleware.findCandidateRules(message).should.eql([]);
+        logger.info.args.should.eql([
+          helpers.logArgs('ignoring', 'evergreen_tree', 'reaction:',
+            'user jquser is a restricted account'),
+          helpers.logArgs('ignoring', 'evergreen_tree', 'reaction:',
+            'user jquser is a restricted account')
+        ]);
+      });
+
+      it('should ignore bot users if configured', function() {
+        middleware.ignoreBotUsers = true;
+        middleware.findCandidateRules(message).length.should.equal(1);
+
+        user['is_bot'] = true;
+        middleware.findCandidateRules(message).should.eql([]);
+        user['is_bot'] = false;
+        user.id = 'USLACKBOT';
+        delete user.name;
+        middleware.findCandidateRules(message).should.eql([]);
+        logger.info.args.should.eql([
+          helpers.logArgs('ignoring', 'evergreen_tree', 'reaction:',
+            'user jquser is a bot'),
+          helpers.logArgs('ignoring', 'evergreen_tree', 'reaction:',
+            'user USLACKBOT is a bot')
+        ]);
+      });
+    });
+
+    describe('time restrictions', function() {
+      var now, clock;
+
+      beforeEach(function() {
+        now = new Date(helpers.TIMESTAMP * 1000);
+        clock = {
+          now: function() {
+            return now.getTime();
+          }
+        };
+        config.maxMessageAgeDays = 7;
+        middleware = new Middleware(config, slackClient, githubClient, logger,
+          clock);
+        sinon.stub(logger, 'info');
+      });
+
+      afterEach(function() {
+        logger.info.restore();
+      });
+
+      it('should ignore reactions to messages older than ' +
+        'maxMessageAgeDays', function() {
+        now.setUTCDate(now.getUTCDate() + 7);
+        middleware.findCandidateRules(message).length.should.equal(1);
+
+        now.setUTCDate(now.getUTCDate() + 1);
+        middleware.findCandidateRules(message).should.eql([]);
+        logger.info.args.should.eql([
+          helpers.logArgs('ignoring', 'evergreen_tree', 'reaction:',
+            'message is older than 7 days')
+        ]);
+      });
+
+      it('should apply a rule\'s own maxMessageAgeDays', function() {
+        now.setUTCDate(now.getUTCDate() + 30);
+        middleware.rules[2] = new Rule({
+          reactionName: 'evergreen_tree',
+          githubRepository: 'handbook',
+          maxMessageAgeDays: 90
+        });
+        middleware.findCandidateRules(message).should.eql(
+          [middleware.rules[2]]);
+      });
+
+      it('should use the system clock by default', function() {
+        middleware = new Middleware(config, slackClient, githubClient,
+          logger);
+        middleware.findCandidateRules(message).should.eql([]);
+        middleware.clock.should.equal(Date);
+      });
+    });
   });
 
   describe('parseMetadata', function() {
@@ -92,6 +254,141 @@ describe('Middleware', function() {
       getChannelName.args.should.have.deep.property('[0]')
         .that.deep.equals([helpers.CHANNEL_ID]);
     });
+
+    it('should include the message text as GitHub Markdown', function() {
+      var message = helpers.messageWithReactions(),
+          expected = helpers.metadata(),
+          getUser = sinon.stub(slackClient, 'getUser');
+
+      getUser.withArgs('U024BE7LH').returns({
+        id: 'U024BE7LH',
+        name: 'jquser',
+        profile: { 'real_name': 'J. Q. User', 'display_name': 'jq' }
+      });
+      message.message.text = '<@U024BE7LH> the *handbook* in <#C5150OU812> ' +
+        'is out of date';
+      expected.markdown = '`@jq` the **handbook** in #handbook ' +
+        'is out of date';
+      expected.body = expected.markdown + '\n\n' + helpers.PERMALINK;
+
+      try {
+        middleware.parseMetadata(message).should.eql(expected);
+      } finally {
+        getUser.restore();
+      }
+    });
+
+    it('should link a thread reply to its parent message', function() {
+      var message = helpers.messageWithReactions(),
+          parentUrl = 'https://18f.slack.com/archives/handbook/' +
+            'p1360782400000000',
+          expected = helpers.metadata(),
+          getTeamDomain = sinon.stub(slackClient, 'getTeamDomain');
+
+      getTeamDomain.returns('18f');
+      message.message['thread_ts'] = '1360782400.000000';
+      expected.parentUrl = parentUrl;
+      expected.body = helpers.PERMALINK + '\nIn reply to: ' + parentUrl;
+
+      try {
+        middleware.parseMetadata(message).should.eql(expected);
+      } finally {
+        getTeamDomain.restore();
+      }
+    });
+
+    it('should parse GitHub request metadata from a file', function() {
+      var message = helpers.messageWithFileReactions(),
+          fileUrl = message.file.permalink;
+
+      middleware.parseMetadata(message).should.eql({
+        channel: 'handbook',
+        timestamp: '1360782804',
+        url: fileUrl,
+        date: new Date(1360782804 * 1000),
+        fileTitle: 'Release notes',
+        title: 'File "Release notes" from #handbook at ' +
+          'Wed, 13 Feb 2013 19:13:24 GMT',
+        body: 'File: Release notes\n' + fileUrl
+      });
+      getChannelName.args.should.eql([[helpers.CHANNEL_ID]]);
+    });
+
+    it('should parse GitHub request metadata from a file comment',
+      function() {
+        var message = helpers.messageWithFileReactions(),
+            metadata;
+
+        message.file.channels = [];
+        message.comment = {
+          id: 'Fc0HS2KBEZ',
+          created: 1360782900,
+          comment: 'This section is out of date',
+          reactions: message.file.reactions
+        };
+        metadata = middleware.parseMetadata(message);
+
+        metadata.timestamp.should.equal('1360782900');
+        metadata.title.should.equal('Comment on file "Release notes" at ' +
+          'Wed, 13 Feb 2013 19:15:00 GMT');
+        metadata.body.should.equal('This section is out of date\n\n' +
+          'Comment on file: Release notes\n' + message.file.permalink);
+        getChannelName.called.should.be.false;
+      });
+
+    it('should describe direct messages in the title', function() {
+      var message = helpers.messageWithReactions(),
+          getConversationType = sinon.stub(slackClient, 'getConversationType');
+
+      message.channel = 'D0D1RECT';
+      getConversationType.returns('im');
+      getChannelName.returns('jquser');
+
+      try {
+        middleware.parseMetadata(message).title.should.equal(
+          'Update from direct message with @jquser at ' +
+          helpers.metadata().date.toUTCString());
+        getConversationType.args.should.eql([['D0D1RECT']]);
+      } finally {
+        getConversationType.restore();
+      }
+    });
+
+    it('should describe group direct messages in the title', function() {
+      var message = helpers.messageWithReactions(),
+          getConversationType = sinon.stub(slackClient, 'getConversationType');
+
+      message.channel = 'G0MP1M';
+      getConversationType.returns('mpim');
+      getChannelName.returns('mpdm-mbland--jquser--alice-1');
+
+      try {
+        middleware.parseMetadata(message).title.should.equal(
+          'Update from group message with mbland, jquser, alice at ' +
+          helpers.metadata().date.toUTCString());
+      } finally {
+        getConversationType.restore();
+      }
+    });
+
+    it('should link a thread reply in a direct message by ID', function() {
+      var message = helpers.messageWithReactions(),
+          getConversationType = sinon.stub(slackClient, 'getConversationType'),
+          getTeamDomain = sinon.stub(slackClient, 'getTeamDomain');
+
+      message.channel = 'D0D1RECT';
+      message.message['thread_ts'] = '1360782400.000000';
+      getConversationType.returns('im');
+      getTeamDomain.returns('18f');
+
+      try {
+        middleware.parseMetadata(message).parentUrl.should.equal(
+          'https://18f.slack.com/archives/D0D1RECT/p1360782400000000');
+      } finally {
+        getConversationType.restore();
+        getTeamDomain.restore();
+      }
+    });
   });
 
   describe('execute', function() {
@@ -112,6 +409,7 @@ describe('Middleware', function() {
       logger = sinon.stub(logger);
 
       slackClient.getChannelName.returns('handbook');
+      slackClient.getConversationType.returns('public_channel');
       slackClient.getTeamDomain.returns('18f');
 
       slackClient.getReactions
@@ -123,7 +421,7 @@ describe('Middleware', function() {
 
     it('should receive a message and file an issue', function() {
       return middleware.execute(context, next, hubotDone)
-        .should.become(helpers.ISSUE_URL).then(function() {
+        .should.become([helpers.ISSUE_URL]).then(function() {
           var matchingRule = new Rule(helpers.baseConfig().rules[2]);
 
           context.response.reply.args.should.eql([
@@ -140,30 +438,153 @@ describe('Middleware', function() {
         });
     });
 
+    it('should finish a request using the configuration in effect when ' +
+      'it started', function() {
+      var result, newGitHubClient = new GitHubClient(config);
+
+      sinon.stub(newGitHubClient, 'fileNewIssue');
+      result = middleware.execute(context, next, hubotDone);
+      middleware.reconfigure(config, slackClient, newGitHubClient);
+
+      return result.should.become([helpers.ISSUE_URL]).then(function() {
+        githubClient.fileNewIssue.calledOnce.should.be.true;
+        newGitHubClient.fileNewIssue.called.should.be.false;
+      });
+    });
+
+    it('should file an issue for a reaction to a file', function() {
+      var item = { type: 'file', file: 'F0HS27V1Z' };
+
+      context.response.message.rawMessage.item = item;
+      slackClient.getReactions
+        .returns(Promise.resolve(helpers.messageWithFileReactions()));
+
+      return middleware.execute(context, next, hubotDone)
+        .should.become([helpers.ISSUE_URL]).then(function() {
+          slackClient.getReactions.args.should.eql([[item]]);
+          slackClient.addSuccessReaction.args.should.eql([[item]]);
+          githubClient.fileNewIssue.args[0][0].fileTitle
+            .should.equal('Release notes');
+          logger.info.args.should.include.something.that.deep.equals(
+            ['F0HS27V1Z', 'getting reactions for', 'file F0HS27V1Z']);
+        });
+    });
+
     it('should ignore messages that do not match', function() {
       delete context.response.message.rawMessage;
       expect(middleware.execute(context, next, hubotDone)).to.be.undefined;
       next.calledWith(hubotDone).should.be.true;
     });
 
+    describe('with custom emoji aliases', function() {
+      beforeEach(function() {
+        context.response.message.rawMessage.reaction = 'xmas_tree';
+        slackClient.emojiAliasesExpired.returns(true);
+      });
+
+      it('should fetch aliases for a reaction matching no rule', function() {
+        slackClient.getEmojiAliases.returns(Promise.resolve().then(function() {
+          slackClient.emojiAliases = { 'xmas_tree': 'evergreen_tree' };
+          slackClient.emojiAliasesExpired.returns(false);
+        }));
+
+        return middleware.execute(context, next, hubotDone)
+          .should.become([helpers.ISSUE_URL]).then(function() {
+            slackClient.getEmojiAliases.calledOnce.should.be.true;
+            githubClient.fileNewIssue.calledOnce.should.be.true;
+          });
+      });
+
+      it('should ignore the reaction if fetching aliases fails', function() {
+        slackClient.getEmojiAliases
+          .returns(Promise.reject(new Error('missing_scope')));
+
+        return middleware.execute(context, next, hubotDone)
+          .should.be.fulfilled.then(function() {
+            next.calledWith(hubotDone).should.be.true;
+            slackClient.getEmojiAliases.calledOnce.should.be.true;
+            githubClient.fileNewIssue.called.should.be.false;
+            logger.error.args.should.eql([[helpers.MESSAGE_ID,
+              'failed to get custom emoji aliases: missing_scope']]);
+          });
+      });
+
+      it('should catch unanticipated errors after fetching aliases',
+        function() {
+          slackClient.getEmojiAliases.returns(Promise.resolve().then(
+            function() {
+              slackClient.emojiAliases = { 'xmas_tree': 'evergreen_tree' };
+              slackClient.emojiAliasesExpired.returns(false);
+            }));
+          slackClient.getConversationType.throws(new Error('boom'));
+
+          return middleware.execute(context, next, hubotDone)
+            .should.be.fulfilled.then(function() {
+              next.calledWith(hubotDone).should.be.true;
+              context.response.reply.args[0][0]
+                .should.have.string('unhandled error: boom');
+              logger.error.args[0][1]
+                .should.have.string('unhandled error: boom');
+            });
+        });
+
+      it('should not fetch aliases once they are cached', function() {
+        slackClient.emojiAliasesExpired.returns(false);
+        expect(middleware.execute(context, next, hubotDone)).to.be.undefined;
+        next.calledWith(hubotDone).should.be.true;
+        slackClient.getEmojiAliases.called.should.be.false;
+      });
+    });
+
+    it('should count reactions with skin tones toward minimumReactions',
+      function() {
+        var message = helpers.messageWithReactions();
+
+        middleware.rules[2].reactionName = 'thumbsup';
+        middleware.rules[2].minimumReactions = 3;
+        context.response.message.rawMessage.reaction = '+1::skin-tone-2';
+        message.message.reactions.push(
+          { name: '+1::skin-tone-2', count: 2,
+            users: [helpers.USER_ID, 'U024BE7LH'] },
+          { name: 'thumbsup', count: 2, users: [helpers.USER_ID, 'U1984JQUSR'] }
+        );
+        slackClient.getReactions.returns(Promise.resolve(message));
+
+        return middleware.execute(context, next, hubotDone)
+          .should.become([helpers.ISSUE_URL]);
+      });
+
     it('should not file another issue for the same message when ' +
       'one is in progress', function() {
-      var result;
+      var result, processed = helpers.messageWithReactions();
+
+      processed.message.reactions.push({ name: config.successReaction,
+        count: 1, users: [helpers.USER_ID] });
+      slackClient.getReactions.onSecondCall()
+        .returns(Promise.resolve(processed));
 
       result = middleware.execute(context, next, hubotDone);
       expect(middleware.execute(context, next, hubotDone)).to.eql(undefined,
         'middleware.execute did not prevent filing a second issue ' +
         'when one was already in progress');
 
-      return result.should.become(helpers.ISSUE_URL).then(function() {
+      return result.should.become([helpers.ISSUE_URL]).then(function() {
         logger.info.args.should.include.something.that.deep.equals(
           helpers.logArgs('already in progress'));
+        slackClient.getReactions.calledTwice.should.be.true;
+        githubClient.fileNewIssue.calledOnce.should.be.true;
+        next.calledTwice.should.be.true;
+        middleware.pendingReactions.should.eql({});
 
         // Make another call to ensure that the ID is cleaned up. Normally the
         // message will have a successReaction after the first successful
-        // request, but we'll test that in another case.
+        // request, but we'll test that in another case. Even without it, the
+        // issue just filed is remembered, so it isn't filed again.
         return middleware.execute(context, next, hubotDone)
-          .should.become(helpers.ISSUE_URL);
+          .should.be.rejectedWith('already processed');
+      }).then(function() {
+        slackClient.getReactions.calledThrice.should.be.true;
+        githubClient.fileNewIssue.calledOnce.should.be.true;
       });
     });
 
@@ -189,6 +610,152 @@ describe('Middleware', function() {
         });
     });
 
+    it('should wait until minimumReactions is reached', function() {
+      var message = helpers.messageWithReactions();
+
+      config.rules[2].minimumReactions = 3;
+      middleware.reconfigure(config, slackClient, githubClient);
+      message.message.reactions[0].count = 2;
+      message.message.reactions[0].users.push('U024BE7LH');
+      slackClient.getReactions.returns(Promise.resolve(message));
+
+      return middleware.execute(context, next, hubotDone)
+        .should.be.rejectedWith('ignoring ' + helpers.REACTION +
+          ' reaction: 2 of 3 reactions needed')
+        .then(function() {
+          githubClient.fileNewIssue.called.should.be.false;
+          context.response.reply.called.should.be.false;
+
+          message.message.reactions[0].count = 3;
+          message.message.reactions[0].users.push('U1984JQUSR');
+          return middleware.execute(context, next, hubotDone)
+            .should.become([helpers.ISSUE_URL]);
+        })
+        .then(function() {
+          githubClient.fileNewIssue.calledOnce.should.be.true;
+        });
+    });
+
+    it('should check reactions that arrive while one is in progress',
+      function() {
+        var before = helpers.messageWithReactions(),
+            after = helpers.messageWithReactions(),
+            laterContext = {
+              response: {
+                message: helpers.fullReactionAddedMessage(),
+                reply: sinon.spy()
+              }
+            },
+            laterNext = sinon.spy(),
+            result;
+
+        config.rules[2].minimumReactions = 2;
+        middleware.reconfigure(config, slackClient, githubClient);
+        after.message.reactions[0].count = 2;
+        after.message.reactions[0].users.push('U024BE7LH');
+        slackClient.getReactions.onFirstCall()
+          .returns(Promise.resolve(before));
+        slackClient.getReactions.onSecondCall()
+          .returns(Promise.resolve(after));
+
+        result = middleware.execute(context, next, hubotDone);
+        expect(middleware.execute(laterContext, laterNext, hubotDone))
+          .to.be.undefined;
+        laterNext.called.should.be.false;
+
+        return result.should.be.rejectedWith('ignoring ' + helpers.REACTION +
+          ' reaction: 1 of 2 reactions needed').then(function() {
+            githubClient.fileNewIssue.calledOnce.should.be.true;
+            context.response.reply.called.should.be.false;
+            laterContext.response.reply.args.should.eql([
+              ['created: ' + helpers.ISSUE_URL]
+            ]);
+            next.calledWith(hubotDone).should.be.true;
+            laterNext.calledWith(hubotDone).should.be.true;
+            middleware.inProgress.should.eql({});
+            middleware.pendingReactions.should.eql({});
+          });
+      });
+
+    it('should check every queued reaction if one no longer matches',
+      function() {
+        var after = helpers.messageWithReactions(),
+            laterContexts = [0, 1].map(function() {
+              return {
+                response: {
+                  message: helpers.fullReactionAddedMessage(),
+                  reply: sinon.spy()
+                }
+              };
+            }),
+            laterNexts = [sinon.spy(), sinon.spy()],
+            result;
+
+        laterContexts[1].response.message.rawMessage.reaction = 'smiley';
+        after.message.reactions.push(
+          { name: 'smiley', count: 1, users: [helpers.USER_ID] });
+        slackClient.getReactions.onSecondCall()
+          .returns(Promise.resolve(after));
+
+        result = middleware.execute(context, next, hubotDone);
+        laterContexts.forEach(function(laterContext, index) {
+          expect(middleware.execute(laterContext, laterNexts[index],
+            hubotDone)).to.be.undefined;
+        });
+        config.rules.splice(2, 1);
+        middleware.reconfigure(config, slackClient, githubClient);
+
+        return result.should.become([helpers.ISSUE_URL]).then(function() {
+          githubClient.fileNewIssue.args.map(function(args) {
+            return args[1];
+          }).should.eql(['18F/handbook', '18F/hubot-slack-github-issues']);
+          laterNexts[0].calledWith(hubotDone).should.be.true;
+          laterContexts[0].response.reply.called.should.be.false;
+          laterNexts[1].calledWith(hubotDone).should.be.true;
+          laterContexts[1].response.reply.args.should.eql([
+            ['created: ' + helpers.ISSUE_URL]
+          ]);
+          middleware.inProgress.should.eql({});
+          middleware.pendingReactions.should.eql({});
+        });
+      });
+
+    it('should check queued reactions after an unanticipated error',
+      function() {
+        var laterContexts = [0, 1].map(function() {
+              return {
+                response: {
+                  message: helpers.fullReactionAddedMessage(),
+                  reply: sinon.spy()
+                }
+              };
+            }),
+            laterNexts = [sinon.spy(), sinon.spy()],
+            result;
+
+        result = middleware.execute(context, next, hubotDone);
+        laterContexts.forEach(function(laterContext, index) {
+          expect(middleware.execute(laterContext, laterNexts[index],
+            hubotDone)).to.be.undefined;
+        });
+        middleware.clock = {
+          now: function() {
+            middleware.clock = Date;
+            throw new Error('forced error');
+          }
+        };
+
+        return result.should.become([helpers.ISSUE_URL]).then(function() {
+          laterNexts[0].calledWith(hubotDone).should.be.true;
+          laterContexts[0].response.reply.args[0][0].should.have.string(
+            'unhandled error: forced error');
+          laterNexts[1].calledWith(hubotDone).should.be.true;
+          slackClient.getReactions.calledTwice.should.be.true;
+          middleware.inProgress.should.eql({});
+          middleware.pendingReactions.should.eql({});
+        });
+      });
+
     checkErrorResponse = function(errorMessage) {
       context.response.reply.args.should.have.deep.property(
         '[0][0].message', errorMessage);
@@ -228,6 +795,611 @@ describe('Middleware', function() {
         });
     });
 
+    it('should report the rule\'s owner if filing an issue fails',
+      function() {
+        var errorMessage = 'failed to create a GitHub issue in ' +
+          'mbland/handbook: test failure';
+
+        middleware.rules[2].githubOwner = 'mbland';
+        githubClient.fileNewIssue
+          .returns(Promise.reject(new Error('test failure')));
+
+        return middleware.execute(context, next, hubotDone)
+          .should.be.rejectedWith(errorMessage).then(function() {
+            githubClient.fileNewIssue.args[0][1].should.equal(
+              'mbland/handbook');
+            checkErrorResponse(errorMessage);
+          });
+      });
+
+    it('should file an issue if the user is in allowedUserGroups',
+      function() {
+        middleware.rules[2].allowedUserGroups = ['S0614TZR7'];
+        slackClient.getUser.returns({ id: helpers.USER_ID, name: 'jquser' });
+        slackClient.getUserGroupMembers
+          .returns(Promise.resolve([helpers.USER_ID]));
+
+        return middleware.execute(context, next, hubotDone)
+          .should.become([helpers.ISSUE_URL]).then(function() {
+            slackClient.getUserGroupMembers.args.should.eql([['S0614TZR7']]);
+            githubClient.fileNewIssue.calledOnce.should.be.true;
+          });
+      });
+
+    it('should ignore a reaction from a user not in allowedUserGroups',
+      function() {
+        var reason = 'ignoring evergreen_tree reaction: ' +
+          'user jquser is not in allowedUserGroups';
+
+        middleware.rules[2].allowedUserGroups = ['S0614TZR7'];
+        slackClient.getUser.returns({ id: helpers.USER_ID, name: 'jquser' });
+        slackClient.getUserGroupMembers.returns(Promise.resolve([]));
+
+        return middleware.execute(context, next, hubotDone)
+          .should.be.rejectedWith(reason).then(function() {
+            slackClient.getReactions.called.should.be.false;
+            githubClient.fileNewIssue.called.should.be.false;
+            context.response.reply.called.should.be.false;
+            logger.info.args.should.include.something.that.deep.equals(
+              helpers.logArgs(reason));
+            middleware.inProgress.should.eql({});
+          });
+      });
+
+    describe('with message text filters', function() {
+      var textRule, message;
+
+      beforeEach(function() {
+        textRule = new Rule({
+          reactionName: helpers.REACTION,
+          githubRepository: 'bugs',
+          textMatches: '/\\bbugs?\\b/i'
+        });
+        message = helpers.messageWithReactions();
+        message.message.text = 'Is this a Bug?';
+        slackClient.getReactions.returns(Promise.resolve(message));
+      });
+
+      it('should file an issue if the message text matches', function() {
+        middleware.rules.splice(2, 0, textRule);
+
+        return middleware.execute(context, next, hubotDone)
+          .should.become([helpers.ISSUE_URL]).then(function() {
+            slackClient.getReactions.calledOnce.should.be.true;
+            githubClient.fileNewIssue.args[0][1].should.equal('18F/bugs');
+          });
+      });
+
+      it('should try the next rule if the message text does not match',
+        function() {
+          message.message.text = 'Debugging the handbook';
+          middleware.rules.splice(2, 0, textRule);
+
+          return middleware.execute(context, next, hubotDone)
+            .should.become([helpers.ISSUE_URL]).then(function() {
+              slackClient.getReactions.calledOnce.should.be.true;
+              githubClient.fileNewIssue.args[0][1]
+                .should.equal('18F/handbook');
+            });
+        });
+
+      it('should ignore a reaction if no rule matches the text', function() {
+        var reason = 'ignoring evergreen_tree reaction: ' +
+          'message text does not include any of textIncludes';
+
+        middleware.rules[2].textIncludes = ['typo', 'broken link'];
+
+        return middleware.execute(context, next, hubotDone)
+          .should.be.rejectedWith(reason).then(function() {
+            slackClient.getReactions.calledOnce.should.be.true;
+            githubClient.fileNewIssue.called.should.be.false;
+            context.response.reply.called.should.be.false;
+            logger.info.args.should.include.something.that.deep.equals(
+              helpers.logArgs(reason));
+            middleware.inProgress.should.eql({});
+          });
+      });
+    });
+
+    describe('issue templates', function() {
+      var reactions;
+
+      beforeEach(function() {
+        reactions = helpers.messageWithReactions();
+        reactions.message.user = 'U024BE7LH';
+        reactions.message.text = 'The handbook\nis out of date';
+        slackClient.getReactions.returns(Promise.resolve(reactions));
+        slackClient.getUser.withArgs('U024BE7LH')
+          .returns({ id: 'U024BE7LH', name: 'jquser' });
+        slackClient.getUser.withArgs(helpers.USER_ID)
+          .returns({ id: helpers.USER_ID });
+      });
+
+      it('should apply the global templates', function() {
+        var expected = helpers.metadata();
+
+        config.titleTemplate = '{{text}} ({{author}} in #{{channel}})';
+        config.bodyTemplate = '{{permalink}}\n\n' +
+          ':{{reaction}}: by {{reactingUser}} at {{date}}';
+        middleware.reconfigure(config, slackClient, githubClient);
+        expected.markdown = 'The handbook\nis out of date';
+        expected.title = 'The handbook is out of date (jquser in #handbook)';
+        expected.body = helpers.PERMALINK + '\n\n:evergreen_tree: by ' +
+          helpers.USER_ID + ' at ' + expected.date.toUTCString();
+
+        return middleware.execute(context, next, hubotDone)
+          .should.become([helpers.ISSUE_URL]).then(function() {
+            githubClient.fileNewIssue.args.should.eql([
+              [expected, '18F/handbook']
+            ]);
+          });
+      });
+
+      it('should apply the templates of each rule', function() {
+        var trackingUrl = 'https://github.com/18F/tracking/issues/1';
+
+        githubClient.fileNewIssue.withArgs(sinon.match.any, '18F/tracking')
+          .returns(Promise.resolve(trackingUrl));
+        config.titleTemplate = 'Update: {{text}}';
+        config.rules.splice(2, 0, {
+          reactionName: helpers.REACTION,
+          githubRepository: 'tracking',
+          titleTemplate: 'Tracking: {{rule.githubRepository}}',
+          bodyTemplate: '{{text}}',
+          continue: true
+        });
+        middleware.reconfigure(config, slackClient, githubClient);
+
+        return middleware.execute(context, next, hubotDone)
+          .should.become([trackingUrl, helpers.ISSUE_URL]).then(function() {
+            var metadata = githubClient.fileNewIssue.args.map(function(args) {
+              return [args[0].title, args[0].body];
+            });
+
+            metadata.should.eql([
+              ['Tracking: tracking', 'The handbook\nis out of date'],
+              ['Update: The handbook is out of date',
+                'The handbook\nis out of date\n\n' + helpers.PERMALINK]
+            ]);
+            slackClient.getUser.calledTwice.should.be.true;
+          });
+      });
+    });
+
+    describe('labels, assignees and milestones', function() {
+      beforeEach(function() {
+        config.rules[2].labels = ['handbook'];
+        config.rules[2].assignees = ['mbland'];
+        config.rules[2].milestone = 'v1.0';
+        middleware.reconfigure(config, slackClient, githubClient);
+      });
+
+      it('should pass the rule\'s issue fields to GitHub', function() {
+        var expected = helpers.metadata();
+
+        expected.labels = ['handbook'];
+        expected.assignees = ['mbland'];
+        expected.milestone = 'v1.0';
+
+        return middleware.execute(context, next, hubotDone)
+          .should.become([helpers.ISSUE_URL]).then(function() {
+            githubClient.fileNewIssue.args.should.eql([
+              [expected, '18F/handbook']
+            ]);
+          });
+      });
+
+      it('should reply with GitHub validation errors', function() {
+        var errorMessage = 'failed to create a GitHub issue in ' +
+          '18F/handbook: GitHub API validation failed: ' +
+          'invalid assignees "mbland"';
+
+        githubClient.fileNewIssue.returns(Promise.reject(new Error(
+          'GitHub API validation failed: invalid assignees "mbland"')));
+
+        return middleware.execute(context, next, hubotDone)
+          .should.be.rejectedWith(errorMessage).then(function() {
+            checkErrorResponse(errorMessage);
+          });
+      });
+    });
+
+    describe('reaction labels', function() {
+      var message;
+
+      beforeEach(function() {
+        config.rules[2].reactionLabels = { bug: 'bug', bulb: 'enhancement' };
+        middleware.reconfigure(config, slackClient, githubClient);
+        message = helpers.messageWithReactions();
+        slackClient.getReactions.returns(Promise.resolve(message));
+      });
+
+      it('should label new issues with the mapped reactions', function() {
+        config.rules[2].labels = ['handbook'];
+        middleware.reconfigure(config, slackClient, githubClient);
+        message.message.reactions.push({ name: 'bug', count: 1 });
+
+        return middleware.execute(context, next, hubotDone)
+          .should.become([helpers.ISSUE_URL]).then(function() {
+            githubClient.fileNewIssue.args[0][0].labels
+              .should.eql(['handbook', 'bug']);
+          });
+      });
+
+      it('should file an issue for a mapped reaction', function() {
+        context.response.message.rawMessage.reaction = 'bulb';
+        message.message.reactions = [{ name: 'bulb', count: 1 }];
+
+        return middleware.execute(context, next, hubotDone)
+          .should.become([helpers.ISSUE_URL]).then(function() {
+            githubClient.fileNewIssue.args[0][0].labels
+              .should.eql(['enhancement']);
+          });
+      });
+
+      it('should label the issue it filed on later reactions', function() {
+        var processed = helpers.messageWithReactions();
+
+        processed.message.reactions.push({ name: config.successReaction });
+        githubClient.addLabels.returns(Promise.resolve());
+
+        return middleware.execute(context, next, hubotDone)
+          .should.become([helpers.ISSUE_URL]).then(function() {
+            context.response.message.rawMessage.reaction = 'bulb';
+            slackClient.getReactions.returns(Promise.resolve(processed));
+            return middleware.execute(context, next, hubotDone);
+          })
+          .should.become([helpers.ISSUE_URL]).then(function() {
+            githubClient.findIssue.called.should.be.false;
+            githubClient.addLabels.args.should.eql([
+              ['18F/handbook', 1, ['enhancement']]
+            ]);
+            context.response.reply.args.should.eql([
+              ['created: ' + helpers.ISSUE_URL],
+              ['labeled: ' + helpers.ISSUE_URL]
+            ]);
+          });
+      });
+
+      it('should label the issue for reactions added while filing it',
+        function() {
+          var processed = helpers.messageWithReactions(),
+              laterContext = {
+                response: {
+                  message: helpers.fullReactionAddedMessage(),
+                  reply: sinon.spy()
+                }
+              },
+              result;
+
+          processed.message.reactions.push({ name: config.successReaction });
+          slackClient.getReactions.onSecondCall()
+            .returns(Promise.resolve(processed));
+          githubClient.addLabels.returns(Promise.resolve());
+          laterContext.response.message.rawMessage.reaction = 'bulb';
+
+          result = middleware.execute(context, next, hubotDone);
+          middleware.execute(laterContext, next, hubotDone);
+
+          return result.should.become([helpers.ISSUE_URL]).then(function() {
+            githubClient.addLabels.args.should.eql([
+              ['18F/handbook', 1, ['enhancement']]
+            ]);
+            laterContext.response.reply.args.should.eql([
+              ['labeled: ' + helpers.ISSUE_URL]
+            ]);
+          });
+        });
+
+      it('should forget the oldest filed issues beyond the limit',
+        function() {
+          middleware.filedIssues.limit = 1;
+          middleware.filedIssues.add('C1:1', '18F/handbook', 'issue-1');
+          middleware.filedIssues.add('C1:2', '18F/handbook', 'issue-2');
+          expect(middleware.filedIssues.get('C1:1', '18F/handbook'))
+            .to.be.undefined;
+          middleware.filedIssues.get('C1:2', '18F/handbook')
+            .should.equal('issue-2');
+        });
+
+      it('should search for issues filed before it started', function() {
+        context.response.message.rawMessage.reaction = 'bulb';
+        message.message.reactions.push({ name: config.successReaction });
+        githubClient.findIssue.returns(Promise.resolve(
+          { number: 1, 'html_url': helpers.ISSUE_URL }));
+        githubClient.addLabels.returns(Promise.resolve());
+
+        return middleware.execute(context, next, hubotDone)
+          .should.become([helpers.ISSUE_URL]).then(function() {
+            githubClient.findIssue.args.should.eql([
+              ['18F/handbook', helpers.PERMALINK]
+            ]);
+            githubClient.addLabels.args.should.eql([
+              ['18F/handbook', 1, ['enhancement']]
+            ]);
+            githubClient.fileNewIssue.called.should.be.false;
+            slackClient.addSuccessReaction.called.should.be.false;
+            context.response.reply.args.should.eql([
+              ['labeled: ' + helpers.ISSUE_URL]
+            ]);
+          });
+      });
+
+      it('should report when the existing issue is not found', function() {
+        var errorMessage = 'failed to add label "enhancement" in ' +
+          '18F/handbook: no issue found for ' + helpers.PERMALINK;
+
+        context.response.message.rawMessage.reaction = 'bulb';
+        message.message.reactions.push({ name: config.successReaction });
+        githubClient.findIssue.returns(Promise.resolve(undefined));
+
+        return middleware.execute(context, next, hubotDone)
+          .should.be.rejectedWith(errorMessage).then(function() {
+            githubClient.addLabels.called.should.be.false;
+            checkErrorResponse(errorMessage);
+          });
+      });
+
+      it('should ignore later reactions without labels', function() {
+        message.message.reactions.push({ name: config.successReaction });
+
+        return middleware.execute(context, next, hubotDone)
+          .should.be.rejectedWith('already processed').then(function() {
+            githubClient.findIssue.called.should.be.false;
+            context.response.reply.called.should.be.false;
+          });
+      });
+    });
+
+    describe('conversation context', function() {
+      var message, precedingMessage, threadTs, transcriptHeader;
+
+      beforeEach(function() {
+        message = helpers.messageWithReactions();
+        slackClient.getReactions.returns(Promise.resolve(message));
+        slackClient.getUser.returns({ id: helpers.USER_ID, name: 'mbland' });
+        precedingMessage = {
+          type: 'message',
+          user: helpers.USER_ID,
+          text: 'Is the handbook up to date?',
+          ts: '1360782400.498405'
+        };
+        threadTs = precedingMessage.ts;
+        transcriptHeader = '> `@mbland` at Wed, 13 Feb 2013 19:06:40 GMT:\n';
+      });
+
+      it('should append the preceding messages to the body', function() {
+        config.rules[2].includePrecedingMessages = 2;
+        middleware.reconfigure(config, slackClient, githubClient);
+        slackClient.getPrecedingMessages
+          .returns(Promise.resolve([precedingMessage]));
+
+        return middleware.execute(context, next, hubotDone)
+          .should.become([helpers.ISSUE_URL]).then(function() {
+            slackClient.getPrecedingMessages.args.should.eql([
+              [helpers.CHANNEL_ID, helpers.TIMESTAMP, 2]
+            ]);
+            githubClient.fileNewIssue.args[0][0].body.should.equal(
+              helpers.metadata().body + '\n\n**Preceding messages:**\n\n' +
+              transcriptHeader + '> Is the handbook up to date?');
+          });
+      });
+
+      it('should append the rest of the thread to the body', function() {
+        var reply = {
+          type: 'message',
+          user: helpers.USER_ID,
+          text: 'Not quite',
+          ts: '1360782900.000000'
+        };
+
+        config.rules[2].includeThread = true;
+        middleware.reconfigure(config, slackClient, githubClient);
+        message.message['thread_ts'] = threadTs;
+        slackClient.getThreadMessages.returns(Promise.resolve(
+          [precedingMessage, message.message, reply]));
+
+        return middleware.execute(context, next, hubotDone)
+          .should.become([helpers.ISSUE_URL]).then(function() {
+            var body = githubClient.fileNewIssue.args[0][0].body;
+
+            slackClient.getThreadMessages.args.should.eql([
+              [helpers.CHANNEL_ID, threadTs, transcript.MAX_MESSAGES]
+            ]);
+            body.should.have.string('\n\n**Thread:**\n\n' +
+              transcriptHeader + '> Is the handbook up to date?\n\n' +
+              '> `@mbland` at Wed, 13 Feb 2013 19:15:00 GMT:\n' +
+              '> Not quite');
+          });
+      });
+
+      it('should not get a thread for a message without one', function() {
+        config.rules[2].includeThread = true;
+        middleware.reconfigure(config, slackClient, githubClient);
+
+        return middleware.execute(context, next, hubotDone)
+          .should.become([helpers.ISSUE_URL]).then(function() {
+            slackClient.getThreadMessages.called.should.be.false;
+            githubClient.fileNewIssue.args[0][0].body
+              .should.equal(helpers.metadata().body);
+          });
+      });
+
+      it('should file the issue if getting context fails', function() {
+        config.rules[2].includePrecedingMessages = 2;
+        middleware.reconfigure(config, slackClient, githubClient);
+        slackClient.getPrecedingMessages.returns(Promise.reject(
+          new Error('channel_not_found')));
+
+        return middleware.execute(context, next, hubotDone)
+          .should.become([helpers.ISSUE_URL]).then(function() {
+            githubClient.fileNewIssue.args[0][0].body
+              .should.equal(helpers.metadata().body);
+            logger.error.args.should.eql([
+              helpers.logArgs('failed to get context for ' +
+                helpers.PERMALINK + ': channel_not_found')
+            ]);
+          });
+      });
+    });
+
+    describe('filing issues for multiple rules', function() {
+      var trackingUrl = 'https://github.com/18F/tracking/issues/1';
+
+      beforeEach(function() {
+        githubClient.fileNewIssue.withArgs(sinon.match.any, '18F/tracking')
+          .returns(Promise.resolve(trackingUrl));
+      });
+
+      it('should continue to the following rules if continue is set',
+        function() {
+          middleware.rules.splice(2, 0, new Rule({
+            reactionName: helpers.REACTION,
+            githubRepository: 'tracking',
+            continue: true
+          }));
+
+          return middleware.execute(context, next, hubotDone)
+            .should.become([trackingUrl, helpers.ISSUE_URL]).then(function() {
+              githubClient.fileNewIssue.args.map(function(args) {
+                return args[1];
+              }).should.eql(['18F/tracking', '18F/handbook']);
+              slackClient.addSuccessReaction.calledOnce.should.be.true;
+              context.response.reply.args.should.eql([
+                ['created: ' + trackingUrl + ', ' + helpers.ISSUE_URL]
+              ]);
+            });
+        });
+
+      it('should file issues for every matching rule if matchMode is all',
+        function() {
+          config.matchMode = 'all';
+          config.rules.push({
+            reactionName: helpers.REACTION,
+            githubRepository: 'tracking'
+          });
+          middleware.reconfigure(config, slackClient, githubClient);
+
+          return middleware.execute(context, next, hubotDone)
+            .should.become([helpers.ISSUE_URL, trackingUrl]);
+        });
+
+      it('should not add the success reaction while a rule needs more ' +
+        'reactions', function() {
+        var message = helpers.messageWithReactions();
+
+        middleware.rules.splice(2, 0, new Rule({
+          reactionName: helpers.REACTION,
+          githubRepository: 'tracking',
+          minimumReactions: 2,
+          continue: true
+        }));
+        slackClient.getReactions.returns(Promise.resolve(message));
+
+        return middleware.execute(context, next, hubotDone)
+          .should.become([helpers.ISSUE_URL]).then(function() {
+            slackClient.addSuccessReaction.called.should.be.false;
+
+            message.message.reactions[0].count = 2;
+            message.message.reactions[0].users.push('U024BE7LH');
+            return middleware.execute(context, next, hubotDone)
+              .should.become([trackingUrl]);
+          })
+          .then(function() {
+            githubClient.fileNewIssue.args.map(function(args) {
+              return args[1];
+            }).should.eql(['18F/handbook', '18F/tracking']);
+            slackClient.addSuccessReaction.calledOnce.should.be.true;
+          });
+      });
+
+      it('should file one issue per repository', function() {
+        middleware.rules.splice(2, 0, new Rule({
+          reactionName: helpers.REACTION,
+          githubRepository: '18F/handbook',
+          continue: true
+        }));
+
+        return middleware.execute(context, next, hubotDone)
+          .should.become([helpers.ISSUE_URL]).then(function() {
+            githubClient.fileNewIssue.calledOnce.should.be.true;
+          });
+      });
+
+      it('should report the issues that failed', function() {
+        var errorMessage = 'created ' + trackingUrl + ' but failed to ' +
+          'create a GitHub issue in 18F/handbook: test failure';
+
+        middleware.rules.splice(2, 0, new Rule({
+          reactionName: helpers.REACTION,
+          githubRepository: 'tracking',
+          continue: true
+        }));
+        githubClient.fileNewIssue.withArgs(sinon.match.any, '18F/handbook')
+          .returns(Promise.reject(new Error('test failure')));
+
+        return middleware.execute(context, next, hubotDone)
+          .should.be.rejectedWith(errorMessage).then(function() {
+            githubClient.fileNewIssue.calledTwice.should.be.true;
+            slackClient.addSuccessReaction.calledOnce.should.be.true;
+            checkErrorResponse(errorMessage);
+          });
+      });
+    });
+
+    describe('ranking rules by specificity', function() {
+      var trackingUrl = 'https://github.com/18F/tracking/issues/1',
+          trackingRule;
+
+      beforeEach(function() {
+        githubClient.fileNewIssue.withArgs(sinon.match.any, '18F/tracking')
+          .returns(Promise.resolve(trackingUrl));
+        trackingRule = {
+          reactionName: helpers.REACTION,
+          githubRepository: 'tracking',
+          channelNames: ['handbook']
+        };
+        config.rules.push(trackingRule);
+      });
+
+      it('should use the first matching rule by default', function() {
+        middleware.reconfigure(config, slackClient, githubClient);
+        return middleware.execute(context, next, hubotDone)
+          .should.become([helpers.ISSUE_URL]);
+      });
+
+      it('should use the most specific rule and log the runners-up',
+        function() {
+          var catchAllRule = new Rule(config.rules[2]);
+
+          config.matchMode = 'mostSpecific';
+          middleware.reconfigure(config, slackClient, githubClient);
+
+          return middleware.execute(context, next, hubotDone)
+            .should.become([trackingUrl]).then(function() {
+              githubClient.fileNewIssue.calledOnce.should.be.true;
+              logger.info.args.should.include.something.that.deep.equals(
+                helpers.logArgs('matches rule:', new Rule(trackingRule)));
+              logger.info.args.should.include.something.that.deep.equals(
+                helpers.logArgs('runner-up rules:', [catchAllRule]));
+            });
+        });
+
+      it('should break ties by priority', function() {
+        config.matchMode = 'mostSpecific';
+        config.rules[2].channelNames = ['handbook'];
+        trackingRule.priority = -1;
+        middleware.reconfigure(config, slackClient, githubClient);
+        middleware.findMatchingRule(helpers.reactionAddedMessage())
+          .should.eql(new Rule(config.rules[2]));
+
+        trackingRule.priority = 1;
+        middleware.reconfigure(config, slackClient, githubClient);
+        middleware.findMatchingRule(helpers.reactionAddedMessage())
+          .should.eql(new Rule(trackingRule));
+      });
+    });
+
     it('should file an issue but fail to add a reaction', function() {
       var errorMessage = 'created ' + helpers.ISSUE_URL +
         ' but failed to add ' + helpers.baseConfig().successReaction +
@@ -0,0 +1,242 @@
+'use strict';
+
+var ruleOverlap = require('../lib/rule-overlap');
+var helpers = require('./helpers');
+var chai = require('chai');
+
+chai.should();
+
+describe('ruleOverlap', function() {
+  var rules;
+
+  beforeEach(function() {
+    rules = helpers.baseConfig().rules;
+  });
+
+  it('should accept channel-specific rules before catch-all rules',
+    function() {
+      ruleOverlap.analyze(rules).should.eql([]);
+    });
+
+  it('should detect a rule shadowed by a catch-all rule', function() {
+    rules.push(rules.shift());
+    ruleOverlap.analyze(rules).should.eql([
+      { pointer: '/rules/2',
+        message: 'is shadowed by /rules/1 and will never match' }
+    ]);
+  });
+
+  it('should detect exact duplicates', function() {
+    rules.push({
+      githubRepository: 'hub',
+      channelNames: ['hub'],
+      reactionName: 'evergreen_tree'
+    });
+    rules.push(helpers.baseConfig().rules[1]);
+    ruleOverlap.analyze(rules).should.eql([
+      { pointer: '/rules/3',
+        message: 'duplicates /rules/0 and will never match' },
+      { pointer: '/rules/4',
+        message: 'duplicates /rules/1 and will never match' }
+    ]);
+  });
+
+  it('should detect a rule whose channels are all handled earlier',
+    function() {
+      rules[0].channelNames = ['hub', 'handbook'];
+      rules.splice(1, 0, {
+        reactionName: 'evergreen_tree',
+        githubRepository: 'handbook',
+        channelNames: ['handbook', 'hub']
+      });
+      ruleOverlap.analyze(rules).should.eql([
+        { pointer: '/rules/1',
+          message: 'is shadowed by /rules/0 and will never match' }
+      ]);
+    });
+
+  it('should detect individual channels that are handled earlier',
+    function() {
+      rules.splice(1, 0, {
+        reactionName: 'evergreen_tree',
+        githubRepository: 'handbook',
+        channelNames: ['handbook', 'hub']
+      }, {
+        reactionName: 'evergreen_tree',
+        githubRepository: 'handbook',
+        channelNames: ['hub', 'handbook', 'wg-testing']
+      });
+      ruleOverlap.analyze(rules).should.eql([
+        { pointer: '/rules/1/channelNames',
+          message: 'channel hub is shadowed by /rules/0' },
+        { pointer: '/rules/2/channelNames',
+          message: 'channel hub is shadowed by /rules/0' },
+        { pointer: '/rules/2/channelNames',
+          message: 'channel handbook is shadowed by /rules/1' }
+      ]);
+    });
+
+  it('should ignore rules for different reactions', function() {
+    rules[2].reactionName = 'sunflower';
+    rules.push(rules.shift());
+    ruleOverlap.analyze(rules).should.eql([]);
+  });
+
+  it('should detect channels handled by earlier patterns', function() {
+    rules[0].channelNames = ['proj-*-dev'];
+    rules.splice(1, 0, {
+      reactionName: 'evergreen_tree',
+      githubRepository: 'handbook',
+      channelNames: ['proj-foo-dev', 'proj-foo']
+    }, {
+      reactionName: 'evergreen_tree',
+      githubRepository: 'handbook',
+      channelNames: ['proj-bar-dev']
+    });
+    ruleOverlap.analyze(rules).should.eql([
+      { pointer: '/rules/1/channelNames',
+        message: 'channel proj-foo-dev is shadowed by /rules/0' },
+      { pointer: '/rules/2',
+        message: 'is shadowed by /rules/0 and will never match' }
+    ]);
+  });
+
+  it('should not report patterns overlapping earlier patterns', function() {
+    rules[0].channelNames = ['proj-*'];
+    rules.splice(1, 0, {
+      reactionName: 'evergreen_tree',
+      githubRepository: 'handbook',
+      channelNames: ['/^proj-/']
+    });
+    ruleOverlap.analyze(rules).should.eql([]);
+  });
+
+  it('should not treat a catch-all rule with exclusions as matching all',
+    function() {
+      rules.unshift({
+        reactionName: 'evergreen_tree',
+        githubRepository: 'handbook',
+        excludeChannelNames: ['hub']
+      });
+      rules.push({
+        reactionName: 'evergreen_tree',
+        githubRepository: 'handbook',
+        channelNames: ['handbook']
+      });
+      ruleOverlap.analyze(rules).should.eql([
+        { pointer: '/rules/4',
+          message: 'is shadowed by /rules/0 and will never match' }
+      ]);
+    });
+
+  it('should not report rules following rules restricted to some users',
+    function() {
+      rules.unshift({
+        reactionName: 'evergreen_tree',
+        githubRepository: 'handbook',
+        allowedUsers: ['mbland']
+      });
+      ruleOverlap.analyze(rules).should.eql([]);
+    });
+
+  it('should not report rules following rules that filter message text',
+    function() {
+      rules.unshift({
+        reactionName: 'evergreen_tree',
+        githubRepository: 'handbook',
+        textIncludes: ['bug']
+      });
+      ruleOverlap.analyze(rules).should.eql([]);
+    });
+
+  it('should not report rules following rules that continue', function() {
+    rules.push(rules.shift());
+    rules[1].continue = true;
+    ruleOverlap.analyze(rules).should.eql([]);
+  });
+
+  it('should not report any rules if matchMode is all', function() {
+    rules.push(rules.shift());
+    ruleOverlap.analyze(rules).should.not.eql([]);
+    ruleOverlap.analyze(rules, 'all').should.eql([]);
+  });
+
+  it('should compare rules in ranked order if matchMode is mostSpecific',
+    function() {
+      rules.push(rules.shift());
+      ruleOverlap.analyze(rules, 'mostSpecific').should.eql([]);
+
+      rules.push({
+        reactionName: 'evergreen_tree',
+        githubRepository: 'handbook',
+        priority: 1
+      });
+      ruleOverlap.analyze(rules, 'mostSpecific').should.eql([
+        { pointer: '/rules/1',
+          message: 'is shadowed by /rules/3 and will never match' }
+      ]);
+    });
+
+  it('should not report rules following rules with time restrictions',
+    function() {
+      rules.unshift({
+        reactionName: 'evergreen_tree',
+        githubRepository: 'handbook',
+        activeDays: ['Mon', 'Tue', 'Wed', 'Thu', 'Fri']
+      });
+      ruleOverlap.analyze(rules).should.eql([]);
+    });
+
+  it('should compare the types of conversation rules apply to', function() {
+    rules.push({
+      reactionName: 'evergreen_tree',
+      githubRepository: 'hub',
+      conversationTypes: ['im', 'mpim']
+    });
+    rules[2].excludeConversationTypes = ['im'];
+    ruleOverlap.analyze(rules).should.eql([]);
+
+    delete rules[2].excludeConversationTypes;
+    rules[2].conversationTypes = ['mpim', 'im', 'public_channel'];
+    ruleOverlap.analyze(rules).should.eql([
+      { pointer: '/rules/3',
+        message: 'is shadowed by /rules/2 and will never match' }
+    ]);
+  });
+
+  it('should treat rules with channelNames as applying only to channels',
+    function() {
+      rules.push(rules.shift());
+      rules[1].conversationTypes = ['public_channel', 'private_channel'];
+      ruleOverlap.analyze(rules).should.eql([
+        { pointer: '/rules/2',
+          message: 'is shadowed by /rules/1 and will never match' }
+      ]);
+    });
+
+  it('should include the reactions from reactionLabels', function() {
+    rules[2] = {
+      reactionLabels: { bug: 'bug', 'evergreen_tree': 'handbook' },
+      githubRepository: 'handbook'
+    };
+    rules.push({ reactionName: 'bug', githubRepository: 'hub' });
+    ruleOverlap.analyze(rules).should.eql([
+      { pointer: '/rules/3',
+        message: 'is shadowed by /rules/2 and will never match' }
+    ]);
+  });
+
+  it('should compare reactionNames and emoji aliases', function() {
+    rules[2] = {
+      reactionNames: ['+1', 'evergreen_tree'],
+      githubRepository: 'handbook'
+    };
+    rules.push({ reactionName: 'thumbsup', githubRepository: 'hub' });
+    rules.push({ reactionNames: ['evergreen_tree', 'bug'],
+      githubRepository: 'hub' });
+    ruleOverlap.analyze(rules).should.eql([
+      { pointer: '/rules/3',
+        message: 'is shadowed by /rules/2 and will never match' }
+    ]);
+  });
+});
@@ -0,0 +1,84 @@
+'use strict';
+
+var ruleRanking = require('../lib/rule-ranking');
+var Rule = require('../lib/rule');
+var chai = require('chai');
+
+chai.should();
+
+describe('ruleRanking', function() {
+  var catchAll, channelSpecific, userRestricted, channelAndUser;
+
+  beforeEach(function() {
+    catchAll = { reactionName: 'evergreen_tree', githubRepository: 'hub' };
+    channelSpecific = {
+      reactionName: 'evergreen_tree',
+      githubRepository: 'handbook',
+      channelNames: ['handbook']
+    };
+    userRestricted = {
+      reactionName: 'evergreen_tree',
+      githubRepository: 'hub-private',
+      allowedUsers: ['mbland']
+    };
+    channelAndUser = {
+      reactionName: 'evergreen_tree',
+      githubRepository: 'handbook-private',
+      channelNames: ['handbook'],
+      deniedUsers: ['jquser']
+    };
+  });
+
+  it('should rank channel-specific rules above catch-all rules', function() {
+    ruleRanking.rank([catchAll, channelSpecific])
+      .should.eql([channelSpecific, catchAll]);
+  });
+
+  it('should rank user-restricted rules above unrestricted rules',
+    function() {
+      ruleRanking.rank([catchAll, userRestricted])
+        .should.eql([userRestricted, catchAll]);
+    });
+
+  it('should rank channel-specific above user-restricted rules', function() {
+    ruleRanking.rank([catchAll, userRestricted, channelSpecific,
+      channelAndUser]).should.eql([channelAndUser, channelSpecific,
+      userRestricted, catchAll]);
+  });
+
+  it('should break ties by priority', function() {
+    var urgent = Object.assign({ priority: 10 }, catchAll),
+        minor = Object.assign({ priority: -1 }, catchAll);
+
+    ruleRanking.rank([minor, catchAll, urgent])
+      .should.eql([urgent, catchAll, minor]);
+    ruleRanking.rank([urgent, channelSpecific])
+      .should.eql([channelSpecific, urgent]);
+  });
+
+  it('should keep the configuration order of rules that tie', function() {
+    var rules = [];
+
+    while (rules.length !== 12) {
+      rules.push(Object.assign({ priority: rules.length % 2 }, catchAll));
+    }
+    ruleRanking.rankIndices(rules)
+      .should.eql([1, 3, 5, 7, 9, 11, 0, 2, 4, 6, 8, 10]);
+  });
+
+  it('should not modify the original list', function() {
+    var rules = [catchAll, channelSpecific];
+
+    ruleRanking.rank(rules);
+    rules.should.eql([catchAll, channelSpecific]);
+  });
+
+  it('should compare Rule objects', function() {
+    ruleRanking.compare(new Rule(userRestricted), new Rule(catchAll))
+      .should.be.below(0);
+    ruleRanking.compare(new Rule(catchAll), new Rule(channelSpecific))
+      .should.be.above(0);
+    ruleRanking.compare(new Rule(catchAll), new Rule(catchAll))
+      .should.equal(0);
+  });
+});
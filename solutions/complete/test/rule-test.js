@@ -5,8 +5,12 @@ var SlackClient = require('../lib/slack-client');
 var Channel = require('slack-client/src/channel');
 var config = require('./helpers/test-config.json');
 var chai = require('chai');
+var chaiAsPromised = require('chai-as-promised');
 var expect = chai.expect;
 
+chai.should();
+chai.use(chaiAsPromised);
+
 function SlackClientImplStub(channelName) {
   this.channelName = channelName;
 }
@@ -16,6 +20,9 @@ SlackClientImplStub.prototype.getChannelByID = function(channelId) {
   return new Channel(this, { name: this.channelName });
 };
 
+SlackClientImplStub.prototype.getGroupByID =
+  SlackClientImplStub.prototype.getChannelByID;
+
 describe('Rule', function() {
   var makeConfigRule = function() {
     return {
@@ -51,6 +58,7 @@ describe('Rule', function() {
         slackClientImpl = new SlackClientImplStub('hub'),
         slackClient = new SlackClient(slackClientImpl, config);
     expect(rule.match(message, slackClient)).to.be.true;
+    expect(rule.skipReason(message, slackClient)).to.be.undefined;
     expect(slackClientImpl.channelId).to.eql(message.item.channel);
   });
 
@@ -65,16 +73,20 @@ describe('Rule', function() {
     rule = new Rule(configRule);
 
     expect(rule.match(message, slackClient)).to.be.false;
+    expect(rule.skipReason(message, slackClient)).to.equal(
+      'reaction evergreen_tree does not match sad-face');
     expect(slackClientImpl.channelId).to.be.undefined;
   });
 
   it('should match a message from any channel', function() {
-    var rule = new Rule(makeConfigRule()),
+    var configRule = makeConfigRule(),
         message = makeMessage(),
         slackClientImpl = new SlackClientImplStub('hub'),
-        slackClient = new SlackClient(slackClientImpl, config);
+        slackClient = new SlackClient(slackClientImpl, config),
+        rule;
 
-    delete rule.channelNames;
+    delete configRule.channelNames;
+    rule = new Rule(configRule);
     expect(rule.match(message, slackClient)).to.be.true;
     expect(slackClientImpl.channelId).to.be.undefined;
   });
@@ -86,6 +98,410 @@ describe('Rule', function() {
         slackClient = new SlackClient(slackClientImpl, config);
 
     expect(rule.match(message, slackClient)).to.be.false;
+    expect(rule.skipReason(message, slackClient)).to.equal(
+      'channel not-the-hub does not match channelNames');
+    expect(slackClientImpl.channelId).to.eql(message.item.channel);
+  });
+
+  it('should return the repository path using the default owner', function() {
+    var rule = new Rule(makeConfigRule());
+    expect(rule.githubRepositoryPath('18F')).to.equal('18F/hub');
+  });
+
+  it('should return the repository path using githubOwner', function() {
+    var configRule = makeConfigRule(),
+        rule;
+
+    configRule.githubOwner = 'mbland';
+    rule = new Rule(configRule);
+    expect(rule.githubRepositoryPath('18F')).to.equal('mbland/hub');
+  });
+
+  it('should return the repository path from githubRepository', function() {
+    var configRule = makeConfigRule(),
+        rule;
+
+    configRule.githubRepository = 'mbland/hub';
+    rule = new Rule(configRule);
+    expect(rule.githubRepositoryPath('18F')).to.equal('mbland/hub');
+  });
+
+  it('should match reactions with skin tones and aliases', function() {
+    var configRule = makeConfigRule(),
+        message = makeMessage(),
+        slackClient = new SlackClient(new SlackClientImplStub('hub'), config),
+        rule;
+
+    configRule.reactionName = 'thumbsup';
+    rule = new Rule(configRule);
+    message.reaction = '+1::skin-tone-3';
+    expect(rule.skipReason(message, slackClient)).to.be.undefined;
+
+    message.reaction = 'approve';
+    expect(rule.skipReason(message, slackClient))
+      .to.equal('reaction approve does not match thumbsup');
+    slackClient.emojiAliases = { approve: '+1' };
+    expect(rule.skipReason(message, slackClient)).to.be.undefined;
+  });
+
+  it('should match any of reactionNames', function() {
+    var configRule = makeConfigRule(),
+        message = makeMessage(),
+        slackClient = new SlackClient(new SlackClientImplStub('hub'), config),
+        rule;
+
+    delete configRule.reactionName;
+    configRule.reactionNames = ['bug', 'beetle'];
+    rule = new Rule(configRule);
+    rule.reactionNameList().should.eql(['bug', 'beetle']);
+    rule.matchesReactionName('beetle').should.be.true;
+    expect(rule.skipReason(message, slackClient)).to.equal(
+      'reaction evergreen_tree does not match any of bug, beetle');
+
+    message.reaction = 'bug';
+    expect(rule.skipReason(message, slackClient)).to.be.undefined;
+  });
+
+  it('should match the reactions from reactionLabels', function() {
+    var configRule = makeConfigRule(),
+        message = makeMessage(),
+        slackClient = new SlackClient(new SlackClientImplStub('hub'), config),
+        rule;
+
+    configRule.reactionLabels = { bug: 'bug', 'evergreen_tree': 'handbook' };
+    rule = new Rule(configRule);
+    rule.reactionNameList().should.eql(['evergreen_tree', 'bug']);
+    expect(rule.skipReason(message, slackClient)).to.be.undefined;
+
+    message.reaction = 'bug';
+    expect(rule.skipReason(message, slackClient)).to.be.undefined;
+    rule.reactionLabel('bug').should.equal('bug');
+    rule.reactionLabel('evergreen_tree').should.equal('handbook');
+    expect(rule.reactionLabel('beetle')).to.be.undefined;
+    rule.reactionLabel('beetle', { beetle: 'bug' }).should.equal('bug');
+  });
+
+  it('should match a file only if channelNames is undefined', function() {
+    var configRule = makeConfigRule(),
+        message = makeMessage(),
+        slackClient = new SlackClient(new SlackClientImplStub('hub'), config),
+        rule;
+
+    message.item = { type: 'file', file: 'F0HS27V1Z' };
+    expect(new Rule(configRule).skipReason(message, slackClient))
+      .to.equal('file has no channel to match channelNames');
+
+    delete configRule.channelNames;
+    configRule.excludeChannelNames = ['hub'];
+    rule = new Rule(configRule);
+    expect(rule.skipReason(message, slackClient)).to.be.undefined;
+    rule.channelMatches(message, slackClient).should.be.true;
+  });
+
+  it('should match a message from a channel matching a pattern', function() {
+    var configRule = makeConfigRule(),
+        message = makeMessage(),
+        slackClientImpl = new SlackClientImplStub('proj-foo-dev'),
+        slackClient = new SlackClient(slackClientImpl, config),
+        rule;
+
+    configRule.channelNames = ['hub', 'proj-*-dev'];
+    rule = new Rule(configRule);
+    expect(rule.match(message, slackClient)).to.be.true;
+  });
+
+  it('should ignore a message from an excluded channel', function() {
+    var configRule = makeConfigRule(),
+        message = makeMessage(),
+        slackClientImpl = new SlackClientImplStub('proj-foo-dev'),
+        slackClient = new SlackClient(slackClientImpl, config),
+        rule;
+
+    delete configRule.channelNames;
+    configRule.excludeChannelNames = ['/^proj-.*-dev$/'];
+    rule = new Rule(configRule);
+    expect(rule.match(message, slackClient)).to.be.false;
+    expect(rule.skipReason(message, slackClient)).to.equal(
+      'channel proj-foo-dev matches excludeChannelNames');
     expect(slackClientImpl.channelId).to.eql(message.item.channel);
   });
+
+  describe('conversation types', function() {
+    var slackClientImpl, slackClient, messageIn;
+
+    beforeEach(function() {
+      slackClientImpl = new SlackClientImplStub('hub');
+      slackClient = new SlackClient(slackClientImpl, config);
+    });
+
+    messageIn = function(channelId) {
+      var message = makeMessage();
+
+      message.item.channel = channelId;
+      return message;
+    };
+
+    it('should match channels named in channelNames only', function() {
+      var rule = new Rule(makeConfigRule());
+
+      expect(rule.skipReason(messageIn('G0PR1VATE'), slackClient))
+        .to.be.undefined;
+      expect(rule.skipReason(messageIn('D0D1RECT'), slackClient)).to.equal(
+        'direct message has no channel to match channelNames');
+      slackClientImpl.channelName = 'mpdm-mbland--jquser-1';
+      expect(rule.skipReason(messageIn('G0MP1M'), slackClient)).to.equal(
+        'group direct message has no channel to match channelNames');
+    });
+
+    it('should match every type of conversation by default', function() {
+      var configRule = makeConfigRule(),
+          rule;
+
+      delete configRule.channelNames;
+      configRule.excludeChannelNames = ['hub'];
+      rule = new Rule(configRule);
+      expect(rule.skipReason(messageIn('D0D1RECT'), slackClient))
+        .to.be.undefined;
+      expect(slackClientImpl.channelId).to.be.undefined;
+    });
+
+    it('should skip conversations not in conversationTypes', function() {
+      var configRule = makeConfigRule(),
+          rule;
+
+      delete configRule.channelNames;
+      configRule.conversationTypes = ['public_channel', 'im'];
+      rule = new Rule(configRule);
+      rule.restrictsConversationTypes().should.be.true;
+      expect(rule.skipReason(messageIn('D0D1RECT'), slackClient))
+        .to.be.undefined;
+      expect(rule.skipReason(messageIn('G0PR1VATE'), slackClient)).to.equal(
+        'conversation type private_channel does not match conversationTypes');
+    });
+
+    it('should skip conversations in excludeConversationTypes', function() {
+      var configRule = makeConfigRule(),
+          rule;
+
+      configRule.excludeConversationTypes = ['private_channel'];
+      rule = new Rule(configRule);
+      expect(rule.skipReason(messageIn('C2147483705'), slackClient))
+        .to.be.undefined;
+      expect(rule.skipReason(messageIn('G0PR1VATE'), slackClient)).to.equal(
+        'conversation type private_channel matches excludeConversationTypes');
+    });
+
+    it('should not match files if conversationTypes is defined', function() {
+      var configRule = makeConfigRule(),
+          message = makeMessage();
+
+      delete configRule.channelNames;
+      configRule.conversationTypes = ['public_channel'];
+      message.item = { type: 'file', file: 'F0HS27V1Z' };
+      expect(new Rule(configRule).skipReason(message, slackClient))
+        .to.equal('file has no channel to match conversationTypes');
+    });
+  });
+
+  describe('message text filters', function() {
+    it('should apply to any message text by default', function() {
+      var rule = new Rule(makeConfigRule());
+
+      expect(rule.filtersText()).to.be.false;
+      expect(rule.textSkipReason('Hello, World!')).to.be.undefined;
+      expect(rule.textSkipReason(undefined)).to.be.undefined;
+    });
+
+    it('should skip text that includes none of textIncludes', function() {
+      var configRule = makeConfigRule(),
+          rule;
+
+      configRule.textIncludes = ['bug', 'Broken link'];
+      rule = new Rule(configRule);
+      expect(rule.filtersText()).to.be.true;
+      expect(rule.textSkipReason('Found a BUG')).to.be.undefined;
+      expect(rule.textSkipReason('This is a broken link')).to.be.undefined;
+      expect(rule.textSkipReason('Looks good to me')).to.equal(
+        'message text does not include any of textIncludes');
+      expect(rule.textSkipReason(undefined)).to.equal(
+        'message text does not include any of textIncludes');
+    });
+
+    it('should skip text that does not match textMatches', function() {
+      var configRule = makeConfigRule(),
+          rule;
+
+      configRule.textMatches = '/^(bug|typo):/i';
+      configRule.textIncludes = ['docs'];
+      rule = new Rule(configRule);
+      expect(rule.filtersText()).to.be.true;
+      expect(rule.textSkipReason('Typo: docs say "teh"')).to.be.undefined;
+      expect(rule.textSkipReason('Bug: crashes on startup')).to.equal(
+        'message text does not include any of textIncludes');
+      expect(rule.textSkipReason('The docs have a typo: "teh"')).to.equal(
+        'message text does not match textMatches');
+    });
+  });
+
+  describe('time restrictions', function() {
+    // Wed, 13 Feb 2013 19:13:24 GMT
+    var messageTime = 1360782804083,
+        hourMs = 60 * 60 * 1000,
+        dayMs = 24 * hourMs;
+
+    it('should apply at any time by default', function() {
+      var rule = new Rule(makeConfigRule());
+
+      expect(rule.timeSkipReason(makeMessage(), messageTime + 3650 * dayMs,
+        {})).to.be.undefined;
+    });
+
+    it('should skip messages older than maxMessageAgeDays', function() {
+      var configRule = makeConfigRule(),
+          message = makeMessage(),
+          rule = new Rule(configRule),
+          defaults = { maxMessageAgeDays: 1 };
+
+      expect(rule.timeSkipReason(message, messageTime + dayMs, defaults))
+        .to.be.undefined;
+      expect(rule.timeSkipReason(message, messageTime + dayMs + 1000,
+        defaults)).to.equal('message is older than 1 day');
+
+      configRule.maxMessageAgeDays = 3;
+      rule = new Rule(configRule);
+      expect(rule.timeSkipReason(message, messageTime + 2 * dayMs, defaults))
+        .to.be.undefined;
+      expect(rule.timeSkipReason(message, messageTime + 4 * dayMs, defaults))
+        .to.equal('message is older than 3 days');
+
+      message.item = { type: 'file', file: 'F0HS27V1Z' };
+      expect(rule.timeSkipReason(message, messageTime + 4 * dayMs, defaults))
+        .to.be.undefined;
+    });
+
+    it('should skip reactions outside activeDays', function() {
+      var configRule = makeConfigRule(),
+          message = makeMessage(),
+          defaults = { activeDays: ['Mon', 'Tue', 'Wed'] },
+          rule = new Rule(configRule);
+
+      expect(rule.timeSkipReason(message, messageTime, defaults))
+        .to.be.undefined;
+      defaults.utcOffsetHours = 5;
+      expect(rule.timeSkipReason(message, messageTime, defaults))
+        .to.equal('reaction on Thu is outside activeDays');
+
+      configRule.activeDays = ['Thu'];
+      rule = new Rule(configRule);
+      expect(rule.timeSkipReason(message, messageTime, defaults))
+        .to.be.undefined;
+    });
+
+    it('should skip reactions outside activeHours', function() {
+      var configRule = makeConfigRule(),
+          message = makeMessage(),
+          defaults = { activeHours: { start: 9, end: 17 } },
+          rule = new Rule(configRule);
+
+      expect(rule.timeSkipReason(message, messageTime, defaults))
+        .to.equal('reaction at hour 19 is outside activeHours');
+      defaults.utcOffsetHours = -5;
+      expect(rule.timeSkipReason(message, messageTime, defaults))
+        .to.be.undefined;
+
+      configRule.activeHours = { start: 22, end: 6 };
+      rule = new Rule(configRule);
+      expect(rule.timeSkipReason(message, messageTime, defaults))
+        .to.equal('reaction at hour 14 is outside activeHours');
+      expect(rule.timeSkipReason(message, messageTime + 10 * hourMs,
+        defaults)).to.be.undefined;
+    });
+  });
+
+  describe('user restrictions', function() {
+    var user, userGroupClient;
+
+    beforeEach(function() {
+      user = { id: 'U024BE7LH', name: 'mbland' };
+      userGroupClient = {
+        getUserGroupMembers: function(userGroupId) {
+          return Promise.resolve(userGroupId === 'S0614TZR7' ?
+            ['U024BE7LH'] : []);
+        }
+      };
+    });
+
+    it('should apply to every user by default', function() {
+      var rule = new Rule(makeConfigRule());
+
+      expect(rule.restrictsUsers()).to.be.false;
+      expect(rule.userSkipReason(user)).to.be.undefined;
+      return rule.userGroupSkipReason(user, userGroupClient)
+        .should.become(undefined);
+    });
+
+    it('should skip users in deniedUsers by name or ID', function() {
+      var configRule = makeConfigRule(),
+          rule;
+
+      configRule.deniedUsers = ['U024BE7LH'];
+      rule = new Rule(configRule);
+      expect(rule.restrictsUsers()).to.be.true;
+      expect(rule.userSkipReason(user))
+        .to.equal('user mbland is in deniedUsers');
+
+      rule.deniedUsers = ['mbland'];
+      expect(rule.userSkipReason(user))
+        .to.equal('user mbland is in deniedUsers');
+      expect(rule.userSkipReason({ id: 'U1234' })).to.be.undefined;
+    });
+
+    it('should skip users not in allowedUsers', function() {
+      var configRule = makeConfigRule(),
+          rule;
+
+      configRule.allowedUsers = ['mbland'];
+      rule = new Rule(configRule);
+      expect(rule.userSkipReason(user)).to.be.undefined;
+      expect(rule.userSkipReason({ id: 'U1234' }))
+        .to.equal('user U1234 is not in allowedUsers');
+    });
+
+    it('should skip users in neither allowedUsers nor allowedUserGroups',
+      function() {
+        var configRule = makeConfigRule(),
+            other = { id: 'U1234', name: 'jquser' },
+            rule;
+
+        configRule.allowedUsers = ['jquser'];
+        configRule.allowedUserGroups = ['S0614TZR7'];
+        rule = new Rule(configRule);
+        expect(rule.userSkipReason(user)).to.be.undefined;
+        expect(rule.userSkipReason(other)).to.be.undefined;
+
+        return Promise.all([
+          rule.userGroupSkipReason(user, userGroupClient)
+            .should.become(undefined),
+          rule.userGroupSkipReason(other, userGroupClient)
+            .should.become(undefined),
+          rule.userGroupSkipReason({ id: 'U5678' }, userGroupClient)
+            .should.become('user U5678 is not in allowedUsers or ' +
+              'allowedUserGroups')
+        ]);
+      });
+
+    it('should skip users not in allowedUserGroups', function() {
+      var configRule = makeConfigRule(),
+          rule;
+
+      configRule.allowedUserGroups = ['S0000000', 'S0614TZR7'];
+      rule = new Rule(configRule);
+      return Promise.all([
+        rule.userGroupSkipReason(user, userGroupClient)
+          .should.become(undefined),
+        rule.userGroupSkipReason({ id: 'U5678' }, userGroupClient)
+          .should.become('user U5678 is not in allowedUserGroups')
+      ]);
+    });
+  });
 });
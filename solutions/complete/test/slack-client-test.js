@@ -4,6 +4,7 @@ var SlackClient = require('../lib/slack-client');
 var ApiStubServer = require('./helpers/api-stub-server');
 var helpers = require('./helpers');
 var url = require('url');
+var sinon = require('sinon');
 var chai = require('chai');
 var chaiAsPromised = require('chai-as-promised');
 
@@ -12,20 +13,17 @@ chai.use(chaiAsPromised);
 
 describe('SlackClient', function() {
   var slackClient, config, slackApiServer, slackToken, setResponse, payload,
-      params;
+      params, item = helpers.reactionAddedMessage().item;
 
   before(function() {
     slackApiServer = new ApiStubServer();
     config = helpers.baseConfig();
     config.slackApiBaseUrl = slackApiServer.address() + '/api/';
-    slackClient = new SlackClient(undefined, config);
-
     slackToken = '<18F-slack-api-token>';
-    process.env.HUBOT_SLACK_TOKEN = slackToken;
+    slackClient = new SlackClient(undefined, config, slackToken);
   });
 
   after(function() {
-    delete process.env.HUBOT_SLACK_TOKEN;
     slackApiServer.close();
   });
 
@@ -67,7 +65,14 @@ describe('SlackClient', function() {
 
     it('should make a successful request', function() {
       setResponse('/api/reactions.get', params, 200, payload);
-      return slackClient.getReactions(helpers.CHANNEL_ID, helpers.TIMESTAMP)
+      return slackClient.getReactions(item)
+        .should.become(payload);
+    });
+
+    it('should get the reactions to a file', function() {
+      params = { file: 'F0HS27V1Z', token: slackToken };
+      setResponse('/api/reactions.get', params, 200, payload);
+      return slackClient.getReactions({ type: 'file', file: 'F0HS27V1Z' })
         .should.become(payload);
     });
 
@@ -77,7 +82,7 @@ describe('SlackClient', function() {
       config.slackApiBaseUrl = 'http://localhost';
       slackClient = new SlackClient(undefined, config);
 
-      return slackClient.getReactions(helpers.CHANNEL_ID, helpers.TIMESTAMP)
+      return slackClient.getReactions(item)
         .should.be.rejectedWith('failed to make Slack API request ' +
           'for method reactions.get:');
     });
@@ -88,14 +93,14 @@ describe('SlackClient', function() {
         error: 'not_authed'
       };
       setResponse('/api/reactions.get', params, 200, payload);
-      return slackClient.getReactions(helpers.CHANNEL_ID, helpers.TIMESTAMP)
+      return slackClient.getReactions(item)
         .should.be.rejectedWith(Error, 'Slack API method reactions.get ' +
           'failed: ' + payload.error);
     });
 
     it('should make a request that produces a non-200 response', function() {
       setResponse('/api/reactions.get', params, 404, 'Not found');
-      return slackClient.getReactions(helpers.CHANNEL_ID, helpers.TIMESTAMP)
+      return slackClient.getReactions(item)
         .should.be.rejectedWith(Error, 'received 404 response from ' +
           'Slack API method reactions.get: "Not found"');
     });
@@ -114,8 +119,253 @@ describe('SlackClient', function() {
 
     it('should make a successful request', function() {
       setResponse('/api/reactions.add', params, 200, payload);
-      return slackClient.addSuccessReaction(
-        helpers.CHANNEL_ID, helpers.TIMESTAMP).should.become(payload);
+      return slackClient.addSuccessReaction(item).should.become(payload);
+    });
+
+    it('should add a reaction to a file comment', function() {
+      params = {
+        'file_comment': 'Fc0HS2KBEZ',
+        name: config.successReaction,
+        token: slackToken
+      };
+      setResponse('/api/reactions.add', params, 200, payload);
+      return slackClient.addSuccessReaction({
+        type: 'file_comment',
+        'file_comment': 'Fc0HS2KBEZ',
+        file: 'F0HS27V1Z'
+      }).should.become(payload);
+    });
+  });
+
+  describe('conversation history', function() {
+    var messages = [
+      { type: 'message', user: helpers.USER_ID, text: 'first', ts: '1.0' },
+      { type: 'message', user: helpers.USER_ID, text: 'second', ts: '2.0' },
+      { type: 'message', user: helpers.USER_ID, text: 'third', ts: '3.0' }
+    ];
+
+    var page = function(pageMessages, nextCursor) {
+      return {
+        ok: true,
+        messages: pageMessages,
+        'response_metadata': { 'next_cursor': nextCursor || '' }
+      };
+    };
+
+    afterEach(function() {
+      SlackClient.PAGE_SIZE = 200;
+    });
+
+    it('should get every page of a thread', function() {
+      SlackClient.PAGE_SIZE = 2;
+      slackApiServer.urlsToResponses['/api/conversations.replies'] = [
+        { expectedParams: { channel: helpers.CHANNEL_ID, ts: '1.0',
+            limit: '2', token: slackToken },
+          statusCode: 200, payload: page(messages.slice(0, 2), 'page2') },
+        { expectedParams: { channel: helpers.CHANNEL_ID, ts: '1.0',
+            limit: '2', cursor: 'page2', token: slackToken },
+          statusCode: 200, payload: page(messages.slice(2)) }
+      ];
+      return slackClient.getThreadMessages(helpers.CHANNEL_ID, '1.0', 10)
+        .should.become(messages);
+    });
+
+    it('should get at most the requested number of messages', function() {
+      setResponse('/api/conversations.replies', {
+        channel: helpers.CHANNEL_ID, ts: '1.0', limit: '2', token: slackToken
+      }, 200, page(messages, 'page2'));
+      return slackClient.getThreadMessages(helpers.CHANNEL_ID, '1.0', 2)
+        .should.become(messages.slice(0, 2));
+    });
+
+    it('should get preceding messages in chronological order', function() {
+      setResponse('/api/conversations.history', {
+        channel: helpers.CHANNEL_ID, latest: '4.0', limit: '3',
+        token: slackToken
+      }, 200, page(messages.slice().reverse()));
+      return slackClient.getPrecedingMessages(helpers.CHANNEL_ID, '4.0', 3)
+        .should.become(messages);
+    });
+
+    it('should fail to get messages from an unknown channel', function() {
+      setResponse('/api/conversations.history', {
+        channel: helpers.CHANNEL_ID, latest: '4.0', limit: '3',
+        token: slackToken
+      }, 200, { ok: false, error: 'channel_not_found' });
+      return slackClient.getPrecedingMessages(helpers.CHANNEL_ID, '4.0', 3)
+        .should.be.rejectedWith(Error, 'Slack API method ' +
+          'conversations.history failed: channel_not_found');
+    });
+  });
+
+  describe('conversations', function() {
+    var slackClient;
+    var robotClient = {
+      channels: { C5150OU812: { name: 'handbook' } },
+      groups: {
+        G0PR1VATE: { name: 'secret-plans' },
+        G0MP1M: { name: 'mpdm-mbland--jquser-1', 'is_mpim': true }
+      },
+      dms: { D0D1RECT: { user: 'U024BE7LH' } },
+      users: { U024BE7LH: { id: 'U024BE7LH', name: 'jquser' } },
+      getChannelByID: function(id) { return this.channels[id]; },
+      getGroupByID: function(id) { return this.groups[id]; },
+      getDMByID: function(id) { return this.dms[id]; },
+      getUserByID: function(id) { return this.users[id]; }
+    };
+
+    beforeEach(function() {
+      slackClient = new SlackClient(robotClient, config, slackToken);
+    });
+
+    it('should identify the type of each conversation', function() {
+      ['C5150OU812', 'G0PR1VATE', 'G0MP1M', 'D0D1RECT']
+        .map(slackClient.getConversationType, slackClient)
+        .should.eql(SlackClient.CONVERSATION_TYPES);
+    });
+
+    it('should identify group DMs by name alone', function() {
+      robotClient.groups.G0MP1M2 = { name: 'mpdm-mbland--jquser-2' };
+      slackClient.getConversationType('G0MP1M2').should.equal('mpim');
+      delete robotClient.groups.G0MP1M2;
+    });
+
+    it('should return the name of each conversation', function() {
+      ['C5150OU812', 'G0PR1VATE', 'G0MP1M', 'D0D1RECT']
+        .map(slackClient.getChannelName, slackClient)
+        .should.eql(['handbook', 'secret-plans', 'mpdm-mbland--jquser-1',
+          'jquser']);
+    });
+
+    it('should return the ID of an unknown conversation', function() {
+      ['C0NKN0WN', 'G0NKN0WN', 'D0NKN0WN']
+        .map(slackClient.getChannelName, slackClient)
+        .should.eql(['C0NKN0WN', 'G0NKN0WN', 'D0NKN0WN']);
+      slackClient.getConversationType('G0NKN0WN')
+        .should.equal('private_channel');
+    });
+  });
+
+  describe('getUser', function() {
+    it('should return the user from the robot\'s Slack client', function() {
+      var user = { id: helpers.USER_ID, name: 'mbland' },
+          slackClient = new SlackClient({
+            getUserByID: function(userId) {
+              return userId === helpers.USER_ID ? user : undefined;
+            }
+          }, config);
+
+      slackClient.getUser(helpers.USER_ID).should.equal(user);
+      slackClient.getUser('U0NKN0WN').should.eql({ id: 'U0NKN0WN' });
+    });
+  });
+
+  describe('getUserGroupMembers', function() {
+    var clock;
+
+    beforeEach(function() {
+      params = { usergroup: 'S0614TZR7', token: slackToken };
+      payload = { ok: true, users: [helpers.USER_ID] };
+      clock = sinon.useFakeTimers();
+    });
+
+    afterEach(function() {
+      clock.restore();
+      slackClient.userGroupCache = {};
+    });
+
+    it('should return and cache the members of a user group', function() {
+      setResponse('/api/usergroups.users.list', params, 200, payload);
+      return slackClient.getUserGroupMembers('S0614TZR7')
+        .should.become([helpers.USER_ID]).then(function() {
+          slackApiServer.urlsToResponses = {};
+          clock.tick(SlackClient.USER_GROUP_CACHE_TTL - 1);
+          return slackClient.getUserGroupMembers('S0614TZR7')
+            .should.become([helpers.USER_ID]);
+        });
+    });
+
+    it('should request the members again once the cache expires', function() {
+      setResponse('/api/usergroups.users.list', params, 200, payload);
+      return slackClient.getUserGroupMembers('S0614TZR7').then(function() {
+        payload.users.push('U2147483697');
+        clock.tick(SlackClient.USER_GROUP_CACHE_TTL);
+        return slackClient.getUserGroupMembers('S0614TZR7')
+          .should.become([helpers.USER_ID, 'U2147483697']);
+      });
+    });
+
+    it('should not cache a failed request', function() {
+      payload = { ok: false, error: 'no_such_subteam' };
+      setResponse('/api/usergroups.users.list', params, 200, payload);
+      return slackClient.getUserGroupMembers('S0614TZR7')
+        .should.be.rejectedWith(Error, 'Slack API method ' +
+          'usergroups.users.list failed: no_such_subteam')
+        .then(function() {
+          slackClient.userGroupCache.should.eql({});
+        });
+    });
+  });
+
+  describe('getEmojiAliases', function() {
+    var clock;
+
+    beforeEach(function() {
+      params = { token: slackToken };
+      payload = {
+        ok: true,
+        emoji: {
+          'xmas_tree': 'alias:evergreen_tree',
+          partyparrot: 'https://emoji.slack-edge.com/T0001/partyparrot.gif'
+        }
+      };
+      clock = sinon.useFakeTimers();
+    });
+
+    afterEach(function() {
+      clock.restore();
+      delete slackClient.emojiCache;
+      slackClient.emojiAliases = {};
+    });
+
+    it('should return and cache the custom emoji aliases', function() {
+      var aliases = { 'xmas_tree': 'evergreen_tree' };
+
+      slackClient.emojiAliasesExpired().should.be.true;
+      setResponse('/api/emoji.list', params, 200, payload);
+      return slackClient.getEmojiAliases().should.become(aliases)
+        .then(function() {
+          slackClient.emojiAliases.should.eql(aliases);
+          slackApiServer.urlsToResponses = {};
+          clock.tick(SlackClient.EMOJI_CACHE_TTL - 1);
+          slackClient.emojiAliasesExpired().should.be.false;
+          return slackClient.getEmojiAliases().should.become(aliases);
+        })
+        .then(function() {
+          clock.tick(1);
+          slackClient.emojiAliasesExpired().should.be.true;
+        });
+    });
+
+    it('should cache a failed request for less time', function() {
+      var errorMessage = 'Slack API method emoji.list failed: missing_scope';
+
+      payload = { ok: false, error: 'missing_scope' };
+      setResponse('/api/emoji.list', params, 200, payload);
+      return slackClient.getEmojiAliases()
+        .should.be.rejectedWith(Error, errorMessage)
+        .then(function() {
+          slackClient.emojiAliases.should.eql({});
+          slackApiServer.urlsToResponses = {};
+          clock.tick(SlackClient.EMOJI_FAILURE_TTL - 1);
+          slackClient.emojiAliasesExpired().should.be.false;
+          return slackClient.getEmojiAliases()
+            .should.be.rejectedWith(Error, errorMessage);
+        })
+        .then(function() {
+          clock.tick(1);
+          slackClient.emojiAliasesExpired().should.be.true;
+        });
     });
   });
 });
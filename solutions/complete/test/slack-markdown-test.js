@@ -0,0 +1,161 @@
+'use strict';
+
+var slackMarkdown = require('../lib/slack-markdown');
+var chai = require('chai');
+
+chai.should();
+
+describe('slackMarkdown', function() {
+  var resolve, convert;
+
+  beforeEach(function() {
+    resolve = {
+      userName: function(userId) {
+        return { U024BE7LH: 'jquser', U5150OU812: 'mbland' }[userId];
+      },
+      channelName: function(channelId) {
+        return { C5150OU812: 'handbook' }[channelId];
+      }
+    };
+  });
+
+  convert = function(text) {
+    return slackMarkdown.toGitHubMarkdown(text, resolve);
+  };
+
+  it('should leave plain text unchanged', function() {
+    convert('The handbook is out of date.\nPlease fix it!')
+      .should.equal('The handbook is out of date.\nPlease fix it!');
+  });
+
+  it('should return an empty string for empty or missing text', function() {
+    convert('').should.equal('');
+    convert(undefined).should.equal('');
+  });
+
+  describe('references', function() {
+    it('should resolve user references in code spans', function() {
+      convert('<@U024BE7LH> and <@U5150OU812|mbland>, see this')
+        .should.equal('`@jquser` and `@mbland`, see this');
+    });
+
+    it('should use the ID of an unknown user', function() {
+      convert('cc <@U0NKN0WN>').should.equal('cc `@U0NKN0WN`');
+      slackMarkdown.toGitHubMarkdown('cc <@U024BE7LH>')
+        .should.equal('cc `@U024BE7LH`');
+    });
+
+    it('should resolve channel references', function() {
+      convert('see <#C5150OU812> and <#C2147483705|hub>')
+        .should.equal('see #handbook and #hub');
+      convert('see <#C0NKN0WN>').should.equal('see #C0NKN0WN');
+    });
+
+    it('should convert special mentions', function() {
+      convert('<!here> <!channel> <!everyone> <!subteam^S0123|@design>')
+        .should.equal('`@here` `@channel` `@everyone` `@design`');
+    });
+
+    it('should use the fallback text of other special commands', function() {
+      convert('due <!date^1392734382^{date_short}|Feb 18, 2014>')
+        .should.equal('due Feb 18, 2014');
+    });
+
+    it('should convert links', function() {
+      convert('see <https://18f.gsa.gov/|the 18F site> or ' +
+        '<https://github.com/18F>').should.equal(
+        'see [the 18F site](https://18f.gsa.gov/) or https://github.com/18F');
+    });
+
+    it('should escape brackets in link labels', function() {
+      convert('<https://example.com/|[draft] notes>')
+        .should.equal('[\\[draft\\] notes](https://example.com/)');
+    });
+
+    it('should convert email links', function() {
+      convert('mail <mailto:jquser@example.com|jquser@example.com> or ' +
+        '<mailto:help@example.com|the help desk>').should.equal(
+        'mail jquser@example.com or ' +
+        '[the help desk](mailto:help@example.com)');
+    });
+  });
+
+  describe('formatting', function() {
+    it('should convert bold, italic and strikethrough text', function() {
+      convert('*bold* _italic_ ~struck~ *bold phrase*, _italic phrase_.')
+        .should.equal('**bold** *italic* ~~struck~~ **bold phrase**, ' +
+          '*italic phrase*.');
+    });
+
+    it('should convert nested formatting', function() {
+      convert('*_bold italic_*').should.equal('***bold italic***');
+    });
+
+    it('should not convert markers inside words or numbers', function() {
+      convert('snake_case_name 2*3*4 a~b~c file_name.txt')
+        .should.equal('snake_case_name 2*3*4 a~b~c file_name.txt');
+    });
+
+    it('should not convert markers adjacent to spaces', function() {
+      convert('5 * 3 * 2 and _ spaced _').should.equal(
+        '5 * 3 * 2 and _ spaced _');
+    });
+
+    it('should convert formatting in link labels', function() {
+      convert('<https://example.com/|*important*>')
+        .should.equal('[**important**](https://example.com/)');
+    });
+
+    it('should not convert markers in link URLs', function() {
+      convert('<https://example.com/_private_/*/>').should.equal(
+        'https://example.com/_private_/*/');
+    });
+  });
+
+  describe('code', function() {
+    it('should leave inline code unformatted and unescaped', function() {
+      convert('run `x = *y* &amp;&amp; a &lt; b` now')
+        .should.equal('run `x = *y* && a < b` now');
+    });
+
+    it('should put code blocks on lines of their own', function() {
+      convert('Run ```npm test\nnpm run lint``` first').should.equal(
+        'Run\n\n```\nnpm test\nnpm run lint\n```\n\nfirst');
+    });
+
+    it('should leave code blocks unformatted and unescaped', function() {
+      convert('```\n# *not* a heading\n&gt; not a quote <@U024BE7LH>\n```')
+        .should.equal(
+          '```\n# *not* a heading\n> not a quote <@U024BE7LH>\n```');
+    });
+
+    it('should convert text between code blocks', function() {
+      convert('```a```\n*then*\n```b```').should.equal(
+        '```\na\n```\n\n**then**\n\n```\nb\n```');
+    });
+  });
+
+  describe('lines', function() {
+    it('should convert quotes', function() {
+      convert('&gt; the handbook says\n&gt;*this*\nbut it should not')
+        .should.equal('> the handbook says\n> **this**\n\nbut it should not');
+      convert('&gt; the handbook says\n\nbut it should not')
+        .should.equal('> the handbook says\n\nbut it should not');
+    });
+
+    it('should quote the rest of the message after >>>', function() {
+      convert('Quoting:\n&gt;&gt;&gt; first line\nsecond line')
+        .should.equal('Quoting:\n> first line\n> second line');
+    });
+
+    it('should escape headings', function() {
+      convert('# not a heading\n## nor this').should.equal(
+        '\\# not a heading\n\\## nor this');
+    });
+
+    it('should keep HTML entities outside of code', function() {
+      convert('a &lt;b&gt; tag &amp; more').should.equal(
+        'a &lt;b&gt; tag &amp; more');
+    });
+  });
+});
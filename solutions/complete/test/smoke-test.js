@@ -19,10 +19,14 @@ describe('Smoke test', function() {
 
   beforeEach(function() {
     delete process.env.HUBOT_SLACK_GITHUB_ISSUES_CONFIG_PATH;
+    process.env.HUBOT_GITHUB_TOKEN = '<18F-github-token>';
+    process.env.HUBOT_SLACK_TOKEN = '<18F-slack-token>';
   });
 
   after(function() {
     delete process.env.HUBOT_SLACK_GITHUB_ISSUES_CONFIG_PATH;
+    delete process.env.HUBOT_GITHUB_TOKEN;
+    delete process.env.HUBOT_SLACK_TOKEN;
   });
 
   checkHubot = function(done, validateOutput) {
@@ -81,4 +85,14 @@ describe('Smoke test', function() {
         'script didn\'t emit expected error');
     });
   });
+
+  it('should fail to register without an API token', function(done) {
+    delete process.env.HUBOT_GITHUB_TOKEN;
+    checkHubot(done, function(output) {
+      output.should.have.string(FAILURE_MESSAGE + 'GitHub token ' +
+        'environment variable HUBOT_GITHUB_TOKEN is not set',
+        'script didn\'t emit expected error');
+      output.should.not.have.string('<18F-slack-token>');
+    });
+  });
 });
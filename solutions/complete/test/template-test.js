@@ -0,0 +1,78 @@
+'use strict';
+
+var template = require('../lib/template');
+var chai = require('chai');
+var expect = chai.expect;
+
+chai.should();
+
+describe('template', function() {
+  var fields = {
+    channel: 'handbook',
+    author: 'mbland',
+    reactingUser: 'jquser',
+    reaction: 'evergreen_tree',
+    text: 'The handbook is out of date',
+    date: 'Wed, 13 Feb 2013 19:13:24 GMT',
+    permalink: 'https://18f.slack.com/archives/handbook/p1360782804083113'
+  };
+
+  var rule = {
+    reactionName: 'evergreen_tree',
+    githubRepository: 'handbook',
+    channelNames: ['handbook', 'hub'],
+    activeHours: { start: 9, end: 17 }
+  };
+
+  describe('validate', function() {
+    var ruleFields = Object.keys(rule);
+
+    it('should accept templates with only known placeholders', function() {
+      expect(template.validate('no placeholders', ruleFields))
+        .to.be.undefined;
+      expect(template.validate('{{ author }} in #{{channel}}: {{text}} ' +
+        '({{rule.githubRepository}})', ruleFields)).to.be.undefined;
+    });
+
+    it('should report unknown placeholders', function() {
+      template.validate('{{user}} in {{channel}}', ruleFields)
+        .should.equal('unknown placeholder {{user}}');
+      template.validate('{{rule.priority}} {{rule}} {{}}', ruleFields)
+        .should.equal('unknown placeholders {{rule.priority}}, {{rule}}, ' +
+          '{{}}');
+    });
+  });
+
+  describe('hasPlaceholder', function() {
+    it('should find a placeholder by name', function() {
+      template.hasPlaceholder('{{text}}\n{{ permalink }}', 'permalink')
+        .should.be.true;
+      template.hasPlaceholder('{{text}} permalink', 'permalink')
+        .should.be.false;
+      template.hasPlaceholder('{{rule.permalink}}', 'permalink')
+        .should.be.false;
+    });
+  });
+
+  describe('render', function() {
+    it('should replace placeholders with field values', function() {
+      template.render('{{author}} in #{{ channel }}: {{text}}', fields, rule)
+        .should.equal('mbland in #handbook: The handbook is out of date');
+    });
+
+    it('should replace rule placeholders with rule fields', function() {
+      template.render('{{rule.githubRepository}} for {{rule.channelNames}} ' +
+        'at {{rule.activeHours}}{{rule.priority}}', fields, rule)
+        .should.equal('handbook for handbook, hub at {"start":9,"end":17}');
+    });
+
+    it('should replace undefined fields with empty strings', function() {
+      template.render('[{{text}}]', {}, rule).should.equal('[]');
+    });
+
+    it('should leave text outside placeholders unchanged', function() {
+      template.render('{single} $& {{reaction}} }}', fields, rule)
+        .should.equal('{single} $& evergreen_tree }}');
+    });
+  });
+});
@@ -0,0 +1,91 @@
+'use strict';
+
+var TokenSource = require('../lib/token-source');
+var helpers = require('./helpers');
+var fs = require('fs');
+var path = require('path');
+var temp = require('temp');
+var chai = require('chai');
+var expect = chai.expect;
+
+chai.should();
+
+describe('TokenSource', function() {
+  var tokenDir, tokenPath, config;
+
+  beforeEach(function() {
+    tokenDir = temp.mkdirSync('token-source-test-');
+    tokenPath = path.join(tokenDir, 'token');
+    config = helpers.baseConfig();
+  });
+
+  afterEach(function() {
+    delete process.env.HUBOT_GITHUB_TOKEN;
+    delete process.env.HUBOT_SLACK_TOKEN;
+    delete process.env.TOKEN_SOURCE_TEST_TOKEN;
+    fs.readdirSync(tokenDir).forEach(function(filename) {
+      fs.unlinkSync(path.join(tokenDir, filename));
+    });
+    fs.rmdirSync(tokenDir);
+  });
+
+  it('should read the default environment variables', function() {
+    process.env.HUBOT_GITHUB_TOKEN = '<github-token>';
+    process.env.HUBOT_SLACK_TOKEN = '<slack-token>';
+    TokenSource.github(config).read().should.equal('<github-token>');
+    TokenSource.slack(config).read().should.equal('<slack-token>');
+  });
+
+  it('should read the configured environment variables', function() {
+    process.env.HUBOT_GITHUB_TOKEN = '<default-token>';
+    process.env.TOKEN_SOURCE_TEST_TOKEN = '<configured-token>';
+    config.githubTokenEnvVar = 'TOKEN_SOURCE_TEST_TOKEN';
+    config.slackTokenEnvVar = 'TOKEN_SOURCE_TEST_TOKEN';
+    TokenSource.github(config).read().should.equal('<configured-token>');
+    TokenSource.slack(config).read().should.equal('<configured-token>');
+  });
+
+  it('should raise an error if the environment variable is unset', function() {
+    process.env.HUBOT_SLACK_TOKEN = ' ';
+    expect(function() { TokenSource.github(config).read(); })
+      .to.throw(Error, 'GitHub token environment variable ' +
+        'HUBOT_GITHUB_TOKEN is not set');
+    expect(function() { TokenSource.slack(config).read(); })
+      .to.throw(Error, 'Slack token environment variable ' +
+        'HUBOT_SLACK_TOKEN is not set');
+  });
+
+  it('should read a token file, reading it again after it changes',
+    function() {
+      var source;
+
+      fs.writeFileSync(tokenPath, '<github-token>\n');
+      config.githubTokenFile = tokenPath;
+      source = TokenSource.github(config);
+      source.read().should.equal('<github-token>');
+      fs.writeFileSync(tokenPath, '<rotated-token>\n');
+      source.read().should.equal('<rotated-token>');
+    });
+
+  it('should raise an error if the token file is unreadable', function() {
+    config.slackTokenFile = tokenPath;
+    expect(function() { TokenSource.slack(config).read(); })
+      .to.throw(Error, 'failed to read Slack token from ' + tokenPath +
+        ': ENOENT');
+  });
+
+  it('should raise an error if the token file is empty', function() {
+    fs.writeFileSync(tokenPath, '\n');
+    config.slackTokenFile = tokenPath;
+    expect(function() { TokenSource.slack(config).read(); })
+      .to.throw(Error, 'Slack token file ' + tokenPath + ' is empty');
+  });
+
+  it('should return the token files to watch for changes', function() {
+    TokenSource.filePaths(undefined).should.eql([]);
+    TokenSource.filePaths(config).should.eql([]);
+    config.githubTokenFile = 'github-token';
+    config.slackTokenFile = 'slack-token';
+    TokenSource.filePaths(config).should.eql(['github-token', 'slack-token']);
+  });
+});
@@ -0,0 +1,105 @@
+'use strict';
+
+var transcript = require('../lib/transcript');
+var chai = require('chai');
+
+chai.should();
+
+describe('transcript', function() {
+  var resolve, message, maxLength = transcript.MAX_LENGTH;
+
+  beforeEach(function() {
+    resolve = {
+      userName: function(userId) {
+        return { U024BE7LH: 'jquser', U5150OU812: 'mbland' }[userId];
+      }
+    };
+  });
+
+  afterEach(function() {
+    transcript.MAX_LENGTH = maxLength;
+  });
+
+  message = function(user, text, ts) {
+    return { type: 'message', user: user, text: text, ts: ts };
+  };
+
+  it('should render nothing without messages', function() {
+    transcript.render([], resolve).should.equal('');
+    transcript.render([{ title: 'Thread', messages: [] }], resolve)
+      .should.equal('');
+  });
+
+  it('should quote each message with its author and time', function() {
+    transcript.render([{
+      title: 'Thread',
+      messages: [
+        message('U024BE7LH', 'Is the handbook\n\nout of date?', '1360782400'),
+        message('U5150OU812', '*Yes*, <@U024BE7LH>', '1360782804')
+      ]
+    }], resolve).should.equal([
+      '**Thread:**',
+      '',
+      '> `@jquser` at Wed, 13 Feb 2013 19:06:40 GMT:',
+      '> Is the handbook',
+      '>',
+      '> out of date?',
+      '',
+      '> `@mbland` at Wed, 13 Feb 2013 19:13:24 GMT:',
+      '> **Yes**, `@jquser`'
+    ].join('\n'));
+  });
+
+  it('should render each section with messages in order', function() {
+    transcript.render([
+      { title: 'Preceding messages',
+        messages: [message('U024BE7LH', 'Hello', '1360782400')] },
+      { title: 'Empty', messages: [] },
+      { title: 'Thread',
+        messages: [{ username: 'handbot', text: 'Hi', ts: '1360782804' }] }
+    ], resolve).should.equal([
+      '**Preceding messages:**',
+      '',
+      '> `@jquser` at Wed, 13 Feb 2013 19:06:40 GMT:',
+      '> Hello',
+      '',
+      '**Thread:**',
+      '',
+      '> **handbot** at Wed, 13 Feb 2013 19:13:24 GMT:',
+      '> Hi'
+    ].join('\n'));
+  });
+
+  it('should use the user ID of unknown users', function() {
+    transcript.render([{
+      title: 'Thread',
+      messages: [message('U0000000', '', '1360782400')]
+    }]).should.equal('**Thread:**\n\n' +
+      '> `@U0000000` at Wed, 13 Feb 2013 19:06:40 GMT:');
+  });
+
+  it('should omit the oldest messages beyond MAX_LENGTH', function() {
+    var messages = [
+      message('U024BE7LH', 'First', '1360782400'),
+      message('U024BE7LH', 'Second', '1360782500'),
+      message('U5150OU812', 'Third', '1360782804')
+    ];
+
+    transcript.MAX_LENGTH = 60;
+    transcript.render([
+      { title: 'Preceding messages', messages: messages.slice(0, 1) },
+      { title: 'Thread', messages: messages.slice(1) }
+    ], resolve).should.equal([
+      '**Preceding messages:**',
+      '',
+      '_1 earlier message omitted_',
+      '',
+      '**Thread:**',
+      '',
+      '_1 earlier message omitted_',
+      '',
+      '> `@mbland` at Wed, 13 Feb 2013 19:13:24 GMT:',
+      '> Third'
+    ].join('\n'));
+  });
+});